@@ -0,0 +1,65 @@
+/**
+ * Mewtwo Library Entry Point
+ * * Description:
+ * The renderer without the CLI: pure functions that take a chart screenshot
+ * (path or Buffer) and a parsed snapshot and return image buffers or SVG
+ * strings, for use in other Node tools such as a Discord bot. Nothing here
+ * writes files; `process_logs.js` is the command line wrapper around it.
+ * * Usage:
+ * const { renderSnapshot, resolveRenderStyle } = require('mewtwo');
+ * const { buffer } = await renderSnapshot(pngBuffer, json, { format: 'webp', style: resolveRenderStyle({ theme: 'light' }) });
+ */
+
+const {
+    RENDER_LAYOUT_VERSION,
+    OUTPUT_FORMATS,
+    DEFAULT_OUTPUT_FORMAT,
+    DEFAULT_QUALITY,
+    getEventType,
+    parseSnapshotJson,
+    analyzeSnapshot,
+    createDataPanelSvg,
+    createSnapshotSummary,
+    renderCombinedImage,
+    renderOutput,
+    renderSnapshot,
+} = require('./lib/render');
+const { SCHEMA_VERSION, EVENT_TYPES, validateSnapshot } = require('./lib/snapshot_schema');
+const { LAYOUTS, THEMES, loadConfigFile, resolveRenderStyle } = require('./lib/render_config');
+const { INSTRUMENTS, mergeInstruments, getPipSize } = require('./lib/instruments');
+const { loadOhlcFile } = require('./lib/backtest');
+const { readReview } = require('./lib/review');
+const { TOOL_VERSION, createImageMetadata, readImageMetadata } = require('./lib/image_metadata');
+
+module.exports = {
+    TOOL_VERSION,
+    RENDER_LAYOUT_VERSION,
+    SCHEMA_VERSION,
+    EVENT_TYPES,
+    OUTPUT_FORMATS,
+    DEFAULT_OUTPUT_FORMAT,
+    DEFAULT_QUALITY,
+    LAYOUTS,
+    THEMES,
+    INSTRUMENTS,
+    // Rendering
+    renderSnapshot,
+    renderOutput,
+    renderCombinedImage,
+    createDataPanelSvg,
+    createSnapshotSummary,
+    createImageMetadata,
+    readImageMetadata,
+    // Snapshot data
+    parseSnapshotJson,
+    getEventType,
+    analyzeSnapshot,
+    validateSnapshot,
+    readReview,
+    // Configuration
+    loadConfigFile,
+    resolveRenderStyle,
+    mergeInstruments,
+    getPipSize,
+    loadOhlcFile,
+};
@@ -0,0 +1,220 @@
+/**
+ * Limit Order Back-Tester
+ * * Description:
+ * Replays a snapshot's `limitOrder` against local OHLC candles exported for
+ * the same symbol and timeframe. Determines whether the limit was filled,
+ * whether take profit or stop loss was hit first, how long each step took and
+ * the maximum favourable/adverse excursion (MFE/MAE) in pips.
+ *
+ * Candles only give four prices per bar, so the intrabar order is unknown.
+ * When one bar touches both exits the outcome is resolved pessimistically
+ * (stop loss first); when the bar that fills the limit also reaches the take
+ * profit, the fill is assumed to come first. Both are flagged as ambiguous.
+ * A fill and a stop loss on one bar are not: price has to pass the limit on
+ * its way to the stop.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toTimestamp } = require('./timestamps');
+const { roundPips } = require('./utils');
+
+const OHLC_DATE_PATTERN = /^(\d{4})[.\-/](\d{2})[.\-/](\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2}))?)?/;
+const TIME_PATTERN = /^(\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+// --- OHLC CSV LOADING ---
+function normalizeColumnName(name) {
+    return name.trim().replace(/^<|>$/g, '').toLowerCase();
+}
+function detectDelimiter(headerLine) {
+    if (headerLine.includes('\t')) return '\t';
+    if (headerLine.includes(';')) return ';';
+    return ',';
+}
+function parseOhlcTime(dateValue, timeValue) {
+    const dateMatch = OHLC_DATE_PATTERN.exec(dateValue.trim());
+    if (!dateMatch) return null;
+    let [, year, month, day, hour, minute, second] = dateMatch;
+    if (timeValue !== undefined) {
+        const timeMatch = TIME_PATTERN.exec(timeValue.trim());
+        if (!timeMatch) return null;
+        [, hour, minute, second] = timeMatch;
+    }
+    return toTimestamp(year, month, day, hour ?? 0, minute ?? 0, second ?? 0);
+}
+
+/**
+ * Parses an OHLC CSV export into bars sorted by time. Accepts comma, semicolon or tab separated files
+ * with a header row, either with separate `date` and `time` columns (MetaTrader's `<DATE>`/`<TIME>`)
+ * or a single `time`, `datetime` or `timestamp` column. Bar times are the bar open times.
+ */
+function parseOhlcCsv(content, sourceName) {
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) throw new Error(`OHLC file '${sourceName}' is empty.`);
+
+    const delimiter = detectDelimiter(lines[0]);
+    const columns = lines[0].split(delimiter).map(normalizeColumnName);
+    const indexOf = name => columns.indexOf(name);
+    const dateColumn = indexOf('date');
+    const timeColumn = indexOf('time');
+    const dateTimeColumn = [indexOf('datetime'), indexOf('timestamp'), dateColumn === -1 ? timeColumn : -1]
+        .find(index => index !== -1) ?? -1;
+    const priceColumns = { open: indexOf('open'), high: indexOf('high'), low: indexOf('low'), close: indexOf('close') };
+
+    for (const [name, index] of Object.entries(priceColumns)) {
+        if (index === -1) throw new Error(`OHLC file '${sourceName}' has no '${name}' column.`);
+    }
+    if (dateColumn === -1 && dateTimeColumn === -1) {
+        throw new Error(`OHLC file '${sourceName}' has no date/time column.`);
+    }
+
+    const bars = [];
+    let skippedRows = 0;
+    for (const line of lines.slice(1)) {
+        const cells = line.split(delimiter);
+        const time = dateTimeColumn !== -1
+            ? parseOhlcTime(cells[dateTimeColumn] ?? '')
+            : parseOhlcTime(cells[dateColumn] ?? '', timeColumn !== -1 ? (cells[timeColumn] ?? '') : undefined);
+        const bar = { time };
+        for (const [name, index] of Object.entries(priceColumns)) {
+            bar[name] = Number(cells[index]);
+        }
+        if (time === null || ![bar.open, bar.high, bar.low, bar.close].every(Number.isFinite)) {
+            skippedRows++;
+            continue;
+        }
+        bars.push(bar);
+    }
+    bars.sort((a, b) => a.time - b.time);
+    return { bars, skippedRows };
+}
+function loadOhlcFile(filePath) {
+    return parseOhlcCsv(fs.readFileSync(filePath, 'utf8'), filePath);
+}
+
+/**
+ * Finds the CSV for a symbol and timeframe in a folder of exports, e.g. `EURUSD_5.csv`, `EURUSD_M5.csv`
+ * or MetaTrader's `EURUSD_M5_202509010000_202509292355.csv`. Returns null when there is none.
+ */
+function findOhlcFile(dir, symbol, timeframe) {
+    const escapedSymbol = symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^${escapedSymbol}_M?${timeframe}([_.].*)?\\.csv$`, 'i');
+    const match = fs.readdirSync(dir).filter(name => pattern.test(name)).sort()[0];
+    return match ? path.join(dir, match) : null;
+}
+
+// --- SIMULATION ---
+function minutesBetween(from, to) {
+    return Math.round((to - from) / 60000);
+}
+
+/**
+ * Index of the first bar opening at or after `time`.
+ */
+function findFirstBarIndex(bars, time) {
+    let low = 0;
+    let high = bars.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (bars[middle].time < time) low = middle + 1;
+        else high = middle;
+    }
+    return low;
+}
+
+/**
+ * Infers the trade direction from where the take profit (or failing that the stop loss) sits.
+ */
+function getDirection({ limitPrice, takeProfit, stopLoss }) {
+    if (typeof takeProfit === 'number' && takeProfit !== limitPrice) return takeProfit > limitPrice ? 'long' : 'short';
+    if (typeof stopLoss === 'number' && stopLoss !== limitPrice) return stopLoss < limitPrice ? 'long' : 'short';
+    return null;
+}
+
+/**
+ * Replays `limitOrder` over the bars that open at or after `snapshotTime`. `pipSize` comes from the
+ * instrument table (lib/instruments.js) and only scales MFE/MAE. Returns an outcome object; `status` is one of `take-profit`, `stop-loss`, `open` (filled, no exit yet),
+ * `not-filled` or `unknown` (not enough information to simulate).
+ */
+function simulateLimitOrder(limitOrder, bars, snapshotTime, pipSize) {
+    const unknown = reason => ({ status: 'unknown', reason, filled: false });
+
+    if (!limitOrder || typeof limitOrder.limitPrice !== 'number') return unknown('no limit price');
+    const direction = getDirection(limitOrder);
+    if (!direction) return unknown('direction cannot be inferred from take profit / stop loss');
+
+    const { limitPrice } = limitOrder;
+    const takeProfit = typeof limitOrder.takeProfit === 'number' ? limitOrder.takeProfit : null;
+    const stopLoss = typeof limitOrder.stopLoss === 'number' ? limitOrder.stopLoss : null;
+    const isLong = direction === 'long';
+    const favourable = bar => (isLong ? bar.high - limitPrice : limitPrice - bar.low);
+    const adverse = bar => (isLong ? limitPrice - bar.low : bar.high - limitPrice);
+    const hitsTakeProfit = bar => takeProfit !== null && (isLong ? bar.high >= takeProfit : bar.low <= takeProfit);
+    const hitsStopLoss = bar => stopLoss !== null && (isLong ? bar.low <= stopLoss : bar.high >= stopLoss);
+
+    const startIndex = findFirstBarIndex(bars, snapshotTime);
+    const outcome = {
+        status: 'not-filled',
+        direction,
+        filled: false,
+        fillTime: null,
+        exitTime: null,
+        exitPrice: null,
+        minutesToFill: null,
+        minutesToExit: null,
+        mfePips: null,
+        maePips: null,
+        ambiguous: false,
+        barsReplayed: bars.length - startIndex,
+    };
+    if (startIndex >= bars.length) {
+        return { ...outcome, status: 'unknown', reason: 'no candles after the snapshot' };
+    }
+
+    let maxFavourable = 0;
+    let maxAdverse = 0;
+    for (let i = startIndex; i < bars.length; i++) {
+        const bar = bars[i];
+        if (!outcome.filled) {
+            const touchesLimit = isLong ? bar.low <= limitPrice : bar.high >= limitPrice;
+            if (!touchesLimit) continue;
+            outcome.filled = true;
+            outcome.fillTime = bar.time;
+            outcome.minutesToFill = minutesBetween(snapshotTime, bar.time);
+        }
+
+        const tpHit = hitsTakeProfit(bar);
+        const slHit = hitsStopLoss(bar);
+        if (tpHit || slHit) {
+            // Without tick data the order inside a bar is unknown, so assume the worse case
+            const stoppedOut = slHit;
+            outcome.ambiguous = tpHit && (slHit || bar.time === outcome.fillTime);
+            outcome.status = stoppedOut ? 'stop-loss' : 'take-profit';
+            outcome.exitTime = bar.time;
+            outcome.exitPrice = stoppedOut ? stopLoss : takeProfit;
+            outcome.minutesToExit = minutesBetween(outcome.fillTime, bar.time);
+            const exitDistance = Math.abs(outcome.exitPrice - limitPrice);
+            if (stoppedOut) maxAdverse = Math.max(maxAdverse, exitDistance);
+            else maxFavourable = Math.max(maxFavourable, exitDistance);
+            break;
+        }
+
+        maxFavourable = Math.max(maxFavourable, favourable(bar));
+        maxAdverse = Math.max(maxAdverse, adverse(bar));
+        outcome.status = 'open';
+    }
+
+    if (outcome.filled) {
+        outcome.mfePips = roundPips(maxFavourable / pipSize);
+        outcome.maePips = roundPips(maxAdverse / pipSize);
+    }
+    return outcome;
+}
+
+module.exports = {
+    parseOhlcCsv,
+    loadOhlcFile,
+    findOhlcFile,
+    getDirection,
+    simulateLimitOrder,
+};
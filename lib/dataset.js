@@ -0,0 +1,145 @@
+/**
+ * Snapshot Datasets
+ * * Description:
+ * Flattens limit-order snapshots into tables for pandas or a spreadsheet.
+ * The setups table has one row per snapshot: time, symbol, structure, order
+ * volume, the OHLC of the indecision and confluence candles, the trade levels
+ * and the summed bids/asks of every imbalance candle. The imbalance levels
+ * table is the long format: one row per candle and price level, with the
+ * diagonal imbalance flags of lib/footprint.js. Values that failed schema
+ * validation are left empty.
+ */
+
+const { CONFLUENCE_TIMEFRAMES } = require('./snapshot_schema');
+const { formatTimestamp } = require('./timestamps');
+const { buildFootprint } = require('./footprint');
+const { checkLimitOrder } = require('./trade_checks');
+
+const CANDLE_FIELDS = ['isIndecisive', 'open', 'high', 'low', 'close'];
+const LIMIT_ORDER_FIELDS = ['limitPrice', 'takeProfit', 'stopLoss', 'zonePips', 'takeProfitPips', 'stopLossPips'];
+const SETUP_INFO_COLUMNS = ['source', 'timestamp', 'date', 'symbol', 'timeframe', 'marketStructure', 'orderVolume', 'issueCount'];
+const IMBALANCE_LEVEL_COLUMNS = ['source', 'timestamp', 'symbol', 'timeframe', 'marketStructure', 'candle', 'level', 'bid', 'ask', 'bidImbalance', 'askImbalance'];
+
+// `isIndecisive` becomes e.g. `m5Indecisive`, prices `m5Open`
+function getCandleColumn(prefix, field) {
+    const name = field === 'isIndecisive' ? 'Indecisive' : field[0].toUpperCase() + field.slice(1);
+    return `${prefix}${name}`;
+}
+function sortCandleKeys(keys) {
+    return [...keys].sort((a, b) => Number(a) - Number(b));
+}
+
+/**
+ * The setups table columns. Imbalance candles are numbered like the JSON (1 is the indecision candle, 2 the
+ * candle before it, ...) and only the numbers present in `candleKeys` get a column.
+ */
+function getSetupColumns(candleKeys) {
+    return [
+        ...SETUP_INFO_COLUMNS,
+        ...CANDLE_FIELDS.map(field => getCandleColumn('indecision', field)),
+        ...CONFLUENCE_TIMEFRAMES.flatMap(timeframe => CANDLE_FIELDS.map(field => getCandleColumn(timeframe.toLowerCase(), field))),
+        ...LIMIT_ORDER_FIELDS,
+        'riskReward',
+        ...sortCandleKeys(candleKeys).flatMap(key => [`candle${key}Bids`, `candle${key}Asks`]),
+    ];
+}
+
+function sumVolumes(volumes = []) {
+    return volumes.reduce((sum, volume) => sum + (typeof volume === 'number' ? volume : 0), 0);
+}
+
+/**
+ * One setups table row. `setup` is `{ source, info, data, issueCount }`: the JSON path shown in the table,
+ * the parsed file name (or null), the validated snapshot and the number of schema issues.
+ */
+function flattenSetup({ source, info, data, issueCount }) {
+    const row = {
+        source,
+        timestamp: info ? formatTimestamp(info.timestamp) : null,
+        date: info ? formatTimestamp(info.timestamp).slice(0, 10) : null,
+        symbol: info?.symbol ?? null,
+        timeframe: info?.timeframe ?? null,
+        marketStructure: data.currentMarketStructure ?? null,
+        orderVolume: data.orderVolume ?? null,
+        issueCount,
+    };
+    const candles = [['indecision', data.indecisionCandle], ...CONFLUENCE_TIMEFRAMES.map(timeframe => [timeframe.toLowerCase(), data.confluence?.[timeframe]])];
+    for (const [prefix, candle] of candles) {
+        for (const field of CANDLE_FIELDS) row[getCandleColumn(prefix, field)] = candle?.[field] ?? null;
+    }
+    for (const field of LIMIT_ORDER_FIELDS) row[field] = data.limitOrder?.[field] ?? null;
+    row.riskReward = checkLimitOrder(data.limitOrder, data.currentMarketStructure, null).riskReward;
+    for (const key of sortCandleKeys(Object.keys(data.imbalances || {}))) {
+        row[`candle${key}Bids`] = sumVolumes(data.imbalances[key].bids);
+        row[`candle${key}Asks`] = sumVolumes(data.imbalances[key].asks);
+    }
+    return row;
+}
+
+/**
+ * The imbalance levels table rows of one setup. Level 0 is the highest price of a candle, as logged.
+ */
+function getImbalanceLevelRows({ source, info, data }, footprintOptions) {
+    const footprint = buildFootprint(data.imbalances, footprintOptions);
+    const rows = [];
+    for (const key of sortCandleKeys(Object.keys(footprint.candles))) {
+        const { bids = [], asks = [] } = data.imbalances[key];
+        footprint.candles[key].levels.forEach((level, index) => {
+            rows.push({
+                source,
+                timestamp: info ? formatTimestamp(info.timestamp) : null,
+                symbol: info?.symbol ?? null,
+                timeframe: info?.timeframe ?? null,
+                marketStructure: data.currentMarketStructure ?? null,
+                candle: Number(key),
+                level: index,
+                // Invalid or missing volumes stay empty instead of the 0 the footprint counts them as
+                bid: typeof bids[index] === 'number' ? bids[index] : null,
+                ask: typeof asks[index] === 'number' ? asks[index] : null,
+                bidImbalance: level.bidImbalance,
+                askImbalance: level.askImbalance,
+            });
+        });
+    }
+    return rows;
+}
+
+/**
+ * Builds both tables from the setups in the order given. Returns `{ setups, imbalanceLevels }`,
+ * each `{ columns, rows }`. `footprintOptions` are the imbalance ratio and stack length.
+ */
+function buildDatasets(setups, footprintOptions) {
+    const candleKeys = new Set(setups.flatMap(setup => Object.keys(setup.data.imbalances || {})));
+    return {
+        setups: { columns: getSetupColumns(candleKeys), rows: setups.map(flattenSetup) },
+        imbalanceLevels: { columns: IMBALANCE_LEVEL_COLUMNS, rows: setups.flatMap(setup => getImbalanceLevelRows(setup, footprintOptions)) },
+    };
+}
+
+// --- SERIALISATION ---
+function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * RFC 4180 CSV with a header row. Empty cells stand for missing or invalid values.
+ */
+function toCsv({ columns, rows }) {
+    const lines = [columns.join(','), ...rows.map(row => columns.map(column => toCsvField(row[column])).join(','))];
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * One JSON object per line, with every column present (null when missing).
+ */
+function toJsonl({ columns, rows }) {
+    return rows.map(row => `${JSON.stringify(Object.fromEntries(columns.map(column => [column, row[column] ?? null])))}\n`).join('');
+}
+
+module.exports = {
+    buildDatasets,
+    toCsv,
+    toJsonl,
+};
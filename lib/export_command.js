@@ -0,0 +1,77 @@
+/**
+ * Export Command
+ * * Description:
+ * Flattens the limit-order snapshots in the input folders into CSV and JSONL
+ * tables (see lib/dataset.js): one row per setup and one per imbalance price
+ * level, written to `<out>/datasets`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateSnapshot } = require('./snapshot_schema');
+const { getEventType, parseSnapshotJson } = require('./render');
+const { buildDatasets, toCsv, toJsonl } = require('./dataset');
+const { toReportPath, describeFilters, filterPairs, findFilePairs } = require('./snapshot_files');
+
+const DATASET_DIR = 'datasets';
+const DATASET_FILES = { setups: 'setups', imbalanceLevels: 'imbalance-levels' }; // Written as .csv and .jsonl
+
+/**
+ * Reads the limit-order snapshots of `pairs` as `{ source, info, data, issueCount }` for lib/dataset.js.
+ * Other event types and unreadable JSON are left out; returns `{ setups, skippedCount }`.
+ */
+function readDatasetSetups(pairs) {
+    const setups = [];
+    let skippedCount = 0;
+    for (const pair of pairs) {
+        try {
+            const jsonData = parseSnapshotJson(fs.readFileSync(pair['.json'], 'utf8'));
+            // Only trade setups have the candles, imbalances and levels the tables are made of
+            if (getEventType(jsonData, pair['.json']) !== 'limit-order') {
+                skippedCount++;
+                continue;
+            }
+            const { data, issues } = validateSnapshot(jsonData);
+            setups.push({ source: toReportPath(pair['.json']), info: pair.info, data, issueCount: issues.length });
+        } catch (e) {
+            skippedCount++;
+            console.warn(`  ⚠️ Leaving ${path.basename(pair['.json'])} out of the export: ${e.message}`);
+        }
+    }
+    return { setups, skippedCount };
+}
+
+async function runExportCommand(options) {
+    const { pairs: allPairs } = findFilePairs(options.inputDirs, options.outputDir, { toleranceSeconds: options.pairToleranceSeconds });
+    // Time order makes the tables easy to read and to diff between exports
+    const pairs = filterPairs(allPairs, options).sort((a, b) => (a.info?.timestamp ?? Infinity) - (b.info?.timestamp ?? Infinity)
+        || a['.json'].localeCompare(b['.json']));
+    const filterDescription = describeFilters(options);
+    if (filterDescription) {
+        console.log(`Filtering by ${filterDescription}: ${pairs.length} of ${allPairs.length} pairs selected.`);
+    }
+    const { setups, skippedCount } = readDatasetSetups(pairs);
+    if (skippedCount > 0) console.log(`Skipped ${skippedCount} snapshot(s) that are not readable limit orders.`);
+    if (setups.length === 0) {
+        console.log('No limit-order snapshots to export.');
+        return;
+    }
+
+    const { ratio, stackedLevels } = options.style.footprint;
+    const datasets = buildDatasets(setups, { ratio, stackedLevels });
+    const datasetDir = path.join(options.outputDir, DATASET_DIR);
+    fs.mkdirSync(datasetDir, { recursive: true });
+    for (const [name, fileName] of Object.entries(DATASET_FILES)) {
+        for (const [extension, serialize] of [['.csv', toCsv], ['.jsonl', toJsonl]]) {
+            const filePath = path.join(datasetDir, `${fileName}${extension}`);
+            fs.writeFileSync(filePath, serialize(datasets[name]));
+            console.log(`  ✅ Created: ${filePath}`);
+        }
+    }
+    console.log(`\n🎉 Finished! Exported ${datasets.setups.rows.length} setup(s) and ${datasets.imbalanceLevels.rows.length} imbalance level(s).`);
+}
+
+module.exports = {
+    DATASET_DIR,
+    runExportCommand,
+};
@@ -0,0 +1,83 @@
+/**
+ * Extract Command
+ * * Description:
+ * Recovers the source JSON embedded in rendered images (see
+ * lib/image_metadata.js) into `<out>/extracted` and, with --rerender,
+ * renders each setup again with the current theme and config.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { IMAGE_FORMATS, OUTPUT_FORMATS, getEventType, parseSnapshotJson, renderSnapshot } = require('./render');
+const { createImageMetadata, readImageMetadata } = require('./image_metadata');
+const { getEmbeddedRenderSettings } = require('./render_pipeline');
+
+const EXTRACT_DIR = 'extracted';
+
+/**
+ * Re-renders an extracted setup with the current config. The chart is cut back out of the image at the
+ * position recorded in its metadata; back-test, review and --diff annotations are not part of the archive.
+ */
+async function rerenderExtractedImage(imagePath, metadata, outputPath, options) {
+    const chart = IMAGE_FORMATS.includes(options.format) ? await sharp(imagePath).extract(metadata.chart).png().toBuffer() : null;
+    const jsonData = parseSnapshotJson(metadata.snapshot);
+    const eventType = metadata.eventType ?? getEventType(jsonData);
+    const renderSettings = { ...getEmbeddedRenderSettings(options), diff: false, strict: false };
+    const { buffer } = await renderSnapshot(chart, jsonData, {
+        eventType,
+        snapshotInfo: metadata.snapshotInfo,
+        instruments: options.instruments,
+        style: options.style,
+        format: options.format,
+        metadata: createImageMetadata({ ...metadata, settings: renderSettings }),
+    });
+    fs.writeFileSync(outputPath, buffer);
+}
+
+/**
+ * Writes the source JSON embedded in one image under its original file name and, with --rerender, the setup
+ * rendered again. Returns `{ files, toolVersion }`: the written paths and the version that rendered the image.
+ */
+async function extractImage(imagePath, options) {
+    const metadata = await readImageMetadata(imagePath);
+    if (!metadata) throw new Error('no embedded snapshot (rendered before embedding was added, or the metadata was stripped)');
+    // SVG outputs are the data panel alone
+    if (options.rerender && IMAGE_FORMATS.includes(options.format) && !metadata.chart) {
+        throw new Error(`it has no chart to re-render as ${options.format}; use --format svg or json`);
+    }
+    const extractDir = path.join(options.outputDir, EXTRACT_DIR);
+    const stem = path.basename(imagePath, path.extname(imagePath));
+    const jsonPath = path.join(extractDir, path.basename(metadata.source ?? `${stem}.json`));
+    fs.mkdirSync(extractDir, { recursive: true });
+    fs.writeFileSync(jsonPath, metadata.snapshot);
+    if (!options.rerender) return { files: [jsonPath], toolVersion: metadata.toolVersion };
+
+    const outputPath = path.join(extractDir, `${stem}${OUTPUT_FORMATS[options.format]}`);
+    if (path.resolve(outputPath) === path.resolve(imagePath) || path.resolve(outputPath) === path.resolve(jsonPath)) {
+        throw new Error(`re-rendering would overwrite '${outputPath}'; extract into another --out directory`);
+    }
+    await rerenderExtractedImage(imagePath, metadata, outputPath, options);
+    return { files: [jsonPath, outputPath], toolVersion: metadata.toolVersion };
+}
+
+async function runExtractCommand(options) {
+    let extractedCount = 0;
+    for (const imagePath of options.inputFiles) {
+        try {
+            const { files, toolVersion } = await extractImage(imagePath, options);
+            for (const file of files) console.log(`  ✅ Created: ${file}`);
+            console.log(`     from ${path.basename(imagePath)} (rendered by v${toolVersion})`);
+            extractedCount++;
+        } catch (e) {
+            console.error(`  ❌ Failed to extract ${path.basename(imagePath)}: ${e.message}`);
+        }
+    }
+    console.log(`\n🎉 Finished! Extracted ${extractedCount} of ${options.inputFiles.length} image(s).`);
+    if (extractedCount < options.inputFiles.length) process.exitCode = 1;
+}
+
+module.exports = {
+    EXTRACT_DIR,
+    runExtractCommand,
+};
@@ -0,0 +1,100 @@
+/**
+ * Snapshot File Pairing
+ * * Description:
+ * Matches the chart screenshots and JSON snapshots the bot writes into
+ * `.png`/`.json` pairs. Files only pair up within their own folder, by file
+ * stem with spaces and underscores treated alike. With a tolerance, a
+ * leftover screenshot and snapshot of the same symbol and timeframe whose
+ * file name times are at most that far apart are paired as well, as long as
+ * neither has a second candidate. Everything that did not pair cleanly is
+ * returned for the pairing report: orphans, collisions (several files
+ * claiming the same stem) and ambiguous near matches. Only files named like
+ * snapshots can be orphans, so package.json or a config file next to the
+ * snapshots is not reported.
+ */
+
+const path = require('path');
+const { PAIR_EXTENSIONS } = require('./utils');
+
+function isSameSeries(a, b) {
+    return a.symbol.toUpperCase() === b.symbol.toUpperCase() && a.timeframe.toUpperCase() === b.timeframe.toUpperCase();
+}
+
+/**
+ * Pairs the near misses among the halves left over after exact matching. A screenshot and a snapshot are only
+ * paired when each is the other's single candidate; the rest of the candidates are reported as ambiguous.
+ */
+function matchNearTimestamps(halves, toleranceMs) {
+    const getCandidates = (half, others) => others.filter(other => other.dir === half.dir && other.info && half.info
+        && isSameSeries(half.info, other.info) && Math.abs(other.info.timestamp - half.info.timestamp) <= toleranceMs);
+    const images = halves.filter(half => half['.png']);
+    const snapshots = halves.filter(half => half['.json']);
+    const candidates = new Map([
+        ...images.map(image => [image, getCandidates(image, snapshots)]),
+        ...snapshots.map(snapshot => [snapshot, getCandidates(snapshot, images)]),
+    ]);
+
+    const matches = [];
+    const ambiguous = [];
+    for (const [half, others] of candidates) {
+        if (others.length > 1) ambiguous.push({ half, candidates: others });
+        if (half['.png'] && others.length === 1 && candidates.get(others[0]).length === 1) {
+            matches.push({ image: half, snapshot: others[0] });
+        }
+    }
+    return { matches, ambiguous };
+}
+
+/**
+ * Pairs scanned files. Each file is `{ path, root, dir, stem, ext, info }`: `dir` the resolved folder, `stem`
+ * the normalised file stem, `info` the parsed file name (or null) and `root` the input folder it was found in.
+ * Returns `{ pairs, orphans, collisions, ambiguous, nearMatches }`: `pairs` are `{ id, root, info, '.png',
+ * '.json' }` including the ones missing a half, `orphans` lists `{ file, missing }` for the unpaired files
+ * with a snapshot name, `collisions` `{ kind: 'name', kept, ignored }`, `ambiguous` `{ file, candidates }`
+ * and `nearMatches` `{ png, json, offsetSeconds }` for the pairs made by the tolerance.
+ */
+function matchSnapshotFiles(files, { toleranceMs = 0 } = {}) {
+    const slots = new Map();
+    const claimants = new Map();
+    for (const file of [...files].sort((a, b) => a.path.localeCompare(b.path))) {
+        const id = path.join(file.dir, file.stem);
+        const claimKey = `${id}${file.ext}`;
+        if (!claimants.has(claimKey)) claimants.set(claimKey, []);
+        claimants.get(claimKey).push(file.path);
+        if (claimants.get(claimKey).length > 1) continue;
+        if (!slots.has(id)) slots.set(id, { id, root: file.root, dir: file.dir, info: file.info });
+        slots.get(id)[file.ext] = file.path;
+    }
+    // The first file by name keeps the stem; before, whichever was scanned last silently won
+    const collisions = [...claimants.values()]
+        .filter(paths => paths.length > 1)
+        .map(([kept, ...ignored]) => ({ kind: 'name', kept, ignored }));
+
+    const halves = [...slots.values()].filter(slot => PAIR_EXTENSIONS.some(ext => !slot[ext]));
+    const { matches, ambiguous } = toleranceMs > 0 ? matchNearTimestamps(halves, toleranceMs) : { matches: [], ambiguous: [] };
+    const nearMatches = [];
+    for (const { image, snapshot } of matches) {
+        image['.json'] = snapshot['.json'];
+        slots.delete(snapshot.id);
+        nearMatches.push({ png: image['.png'], json: snapshot['.json'], offsetSeconds: (snapshot.info.timestamp - image.info.timestamp) / 1000 });
+    }
+
+    const getFile = half => half['.png'] ?? half['.json'];
+    const ambiguousFiles = new Set(ambiguous.flatMap(({ half, candidates }) => [half, ...candidates].map(getFile)));
+    const orphans = [...slots.values()]
+        .filter(slot => slot.info && PAIR_EXTENSIONS.some(ext => !slot[ext]) && !ambiguousFiles.has(getFile(slot)))
+        .map(slot => ({ file: getFile(slot), missing: slot['.png'] ? '.json' : '.png' }));
+
+    const pairs = [...slots.values()].map(({ dir, ...pair }) => pair);
+    return {
+        pairs,
+        orphans,
+        collisions,
+        ambiguous: ambiguous.map(({ half, candidates }) => ({ file: getFile(half), candidates: candidates.map(getFile) })),
+        nearMatches,
+    };
+}
+
+module.exports = {
+    matchSnapshotFiles,
+};
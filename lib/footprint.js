@@ -0,0 +1,112 @@
+/**
+ * Imbalance Footprint
+ * * Description:
+ * Turns the per-candle `bids`/`asks` lists of a snapshot into footprint data:
+ * diagonal imbalances, stacked imbalances and the delta of each candle.
+ * Row 0 is the highest price level of a candle, matching the order the bot
+ * logs them in.
+ *
+ * A buying imbalance compares the ask volume at a level with the bid volume
+ * one level below; a selling imbalance compares the bid volume at a level with
+ * the ask volume one level above. A level is imbalanced when that ratio is at
+ * least `ratio` (an empty opposite level counts as 1 so a single trade is not
+ * an imbalance). `stackedLevels` or more consecutive imbalances on the same
+ * side form a stacked imbalance.
+ */
+
+const DEFAULT_FOOTPRINT_OPTIONS = { ratio: 3, stackedLevels: 3 };
+
+// Invalid volumes arrive as null from the validator and count as nothing traded
+function toVolume(value) {
+    return typeof value === 'number' ? value : 0;
+}
+function getRatio(volume, opposite) {
+    return volume / Math.max(opposite, 1);
+}
+
+/**
+ * Finds runs of at least `minLength` consecutive levels flagged by `isImbalanced`.
+ * Returns `{ start, end }` row ranges, both inclusive.
+ */
+function findStacks(levels, isImbalanced, minLength) {
+    const stacks = [];
+    let start = null;
+    for (let i = 0; i <= levels.length; i++) {
+        if (i < levels.length && isImbalanced(levels[i])) {
+            if (start === null) start = i;
+            continue;
+        }
+        if (start !== null && i - start >= minLength) stacks.push({ start, end: i - 1 });
+        start = null;
+    }
+    return stacks;
+}
+
+/**
+ * Computes the footprint of one candle from its `bids` and `asks` lists.
+ */
+function buildCandleFootprint(bids, asks, options) {
+    const rowCount = Math.max(bids.length, asks.length);
+    const levels = [];
+    for (let i = 0; i < rowCount; i++) {
+        const bid = toVolume(bids[i]);
+        const ask = toVolume(asks[i]);
+        const askRatio = i < rowCount - 1 ? getRatio(ask, toVolume(bids[i + 1])) : null;
+        const bidRatio = i > 0 ? getRatio(bid, toVolume(asks[i - 1])) : null;
+        levels.push({
+            bid,
+            ask,
+            askRatio,
+            bidRatio,
+            askImbalance: askRatio !== null && ask > 0 && askRatio >= options.ratio,
+            bidImbalance: bidRatio !== null && bid > 0 && bidRatio >= options.ratio,
+        });
+    }
+    const totalBids = levels.reduce((sum, level) => sum + level.bid, 0);
+    const totalAsks = levels.reduce((sum, level) => sum + level.ask, 0);
+    return {
+        levels,
+        askStacks: findStacks(levels, level => level.askImbalance, options.stackedLevels),
+        bidStacks: findStacks(levels, level => level.bidImbalance, options.stackedLevels),
+        delta: totalAsks - totalBids,
+        volume: totalAsks + totalBids,
+        maxVolume: Math.max(0, ...levels.map(level => Math.max(level.bid, level.ask))),
+    };
+}
+
+/**
+ * Builds the footprint of every candle in a snapshot's `imbalances`, keyed like the input.
+ * `maxVolume` is the largest single bid or ask volume across all candles, for a shared colour scale.
+ */
+function buildFootprint(imbalances, options = {}) {
+    const settings = { ...DEFAULT_FOOTPRINT_OPTIONS, ...options };
+    const candles = {};
+    for (const [key, { bids = [], asks = [] }] of Object.entries(imbalances || {})) {
+        candles[key] = buildCandleFootprint(bids, asks, settings);
+    }
+    const maxVolume = Math.max(0, ...Object.values(candles).map(candle => candle.maxVolume));
+    return { candles, maxVolume };
+}
+
+// --- COLOUR SCALE ---
+function parseHexColor(color) {
+    const hex = color.slice(1);
+    const full = hex.length === 3 ? hex.split('').map(digit => digit + digit).join('') : hex;
+    return [0, 2, 4].map(offset => parseInt(full.slice(offset, offset + 2), 16));
+}
+
+/**
+ * Linear interpolation between two `#rgb`/`#rrggbb` colours, `t` from 0 to 1.
+ */
+function interpolateColor(low, high, t) {
+    const from = parseHexColor(low);
+    const to = parseHexColor(high);
+    const clamped = Math.min(1, Math.max(0, t));
+    return `#${from.map((channel, index) => Math.round(channel + (to[index] - channel) * clamped).toString(16).padStart(2, '0')).join('')}`;
+}
+
+module.exports = {
+    DEFAULT_FOOTPRINT_OPTIONS,
+    buildFootprint,
+    interpolateColor,
+};
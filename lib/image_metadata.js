@@ -0,0 +1,96 @@
+/**
+ * Image Metadata
+ * * Description:
+ * Embeds the source of a rendered setup in the output file so a shared image
+ * is a self-contained archive: the original JSON text, the tool version, the
+ * snapshot's symbol/timeframe/time, the render settings and where the chart
+ * sits in the image. PNG, WebP and JPEG carry it as an XMP packet (an iTXt
+ * text chunk in PNG), SVG as a `<metadata>` element. `readImageMetadata`
+ * recovers it for the `extract` command.
+ */
+
+const fs = require('fs');
+const sharp = require('sharp');
+const { version: TOOL_VERSION } = require('../package.json');
+const { escapeHtml } = require('./utils');
+
+const METADATA_NAMESPACE = 'urn:mewtwo:snapshot:1';
+const METADATA_PREFIX = 'mewtwo';
+// Plain strings are stored as text, the rest as JSON
+const TEXT_FIELDS = ['toolVersion', 'source', 'eventType', 'snapshot'];
+const JSON_FIELDS = ['snapshotInfo', 'settings', 'chart'];
+
+function unescapeXml(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+/**
+ * The record embedded in a rendered image. `snapshot` is the source JSON text as read from disk, `source` its
+ * file name, `eventType` the type it was rendered as (the folder it came from is not kept), `snapshotInfo`
+ * the parsed file name (or null) and `settings` the render settings. The chart position is added by the renderer.
+ */
+function createImageMetadata({ snapshot, source = null, eventType = null, snapshotInfo = null, settings = {} }) {
+    return { toolVersion: TOOL_VERSION, source, eventType, snapshotInfo, settings, snapshot };
+}
+
+function toMetadataElements(metadata) {
+    const elements = [];
+    for (const field of [...TEXT_FIELDS, ...JSON_FIELDS]) {
+        const value = metadata[field];
+        if (value === null || value === undefined) continue;
+        const text = TEXT_FIELDS.includes(field) ? String(value) : JSON.stringify(value);
+        elements.push(`<${METADATA_PREFIX}:${field}>${escapeHtml(text)}</${METADATA_PREFIX}:${field}>`);
+    }
+    return elements.join('');
+}
+
+/**
+ * The XMP packet passed to sharp's `withXmp`.
+ */
+function createXmpPacket(metadata) {
+    return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>'
+        + '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+        + `<rdf:Description rdf:about="" xmlns:${METADATA_PREFIX}="${METADATA_NAMESPACE}">${toMetadataElements(metadata)}</rdf:Description>`
+        + '</rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+}
+
+/**
+ * Adds the metadata to an SVG document as the first child of the root element.
+ */
+function embedSvgMetadata(svg, metadata) {
+    const element = `<metadata><${METADATA_PREFIX}:record xmlns:${METADATA_PREFIX}="${METADATA_NAMESPACE}">${toMetadataElements(metadata)}</${METADATA_PREFIX}:record></metadata>`;
+    return svg.replace(/<svg\b[^>]*>/, root => `${root}${element}`);
+}
+
+function parseMetadataElements(xml) {
+    if (!xml.includes(METADATA_NAMESPACE)) return null;
+    const metadata = {};
+    for (const field of [...TEXT_FIELDS, ...JSON_FIELDS]) {
+        const match = new RegExp(`<${METADATA_PREFIX}:${field}>([\\s\\S]*?)</${METADATA_PREFIX}:${field}>`).exec(xml);
+        const text = match ? unescapeXml(match[1]) : null;
+        metadata[field] = text !== null && JSON_FIELDS.includes(field) ? JSON.parse(text) : text;
+    }
+    return metadata.snapshot === null ? null : metadata;
+}
+
+/**
+ * Reads the embedded record from a rendered image (path or Buffer): `{ toolVersion, source, eventType,
+ * snapshotInfo, settings, chart, snapshot }`. Returns null when the file has none, e.g. an image rendered before metadata
+ * was embedded or one a chat app re-encoded.
+ */
+async function readImageMetadata(image) {
+    const buffer = Buffer.isBuffer(image) ? image : fs.readFileSync(image);
+    if (/^\s*(<\?xml[^>]*>\s*)?<svg\b/.test(buffer.subarray(0, 256).toString('utf8'))) {
+        return parseMetadataElements(buffer.toString('utf8'));
+    }
+    const { xmp } = await sharp(buffer).metadata();
+    return xmp ? parseMetadataElements(xmp.toString('utf8')) : null;
+}
+
+module.exports = {
+    TOOL_VERSION,
+    createImageMetadata,
+    createXmpPacket,
+    embedSvgMetadata,
+    readImageMetadata,
+};
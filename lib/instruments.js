@@ -0,0 +1,70 @@
+/**
+ * Instrument Table
+ * * Description:
+ * Pip sizes per symbol. Broker suffixes such as `EURUSD.m` or `EURUSDpro`
+ * resolve to the base symbol. Symbols missing from the table fall back to
+ * 0.01 for JPY crosses and 0.0001 for everything else; the config file's
+ * `instruments` key adds symbols or overrides the built-in ones, e.g.
+ * `{ "instruments": { "US30": { "pipSize": 1 } } }`.
+ */
+
+const FOREX_MAJORS_AND_CROSSES = [
+    'EURUSD', 'GBPUSD', 'AUDUSD', 'NZDUSD', 'USDCHF', 'USDCAD',
+    'EURGBP', 'EURCHF', 'EURAUD', 'EURNZD', 'EURCAD',
+    'GBPCHF', 'GBPAUD', 'GBPNZD', 'GBPCAD',
+    'AUDNZD', 'AUDCAD', 'AUDCHF', 'NZDCAD', 'NZDCHF', 'CADCHF',
+];
+const JPY_CROSSES = ['USDJPY', 'EURJPY', 'GBPJPY', 'AUDJPY', 'NZDJPY', 'CADJPY', 'CHFJPY'];
+
+const INSTRUMENTS = {
+    ...Object.fromEntries(FOREX_MAJORS_AND_CROSSES.map(symbol => [symbol, { pipSize: 0.0001 }])),
+    ...Object.fromEntries(JPY_CROSSES.map(symbol => [symbol, { pipSize: 0.01 }])),
+    XAUUSD: { pipSize: 0.1 },
+    XAGUSD: { pipSize: 0.01 },
+};
+
+function normalizeSymbol(symbol) {
+    return String(symbol).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Merges config overrides (`{ SYMBOL: { pipSize } }`) into the built-in table.
+ * Throws an Error for malformed entries so a typo does not silently use the fallback.
+ */
+function mergeInstruments(overrides = {}) {
+    if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+        throw new Error(`Config 'instruments' must be an object keyed by symbol.`);
+    }
+    const table = { ...INSTRUMENTS };
+    for (const [symbol, instrument] of Object.entries(overrides)) {
+        if (typeof instrument?.pipSize !== 'number' || !(instrument.pipSize > 0)) {
+            throw new Error(`Instrument '${symbol}' needs a positive 'pipSize'.`);
+        }
+        table[normalizeSymbol(symbol)] = { pipSize: instrument.pipSize };
+    }
+    return table;
+}
+
+/**
+ * Looks up a symbol, trying the exact name first and then the longest table entry it starts with.
+ * Returns `{ pipSize, known }`; `known` is false when the JPY/non-JPY fallback was used.
+ */
+function getInstrument(symbol, table = INSTRUMENTS) {
+    const normalized = normalizeSymbol(symbol);
+    if (table[normalized]) return { ...table[normalized], known: true };
+    const prefix = Object.keys(table)
+        .filter(key => normalized.startsWith(key))
+        .sort((a, b) => b.length - a.length)[0];
+    if (prefix) return { ...table[prefix], known: true };
+    return { pipSize: /JPY/.test(normalized) ? 0.01 : 0.0001, known: false };
+}
+function getPipSize(symbol, table = INSTRUMENTS) {
+    return getInstrument(symbol, table).pipSize;
+}
+
+module.exports = {
+    INSTRUMENTS,
+    mergeInstruments,
+    getInstrument,
+    getPipSize,
+};
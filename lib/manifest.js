@@ -0,0 +1,88 @@
+/**
+ * Incremental Build Manifest
+ * * Description:
+ * Records, per rendered output, the hashes of everything it was made from:
+ * the screenshot, the JSON, the OHLC data, the review sidecar, the previous
+ * snapshot (--diff), which extra outputs were written and the render
+ * settings. A pair is only rendered again when one of them changed or its
+ * output is gone. The settings are kept per entry so a filtered run with new
+ * settings leaves the other outputs marked as outdated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_FILE = '.render-manifest.json';
+const MANIFEST_VERSION = 1;
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+function hashFile(filePath) {
+    return hashContent(fs.readFileSync(filePath));
+}
+function createEmptyManifest() {
+    return { version: MANIFEST_VERSION, entries: {} };
+}
+
+/**
+ * Reads the manifest from the output directory. A missing, unreadable or outdated manifest
+ * yields an empty one, which makes every pair look new.
+ */
+function loadManifest(outputDir) {
+    const manifestPath = path.join(outputDir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) return createEmptyManifest();
+    try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        if (manifest.version !== MANIFEST_VERSION || typeof manifest.entries !== 'object' || manifest.entries === null) {
+            console.warn(`  ⚠️ Ignoring manifest with unsupported format: ${manifestPath}`);
+            return createEmptyManifest();
+        }
+        return { version: MANIFEST_VERSION, entries: manifest.entries };
+    } catch (e) {
+        console.warn(`  ⚠️ Ignoring unreadable manifest ${manifestPath}: ${e.message}`);
+        return createEmptyManifest();
+    }
+}
+function saveManifest(manifest, outputDir) {
+    const manifestPath = path.join(outputDir, MANIFEST_FILE);
+    const sortedEntries = Object.fromEntries(Object.entries(manifest.entries).sort(([a], [b]) => a.localeCompare(b)));
+    const content = { version: MANIFEST_VERSION, entries: sortedEntries };
+    fs.writeFileSync(manifestPath, `${JSON.stringify(content, null, 2)}\n`);
+}
+
+/**
+ * Manifest entries are keyed by the output path relative to the output directory, with forward slashes
+ * so the manifest stays valid when the folder is synced between operating systems.
+ */
+function getManifestKey(outputPath, outputDir) {
+    return path.relative(outputDir, outputPath).split(path.sep).join('/');
+}
+
+/**
+ * Whether an output can be kept. `sourceHashes` is `{ png, json, ohlc, exports, review, previous, settings }`
+ * for the pair as it is now; entries written before the settings were stored per entry are outdated.
+ */
+function isUpToDate(entry, sourceHashes, outputPath) {
+    return Boolean(entry)
+        && entry.png?.hash === sourceHashes.png
+        && entry.json?.hash === sourceHashes.json
+        && (entry.ohlc?.hash ?? null) === sourceHashes.ohlc
+        && (entry.exports ?? null) === sourceHashes.exports
+        && (entry.review ?? null) === sourceHashes.review
+        && (entry.previous ?? null) === sourceHashes.previous
+        && entry.settings === sourceHashes.settings
+        && fs.existsSync(outputPath);
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    hashContent,
+    hashFile,
+    createEmptyManifest,
+    loadManifest,
+    saveManifest,
+    getManifestKey,
+    isUpToDate,
+};
@@ -0,0 +1,142 @@
+/**
+ * Obsidian Vault Export
+ * * Description:
+ * Builds the Markdown notes that turn the output directory into an Obsidian
+ * vault: one note per setup with YAML frontmatter (ready for Dataview
+ * queries) that embeds the rendered image, plus daily and per-symbol index
+ * notes linking the setups in time order.
+ */
+
+const { formatTimestamp } = require('./timestamps');
+const { checkLimitOrder } = require('./trade_checks');
+const { formatTimeframe } = require('./utils');
+
+const INDEX_DIR = '_index';
+const DAILY_INDEX_DIR = `${INDEX_DIR}/daily`;
+const SYMBOL_INDEX_DIR = `${INDEX_DIR}/symbols`;
+
+// --- FRONTMATTER ---
+function toYamlValue(value) {
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (Array.isArray(value)) return `[${value.map(toYamlValue).join(', ')}]`;
+    // JSON strings are valid YAML scalars and take care of quotes and special characters
+    return JSON.stringify(String(value));
+}
+function renderFrontmatter(fields) {
+    const lines = Object.entries(fields)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `${key}: ${toYamlValue(value)}`);
+    return `---\n${lines.join('\n')}\n---`;
+}
+function toIsoLocal(timestamp) {
+    return formatTimestamp(timestamp).replace(' ', 'T');
+}
+function getDate(timestamp) {
+    return formatTimestamp(timestamp).slice(0, 10);
+}
+function getTime(timestamp) {
+    return formatTimestamp(timestamp).slice(11, 16);
+}
+function toTag(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9_/-]/g, '-');
+}
+
+// --- SETUP NOTES ---
+/**
+ * Renders the note that sits next to a setup's PNG. `info` is the parsed file name (or null), `eventType`
+ * the kind of log event, `data` the validated snapshot, `outcome` the optional back-test result and
+ * `source` the JSON path shown in the note.
+ */
+function renderSetupNote({ info, eventType, data, outcome, imageFileName, source }) {
+    const order = data.limitOrder || {};
+    const structure = data.currentMarketStructure ?? null;
+    const frontmatter = renderFrontmatter({
+        type: 'setup',
+        eventType,
+        symbol: info?.symbol,
+        timeframe: info?.timeframe,
+        timestamp: info ? toIsoLocal(info.timestamp) : null,
+        date: info ? getDate(info.timestamp) : null,
+        marketStructure: structure,
+        orderVolume: data.orderVolume,
+        limitPrice: order.limitPrice,
+        takeProfit: order.takeProfit,
+        stopLoss: order.stopLoss,
+        zonePips: order.zonePips,
+        takeProfitPips: order.takeProfitPips,
+        stopLossPips: order.stopLossPips,
+        // From the prices, like the image and the dataset export
+        riskReward: checkLimitOrder(data.limitOrder, structure, null).riskReward,
+        indecisive: data.indecisionCandle?.isIndecisive,
+        outcome: outcome?.status,
+        mfePips: outcome?.mfePips,
+        maePips: outcome?.maePips,
+        source,
+        tags: ['setup', ...(info ? [toTag(info.symbol)] : []), ...(structure ? [toTag(structure)] : [])],
+    });
+
+    const links = info
+        ? `\n\n[[${DAILY_INDEX_DIR}/${getDate(info.timestamp)}|${getDate(info.timestamp)}]] · [[${SYMBOL_INDEX_DIR}/${info.symbol}|${info.symbol}]]`
+        : '';
+    return `${frontmatter}\n\n![[${imageFileName}]]${links}\n`;
+}
+
+// --- INDEX NOTES ---
+function describeSetup(setup) {
+    return `${setup.info.symbol} ${formatTimeframe(setup.info.timeframe)} ${setup.structure ?? ''}`.trim();
+}
+function renderLink(setup, label) {
+    return `[[${setup.notePath.replace(/\.md$/, '')}|${label}]]`;
+}
+
+/**
+ * Groups setups into daily and per-symbol index notes. Each setup is `{ info, structure, notePath }`
+ * with `notePath` relative to the vault root. Returns `{ path, content }` entries relative to the vault.
+ */
+function renderIndexNotes(setups) {
+    const dated = setups.filter(setup => setup.info).sort((a, b) => a.info.timestamp - b.info.timestamp);
+    const byDay = new Map();
+    const bySymbol = new Map();
+    for (const setup of dated) {
+        const day = getDate(setup.info.timestamp);
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(setup);
+        if (!bySymbol.has(setup.info.symbol)) bySymbol.set(setup.info.symbol, []);
+        bySymbol.get(setup.info.symbol).push(setup);
+    }
+
+    const notes = [];
+    for (const [day, daySetups] of byDay) {
+        const symbols = [...new Set(daySetups.map(setup => setup.info.symbol))].sort();
+        const lines = daySetups.map(setup => `- ${getTime(setup.info.timestamp)} ${renderLink(setup, describeSetup(setup))}`);
+        notes.push({
+            path: `${DAILY_INDEX_DIR}/${day}.md`,
+            content: `${renderFrontmatter({ type: 'daily-index', date: day, setups: daySetups.length, tags: ['setup-index'] })}\n\n`
+                + `# ${day}\n\nSymbols: ${symbols.map(symbol => `[[${SYMBOL_INDEX_DIR}/${symbol}|${symbol}]]`).join(' · ')}\n\n${lines.join('\n')}\n`,
+        });
+    }
+    for (const [symbol, symbolSetups] of bySymbol) {
+        const sections = [];
+        let currentDay = null;
+        for (const setup of symbolSetups) {
+            const day = getDate(setup.info.timestamp);
+            if (day !== currentDay) {
+                sections.push(`\n## [[${DAILY_INDEX_DIR}/${day}|${day}]]\n`);
+                currentDay = day;
+            }
+            sections.push(`- ${getTime(setup.info.timestamp)} ${renderLink(setup, describeSetup(setup))}`);
+        }
+        notes.push({
+            path: `${SYMBOL_INDEX_DIR}/${symbol}.md`,
+            content: `${renderFrontmatter({ type: 'symbol-index', symbol, setups: symbolSetups.length, tags: ['setup-index'] })}\n\n`
+                + `# ${symbol}\n${sections.join('\n')}\n`,
+        });
+    }
+    return notes;
+}
+
+module.exports = {
+    INDEX_DIR,
+    renderSetupNote,
+    renderIndexNotes,
+};
@@ -0,0 +1,112 @@
+/**
+ * Pair Watcher
+ * * Description:
+ * Decides when a `.png`/`.json` pair found while watching the input folders
+ * is ready to render. The bot writes the two files one after the other, so a
+ * pair is only handed out once both halves exist and neither has changed size
+ * or modification time for `settleMs`. A pair is handed out again when either
+ * file changes afterwards. A half whose partner has not turned up after
+ * `pairTimeoutMs` is reported once as overdue.
+ */
+
+const fs = require('fs');
+const { PAIR_EXTENSIONS } = require('./utils');
+
+// Size and modification time; null while the file is missing or empty, which never counts as settled
+function getFileSignature(filePath) {
+    try {
+        const stat = fs.statSync(filePath);
+        return stat.size > 0 ? `${stat.size}:${stat.mtimeMs}` : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Creates a watcher over candidates as returned by `findFilePairs(..., { includeIncomplete: true })`.
+ * Candidates are identified by their `id`.
+ */
+function createPairWatcher({ settleMs, pairTimeoutMs }) {
+    const files = new Map(); // path -> { signature, changedAt }
+    const handled = new Map(); // pair id -> combined signature when last handed out
+    const halves = new Map(); // pair id -> { since, reported }
+
+    function getSettledSignature(filePath, now) {
+        const signature = getFileSignature(filePath);
+        const state = files.get(filePath);
+        if (!state || state.signature !== signature) {
+            files.set(filePath, { signature, changedAt: now });
+            return null;
+        }
+        return signature !== null && now - state.changedAt >= settleMs ? signature : null;
+    }
+
+    return {
+        /**
+         * Marks the candidates already on disk as handled, so only files that arrive or change later are rendered
+         * and halves that were orphaned before watching started are not reported.
+         */
+        ignoreExisting(candidates) {
+            for (const pair of candidates) {
+                const paths = PAIR_EXTENSIONS.map(ext => pair[ext]).filter(Boolean);
+                for (const filePath of paths) {
+                    files.set(filePath, { signature: getFileSignature(filePath), changedAt: -Infinity });
+                }
+                if (paths.length === PAIR_EXTENSIONS.length) {
+                    handled.set(pair.id, paths.map(getFileSignature).join('|'));
+                } else {
+                    halves.set(pair.id, { since: -Infinity, reported: true });
+                }
+            }
+        },
+
+        /**
+         * Takes the latest scan and returns `{ ready, overdue }`: the pairs to render now, and
+         * `{ pair, missing }` for halves that just passed the timeout without their partner.
+         */
+        update(candidates, now) {
+            const ready = [];
+            const overdue = [];
+            const seenPaths = new Set();
+            const seenIds = new Set();
+            for (const pair of candidates) {
+                seenIds.add(pair.id);
+                const missing = PAIR_EXTENSIONS.find(ext => !pair[ext]);
+                if (missing) {
+                    seenPaths.add(pair[missing === '.png' ? '.json' : '.png']);
+                    if (!halves.has(pair.id)) halves.set(pair.id, { since: now, reported: false });
+                    const half = halves.get(pair.id);
+                    if (!half.reported && now - half.since >= pairTimeoutMs) {
+                        half.reported = true;
+                        overdue.push({ pair, missing });
+                    }
+                    continue;
+                }
+                halves.delete(pair.id);
+                const signatures = PAIR_EXTENSIONS.map(ext => {
+                    seenPaths.add(pair[ext]);
+                    return getSettledSignature(pair[ext], now);
+                });
+                if (signatures.includes(null)) continue;
+                const signature = signatures.join('|');
+                if (handled.get(pair.id) === signature) continue;
+                handled.set(pair.id, signature);
+                ready.push(pair);
+            }
+            // Forget deleted files so a pair written again under the same name is picked up
+            for (const filePath of files.keys()) {
+                if (!seenPaths.has(filePath)) files.delete(filePath);
+            }
+            for (const map of [handled, halves]) {
+                for (const id of map.keys()) {
+                    if (!seenIds.has(id)) map.delete(id);
+                }
+            }
+            return { ready, overdue };
+        },
+    };
+}
+
+module.exports = {
+    createPairWatcher,
+};
@@ -0,0 +1,129 @@
+/**
+ * Publish Stage
+ * * Description:
+ * Connects a render run to the publishers (lib/publishers.js): decides which
+ * rendered setups are new, hands them over with their image and keeps the
+ * publish log of which publisher posted which snapshot, so nothing goes out
+ * twice. With --dry-run every post goes to a local stub server and the log is
+ * left untouched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { IMAGE_CONTENT_TYPES } = require('./render');
+const { publishSetup, startDryRunServer } = require('./publishers');
+
+const PUBLISH_LOG_FILE = '.publish-log.json';
+const PUBLISH_LOG_VERSION = 1;
+const PUBLISH_DRY_RUN_DIR = 'publish-dry-run';
+
+/**
+ * Reads which publishers already posted each snapshot, keyed by the resolved source JSON path so a setup is
+ * not posted again when it is re-rendered in another format or after --clean.
+ */
+function loadPublishLog(outputDir) {
+    const logPath = path.join(outputDir, PUBLISH_LOG_FILE);
+    const empty = { version: PUBLISH_LOG_VERSION, entries: {} };
+    if (!fs.existsSync(logPath)) return empty;
+    try {
+        const log = JSON.parse(fs.readFileSync(logPath, 'utf8'));
+        if (log.version !== PUBLISH_LOG_VERSION || typeof log.entries !== 'object' || log.entries === null) {
+            console.warn(`  ⚠️ Ignoring publish log with unsupported format: ${logPath}`);
+            return empty;
+        }
+        return log;
+    } catch (e) {
+        console.warn(`  ⚠️ Ignoring unreadable publish log ${logPath}: ${e.message}`);
+        return empty;
+    }
+}
+function savePublishLog(log, outputDir) {
+    const sortedEntries = Object.fromEntries(Object.entries(log.entries).sort(([a], [b]) => a.localeCompare(b)));
+    fs.writeFileSync(path.join(outputDir, PUBLISH_LOG_FILE), `${JSON.stringify({ version: PUBLISH_LOG_VERSION, entries: sortedEntries }, null, 2)}\n`);
+}
+
+/**
+ * Sets up publishing for a render run with --publish: the configured publishers, the publish log, the snapshots
+ * that are not new (see `isNewSetup`) and, with --dry-run, the stub server that receives every post instead (its
+ * requests are saved in the output directory and the log is left untouched). `previousManifest` is the manifest as
+ * it was before --clean and `pairs` every pair found in the input folders. Returns null without --publish.
+ */
+async function createPublishStage(options, previousManifest, pairs) {
+    if (!options.publish) return null;
+    const firstUse = !fs.existsSync(path.join(options.outputDir, PUBLISH_LOG_FILE));
+    const log = loadPublishLog(options.outputDir);
+    // The first time, every snapshot already in the input folders is recorded as known without being posted
+    if (firstUse && !options.publishExisting) {
+        for (const pair of pairs) log.entries[path.resolve(pair['.json'])] ??= [];
+        if (!options.dryRun) savePublishLog(log, options.outputDir);
+        console.log(`First --publish into '${options.outputDir}': ${pairs.length} existing snapshot(s) will not be posted (see --publish-existing).`);
+    }
+    const known = new Set(options.publishExisting ? [] : [
+        ...Object.values(previousManifest.entries).map(entry => entry.json?.path).filter(Boolean),
+        ...Object.keys(log.entries),
+    ]);
+    const pending = new Set(Object.values(previousManifest.entries).filter(entry => entry.publishPending).map(entry => entry.json.path));
+    let dryRun = null;
+    if (options.dryRun) {
+        const recordDir = path.join(options.outputDir, PUBLISH_DRY_RUN_DIR);
+        fs.rmSync(recordDir, { recursive: true, force: true });
+        dryRun = await startDryRunServer(recordDir);
+        console.log(`Dry run: posts go to a stub server at ${dryRun.url} and are saved in '${recordDir}'.`);
+    }
+    const names = options.publishers.map(publisher => publisher.name).join(', ');
+    console.log(`Publishing new setups to ${names}${dryRun ? ' (dry run)' : ''}.`);
+    return { publishers: options.publishers, log, known, pending, dryRun };
+}
+
+/**
+ * Only new snapshots are published: ones with no output before the run and not in the publish log, which after
+ * the first --publish lists everything that was already there. So neither the first --publish run, a re-render
+ * forced by new settings nor one after --clean posts the history. A snapshot whose posts failed stays new until
+ * it is posted; with --publish-existing every snapshot counts as new.
+ */
+function isNewSetup(publishStage, jsonPath) {
+    const key = path.resolve(jsonPath);
+    return publishStage.pending.has(key) || !publishStage.known.has(key);
+}
+
+/**
+ * Hands a freshly rendered setup to the publishers and records the successful posts in the publish log.
+ * Returns the per-publisher results of `publishSetup` (lib/publishers.js).
+ */
+async function publishRenderedSetup(publishStage, jsonPath, outputPath, summary, options) {
+    const { publishers, log, dryRun } = publishStage;
+    const logKey = path.resolve(jsonPath);
+    const alreadyPublished = log.entries[logKey] || [];
+    const extension = path.extname(outputPath);
+    const image = IMAGE_CONTENT_TYPES[extension]
+        ? { buffer: fs.readFileSync(outputPath), fileName: path.basename(outputPath), contentType: IMAGE_CONTENT_TYPES[extension] }
+        : null;
+    const results = await publishSetup(publishers, { summary, image, colors: options.style.colors }, { alreadyPublished, dryRunUrl: dryRun?.url ?? null });
+    for (const { publisher, status, reason } of results) {
+        if (status === 'posted') console.log(`  ✅ Posted to ${publisher}${dryRun ? ' (dry run)' : ''}${reason ? ` ${reason}` : ''}`);
+        if (status === 'failed') console.error(`  ❌ Not posted to ${publisher}: ${reason}`);
+    }
+    const posted = results.filter(result => result.status === 'posted').map(result => result.publisher);
+    if (posted.length > 0 && !dryRun) {
+        log.entries[logKey] = [...alreadyPublished, ...posted];
+        savePublishLog(log, options.outputDir);
+    }
+    return results;
+}
+function countPublishResults(results) {
+    const counts = { posted: 0, filtered: 0, skipped: 0, failed: 0 };
+    for (const { published } of results) {
+        for (const { status } of published || []) counts[status]++;
+    }
+    return counts;
+}
+
+module.exports = {
+    PUBLISH_LOG_FILE,
+    PUBLISH_DRY_RUN_DIR,
+    loadPublishLog,
+    createPublishStage,
+    isNewSetup,
+    publishRenderedSetup,
+    countPublishResults,
+};
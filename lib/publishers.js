@@ -0,0 +1,304 @@
+/**
+ * Setup Publishers
+ * * Description:
+ * Posts freshly rendered setups to chat channels. Each entry in the config
+ * file's `publishers` list has a type, a URL and rules that pick the setups
+ * worth posting. A `webhook` receives the rendered image and the JSON summary
+ * as multipart form data; `discord` and `slack` receive a chat message in
+ * their webhook format (Discord with the image attached). Failed deliveries
+ * are retried with exponential backoff. New types are added to
+ * PUBLISHER_TYPES: a `buildRequest(setup)` that returns `{ headers, body }`.
+ *
+ * The dry-run server stands in for every publisher URL, so a run with
+ * `--dry-run` goes through the whole delivery path without posting anything.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { formatTimeframe, isPlainObject, sleep } = require('./utils');
+
+const PUBLISHER_KEYS = ['name', 'type', 'url', 'headers', 'rules', 'retries', 'timeoutSeconds'];
+const RULE_KEYS = ['eventTypes', 'symbols', 'structures', 'orderVolumeAbove', 'minRiskReward', 'allowIssues'];
+const DEFAULT_RETRIES = 3;
+const DEFAULT_TIMEOUT_SECONDS = 15;
+const RETRY_BASE_DELAY_MS = 1000; // Doubled after every failed attempt
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// --- MESSAGES ---
+/**
+ * The title and the key numbers of a setup, shared by the chat message formats.
+ */
+function describeSetup(summary) {
+    const { symbol, timeframe, data, tradeCheck } = summary;
+    const title = [symbol, timeframe && formatTimeframe(timeframe), data.currentMarketStructure].filter(Boolean).join(' ') || summary.eventType;
+    const riskReward = tradeCheck?.riskReward;
+    const fields = [
+        ['Order Volume', data.orderVolume],
+        ['Limit Price', data.limitOrder?.limitPrice],
+        ['Take Profit', data.limitOrder?.takeProfit],
+        ['Stop Loss', data.limitOrder?.stopLoss],
+        ['R:R', riskReward !== null && riskReward !== undefined ? `1:${riskReward}` : null],
+    ].filter(([, value]) => value !== null && value !== undefined).map(([name, value]) => ({ name, value: String(value) }));
+    return { title, fields, time: summary.snapshotTime };
+}
+// Discord only embeds attachments whose names are plain
+function getAttachmentName(fileName) {
+    return fileName.replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+/**
+ * Request builders by publisher type. `setup` is `{ summary, image, colors }`: the `--format json` summary, the
+ * rendered file as `{ buffer, fileName, contentType }` (null for json outputs) and the theme colours.
+ */
+const PUBLISHER_TYPES = {
+    webhook: {
+        buildRequest({ summary, image }) {
+            const form = new FormData();
+            form.append('summary', new Blob([JSON.stringify(summary)], { type: 'application/json' }), 'summary.json');
+            if (image) form.append('image', new Blob([image.buffer], { type: image.contentType }), image.fileName);
+            return { body: form };
+        },
+    },
+    discord: {
+        buildRequest({ summary, image, colors }) {
+            const { title, fields, time } = describeSetup(summary);
+            const color = colors?.[summary.data.currentMarketStructure?.toLowerCase()];
+            // Discord shows PNG, WebP and JPEG inline but not SVG
+            const attachment = image && /^image\/(png|webp|jpeg)$/.test(image.contentType) ? getAttachmentName(image.fileName) : null;
+            const embed = {
+                title,
+                fields: fields.map(field => ({ ...field, inline: true })),
+                ...(HEX_COLOR_PATTERN.test(color ?? '') && { color: parseInt(color.slice(1), 16) }),
+                ...(time && { footer: { text: time } }),
+                ...(attachment && { image: { url: `attachment://${attachment}` } }),
+            };
+            const form = new FormData();
+            form.append('payload_json', JSON.stringify({ embeds: [embed] }));
+            if (attachment) form.append('files[0]', new Blob([image.buffer], { type: image.contentType }), attachment);
+            return { body: form };
+        },
+    },
+    // Slack incoming webhooks take text only; Discord accepts the same payload at its `/slack` endpoint
+    slack: {
+        buildRequest({ summary }) {
+            const { title, fields, time } = describeSetup(summary);
+            const details = fields.map(field => `${field.name}: ${field.value}`).join(' · ');
+            const payload = {
+                text: `${title}${details ? ` · ${details}` : ''}`,
+                blocks: [
+                    { type: 'header', text: { type: 'plain_text', text: title } },
+                    ...(fields.length > 0 ? [{ type: 'section', fields: fields.map(field => ({ type: 'mrkdwn', text: `*${field.name}*\n${field.value}` })) }] : []),
+                    ...(time ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: time }] }] : []),
+                ],
+            };
+            return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) };
+        },
+    },
+};
+
+
+// --- CONFIGURATION ---
+function checkStringList(value, where) {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) throw new Error(`${where} must be a list of strings.`);
+}
+
+function normalizeRules(rules, where) {
+    if (!isPlainObject(rules)) throw new Error(`${where}: 'rules' must be an object.`);
+    for (const key of Object.keys(rules)) {
+        if (!RULE_KEYS.includes(key)) throw new Error(`${where}: unknown rule '${key}' (expected ${RULE_KEYS.join(', ')}).`);
+    }
+    for (const key of ['eventTypes', 'symbols', 'structures']) {
+        if (rules[key] !== undefined) checkStringList(rules[key], `${where}: rule '${key}'`);
+    }
+    for (const key of ['orderVolumeAbove', 'minRiskReward']) {
+        if (rules[key] !== undefined && !(typeof rules[key] === 'number' && rules[key] >= 0)) {
+            throw new Error(`${where}: rule '${key}' must be a non-negative number.`);
+        }
+    }
+    if (rules.allowIssues !== undefined && typeof rules.allowIssues !== 'boolean') throw new Error(`${where}: rule 'allowIssues' must be true or false.`);
+    return {
+        ...rules,
+        ...(rules.symbols && { symbols: rules.symbols.map(symbol => symbol.toUpperCase()) }),
+        ...(rules.structures && { structures: rules.structures.map(structure => structure.toUpperCase()) }),
+    };
+}
+
+/**
+ * Checks the config file's `publishers` list and fills in the defaults. Throws an Error describing the first
+ * problem. Names default to `<type>-<n>` and must be unique, since the publish log records where a setup went.
+ */
+function normalizePublishers(publishers = []) {
+    if (!Array.isArray(publishers)) throw new Error(`Config 'publishers' must be a list.`);
+    const names = new Set();
+    return publishers.map((publisher, index) => {
+        const where = `Publisher ${index + 1}`;
+        if (!isPlainObject(publisher)) throw new Error(`${where} must be an object.`);
+        for (const key of Object.keys(publisher)) {
+            if (!PUBLISHER_KEYS.includes(key)) throw new Error(`${where}: unknown key '${key}' (expected ${PUBLISHER_KEYS.join(', ')}).`);
+        }
+        if (!PUBLISHER_TYPES[publisher.type]) {
+            throw new Error(`${where}: 'type' must be one of ${Object.keys(PUBLISHER_TYPES).join(', ')}, got '${publisher.type}'.`);
+        }
+        let url;
+        try {
+            url = new URL(publisher.url);
+        } catch (e) {
+            throw new Error(`${where}: 'url' must be an http(s) URL.`);
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error(`${where}: 'url' must be an http(s) URL.`);
+        const name = publisher.name ?? `${publisher.type}-${index + 1}`;
+        if (typeof name !== 'string' || !/^[\w.-]+$/.test(name)) throw new Error(`${where}: 'name' may only contain letters, digits, '.', '_' and '-'.`);
+        if (names.has(name)) throw new Error(`${where}: the name '${name}' is used twice.`);
+        names.add(name);
+        if (publisher.headers !== undefined && (!isPlainObject(publisher.headers) || Object.values(publisher.headers).some(value => typeof value !== 'string'))) {
+            throw new Error(`${where}: 'headers' must be an object of strings.`);
+        }
+        const retries = publisher.retries ?? DEFAULT_RETRIES;
+        if (!Number.isInteger(retries) || retries < 0) throw new Error(`${where}: 'retries' must be a whole number of at least 0.`);
+        const timeoutSeconds = publisher.timeoutSeconds ?? DEFAULT_TIMEOUT_SECONDS;
+        if (typeof timeoutSeconds !== 'number' || !(timeoutSeconds > 0)) throw new Error(`${where}: 'timeoutSeconds' must be a positive number.`);
+        return {
+            name,
+            type: publisher.type,
+            url: url.href,
+            headers: publisher.headers ?? {},
+            rules: normalizeRules(publisher.rules ?? {}, where),
+            retries,
+            timeoutSeconds,
+        };
+    });
+}
+
+
+// --- RULES ---
+/**
+ * Returns null when the setup passes every rule of the publisher, otherwise why it does not. Setups with
+ * validation issues are only posted with `allowIssues`; a rule on a value the snapshot lacks never passes.
+ */
+function checkPublisherRules(summary, rules) {
+    const { data, tradeCheck } = summary;
+    if (!rules.allowIssues && summary.issues.length > 0) return `${summary.issues.length} validation issue(s)`;
+    if (rules.eventTypes && !rules.eventTypes.includes(summary.eventType)) return `event type ${summary.eventType}`;
+    if (rules.symbols && !rules.symbols.includes(String(summary.symbol).toUpperCase())) return `symbol ${summary.symbol}`;
+    if (rules.structures && !rules.structures.includes(data.currentMarketStructure)) return `structure ${data.currentMarketStructure}`;
+    if (rules.orderVolumeAbove !== undefined && !(data.orderVolume > rules.orderVolumeAbove)) {
+        return `order volume ${data.orderVolume} is not above ${rules.orderVolumeAbove}`;
+    }
+    if (rules.minRiskReward !== undefined && !(tradeCheck?.riskReward >= rules.minRiskReward)) {
+        return `R:R ${tradeCheck?.riskReward ?? 'unknown'} is below ${rules.minRiskReward}`;
+    }
+    return null;
+}
+
+
+// --- DELIVERY ---
+// Rate limits and server errors are worth another attempt; other client errors are not
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+function getRetryDelay(response, attempt) {
+    const retryAfter = Number(response?.headers.get('retry-after'));
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS);
+    return RETRY_BASE_DELAY_MS * 2 ** attempt;
+}
+
+/**
+ * Posts one request, retrying up to `publisher.retries` times. Resolves with `{ attempts }`; rejects with the
+ * last error once every attempt has failed. `url` replaces the configured one (the dry-run server).
+ */
+async function deliver(publisher, request, url = publisher.url) {
+    let lastError;
+    let attempts = 0;
+    for (let attempt = 0; attempt <= publisher.retries; attempt++) {
+        attempts++;
+        let response = null;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { ...publisher.headers, ...request.headers },
+                body: request.body,
+                signal: AbortSignal.timeout(publisher.timeoutSeconds * 1000),
+            });
+            if (response.ok) return { attempts };
+            const text = (await response.text()).slice(0, 200);
+            lastError = new Error(`HTTP ${response.status}${text ? `: ${text}` : ''}`);
+            if (!isRetryableStatus(response.status)) break;
+        } catch (e) {
+            lastError = e.name === 'TimeoutError' ? new Error(`no response within ${publisher.timeoutSeconds} s`) : e;
+        }
+        if (attempt < publisher.retries) await sleep(getRetryDelay(response, attempt));
+    }
+    throw new Error(attempts > 1 ? `${lastError.message} (after ${attempts} attempts)` : lastError.message);
+}
+
+/**
+ * Sends a setup to every publisher whose rules it passes and that has not posted it yet (`alreadyPublished`
+ * lists their names). Resolves with one `{ publisher, status, reason }` per publisher, where `status` is
+ * `posted`, `filtered`, `skipped` (posted earlier) or `failed`. `dryRunUrl` redirects every delivery.
+ */
+async function publishSetup(publishers, setup, { alreadyPublished = [], dryRunUrl = null } = {}) {
+    const results = [];
+    for (const publisher of publishers) {
+        if (alreadyPublished.includes(publisher.name)) {
+            results.push({ publisher: publisher.name, status: 'skipped', reason: 'posted before' });
+            continue;
+        }
+        const reason = checkPublisherRules(setup.summary, publisher.rules);
+        if (reason) {
+            results.push({ publisher: publisher.name, status: 'filtered', reason });
+            continue;
+        }
+        try {
+            const request = PUBLISHER_TYPES[publisher.type].buildRequest(setup);
+            const { attempts } = await deliver(publisher, request, dryRunUrl ? `${dryRunUrl}/${publisher.name}` : publisher.url);
+            results.push({ publisher: publisher.name, status: 'posted', reason: attempts > 1 ? `after ${attempts} attempts` : null });
+        } catch (e) {
+            results.push({ publisher: publisher.name, status: 'failed', reason: e.message });
+        }
+    }
+    return results;
+}
+
+
+// --- DRY RUN ---
+/**
+ * Starts a stub server on a free localhost port that answers every POST with 200 and saves the request as
+ * received (request line, headers, body) to `recordDir/<n>-<publisher>.http`. Resolves with
+ * `{ url, close }`; `close` resolves once the server has stopped. The server does not keep the process alive.
+ */
+function startDryRunServer(recordDir) {
+    let requestCount = 0;
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requestCount++;
+            const name = path.basename(req.url).replace(/[^\w.-]/g, '_') || 'request';
+            const head = [`${req.method} ${req.url} HTTP/${req.httpVersion}`, ...Object.entries(req.headers).map(([key, value]) => `${key}: ${value}`)].join('\r\n');
+            fs.mkdirSync(recordDir, { recursive: true });
+            fs.writeFileSync(path.join(recordDir, `${String(requestCount).padStart(3, '0')}-${name}.http`), Buffer.concat([Buffer.from(`${head}\r\n\r\n`), ...chunks]));
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end('{"ok":true}');
+        });
+    });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            server.unref();
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done)),
+            });
+        });
+    });
+}
+
+module.exports = {
+    PUBLISHER_TYPES,
+    normalizePublishers,
+    checkPublisherRules,
+    publishSetup,
+    startDryRunServer,
+};
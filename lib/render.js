@@ -0,0 +1,1227 @@
+/**
+ * Snapshot Renderer
+ * * Description:
+ * Everything that turns a snapshot into output, with no file writes or
+ * console output: the data panel SVG (one template per event type),
+ * validation and trade checks, and the combined chart image as a PNG, WebP
+ * or JPEG buffer. `process_logs.js` is the command-line front end; other
+ * code can use these functions through the package entry point.
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+const { CONFLUENCE_TIMEFRAMES, DEFAULT_EVENT_TYPE, validateSnapshot } = require('./snapshot_schema');
+const { formatTimestamp } = require('./timestamps');
+const { getDirection, simulateLimitOrder } = require('./backtest');
+const { resolveRenderStyle } = require('./render_config');
+const { buildFootprint, interpolateColor } = require('./footprint');
+const { getPipSize } = require('./instruments');
+const { checkLimitOrder } = require('./trade_checks');
+const { diffSnapshots } = require('./snapshot_diff');
+const { createXmpPacket, embedSvgMetadata } = require('./image_metadata');
+const { escapeHtml } = require('./utils');
+
+const INVALID_VALUE_MARKER = '⚠'; // Drawn in place of values that failed schema validation
+const MAX_ISSUES_ON_IMAGE = 12;
+const VALIDATION_REPORT_FILE = 'validation-report.json'; // Named on the image when not every issue fits
+const WRAP_TEXT_LENGTH = 48; // Characters per line for free text such as cancellation reasons
+const PRICE_LADDER_ROWS = 14; // Height of the price scale in text lines
+const PRICE_LADDER_TICKS = 4;
+const MAX_PRICE_DECIMALS = 6;
+const MAX_IMBALANCE_CHANGES_ON_IMAGE = 12;
+const LIMIT_ORDER_FIELDS = [
+    ['limitPrice', 'Limit Price'],
+    ['takeProfit', 'Take Profit'],
+    ['stopLoss', 'Stop Loss'],
+    ['zonePips', 'Zone Pips'],
+    ['takeProfitPips', 'Take Profit Pips'],
+    ['stopLossPips', 'Stop Loss Pips'],
+];
+const PRICE_FIELDS = ['limitPrice', 'takeProfit', 'stopLoss'];
+// `color` names a colour of the active theme
+const OUTCOME_LABELS = {
+    'take-profit': { text: 'Take profit hit', color: 'ask' },
+    'stop-loss': { text: 'Stop loss hit', color: 'bid' },
+    'open': { text: 'Filled, still open', color: 'text' },
+    'not-filled': { text: 'Not filled', color: 'text' },
+    'unknown': { text: 'Unknown', color: 'text' },
+};
+// Output formats and the file extension each one is written with
+const OUTPUT_FORMATS = { png: '.png', webp: '.webp', jpeg: '.jpg', svg: '.svg', json: '.json' };
+const DEFAULT_OUTPUT_FORMAT = 'png';
+const IMAGE_FORMATS = ['png', 'webp', 'jpeg']; // Output formats that include the chart
+// For serving and posting the outputs; json outputs are not images
+const IMAGE_CONTENT_TYPES = { '.png': 'image/png', '.webp': 'image/webp', '.jpg': 'image/jpeg', '.svg': 'image/svg+xml' };
+const DEFAULT_QUALITY = 90; // WebP and JPEG
+const RENDER_LAYOUT_VERSION = 9; // Bump whenever the data panel or the combined image change
+// Colours, sizes and layout come from the config file (see lib/render_config.js); this is the built-in dark theme
+const DEFAULT_RENDER_STYLE = resolveRenderStyle();
+
+// --- SVG GENERATION LOGIC ---
+function getOrdinal(n) {
+    if (n > 3 && n < 21) return 'th';
+    switch (n % 10) {
+        case 1: return "st";
+        case 2: return "nd";
+        case 3: return "rd";
+        default: return "th";
+    }
+}
+// The validator replaces invalid values with null, so null is shown as the invalid marker
+function formatValue(value) {
+    return value === null ? INVALID_VALUE_MARKER : String(value);
+}
+
+// Signed difference for --diff, e.g. ` (+12)`; empty when there is none to show
+function formatSigned(value) {
+    return `${value > 0 ? '+' : ''}${value}`;
+}
+function formatDelta(delta) {
+    return delta === null || delta === undefined ? '' : ` (${formatSigned(delta)})`;
+}
+// A value missing on one side of a diff (e.g. a level that only exists in one snapshot)
+function formatChangeValue(value) {
+    return value === null ? '-' : String(value);
+}
+// ▲ grew (or appeared), ▼ shrank, * changed otherwise
+function getChangeArrow(change) {
+    if (!change) return '';
+    if (change.delta > 0 || (change.from === null && typeof change.to === 'number')) return '▲';
+    return change.delta < 0 ? '▼' : '*';
+}
+
+/**
+ * Generates an SVG group containing a single candle's details in a box format.
+ */
+function formatCandleTable(title, candleData, width, height, style) {
+    if (!candleData) return { svg: '', width: 0 };
+    
+    let tspanElements = '';
+    tspanElements += `<tspan x="${style.padding}" dy="${style.lineHeight}" font-weight="bold">${title}</tspan>`;
+    
+    const details = [
+        `Indecisive: ${formatValue(candleData.isIndecisive)}`,
+        `Open: ${formatValue(candleData.open)}`,
+        `Close: ${formatValue(candleData.close)}`,
+        `High: ${formatValue(candleData.high)}`,
+        `Low: ${formatValue(candleData.low)}`,
+    ];
+
+    details.forEach(detail => {
+        tspanElements += `<tspan x="${style.padding}" dy="${style.lineHeight}">${escapeHtml(detail)}</tspan>`;
+    });
+
+    const tableRect = `<rect x="0" y="0" width="${width}" height="${height}" fill="${style.colors.panel}" rx="5" />`;
+
+    const svg = `<g>
+        ${tableRect}
+        <text y="${style.fontSize}" font-family="${style.fontFamily}" font-size="${style.fontSize}" fill="${style.colors.text}">${tspanElements}</text>
+    </g>`;
+    
+    return { svg: svg, width: width + style.tableGap };
+}
+
+/**
+ * Generates an SVG group containing the Order Volume in a simple box. `change` (from --diff) highlights
+ * the value and adds the previous one.
+ */
+function formatOrderVolumeTable(volume, width, height, style, change = null) {
+    if (volume === undefined) return { svg: '', width: 0 };
+
+    let tspanElements = '';
+    tspanElements += `<tspan x="${style.padding}" dy="${style.lineHeight}" font-weight="bold">Order Volume</tspan>`;
+    if (change) {
+        tspanElements += `<tspan x="${style.padding}" dy="${style.lineHeight}" fill="${style.colors.changed}" font-weight="bold">${formatValue(volume)}</tspan>`;
+        tspanElements += `<tspan x="${style.padding}" dy="${style.lineHeight}" fill="${style.colors.changed}">${escapeHtml(`was ${formatChangeValue(change.from)}${formatDelta(change.delta)}`)}</tspan>`;
+    } else {
+        tspanElements += `<tspan x="${style.padding}" dy="${style.lineHeight}">${formatValue(volume)}</tspan>`;
+    }
+
+    const tableRect = `<rect x="0" y="0" width="${width}" height="${height}" fill="${style.colors.panel}" rx="5" />`;
+
+    const svg = `<g>
+        ${tableRect}
+        <text y="${style.fontSize}" font-family="${style.fontFamily}" font-size="${style.fontSize}" fill="${style.colors.text}">${tspanElements}</text>
+    </g>`;
+    
+    return { svg: svg, width: width + style.tableGap };
+}
+
+function getMarketStructureColor(structure, style) {
+    if (structure === 'BEARISH') return style.colors.bearish;
+    if (structure === 'BULLISH') return style.colors.bullish;
+    return style.colors.text;
+}
+
+/**
+ * Generates an SVG group for the Market Structure in a simple box. `change` (from --diff) marks a flip
+ * with the previous structure.
+ */
+function formatMarketStructureTable(structure, width, height, style, change = null) {
+    if (!structure && structure !== null) return { svg: '', width: 0 };
+
+    const marketStructureColor = getMarketStructureColor(structure, style);
+
+    let tspanElements = '';
+    tspanElements += `<tspan x="${style.padding}" dy="${style.lineHeight}" font-weight="bold">Market Structure</tspan>`;
+    tspanElements += `<tspan x="${style.padding}" dy="${style.lineHeight}" fill="${marketStructureColor}"${change ? ' font-weight="bold"' : ''}>${formatValue(structure)}</tspan>`;
+    if (change) {
+        tspanElements += `<tspan x="${style.padding}" dy="${style.lineHeight}" fill="${style.colors.changed}">${escapeHtml(`was ${formatChangeValue(change.from)}`)}</tspan>`;
+    }
+
+    const tableRect = `<rect x="0" y="0" width="${width}" height="${height}" fill="${style.colors.panel}" rx="5" />`;
+
+    const svg = `<g>
+        ${tableRect}
+        <text y="${style.fontSize}" font-family="${style.fontFamily}" font-size="${style.fontSize}" fill="${style.colors.text}">${tspanElements}</text>
+    </g>`;
+    
+    return { svg: svg, width: width + style.tableGap };
+}
+
+
+// Monospace glyphs are roughly 0.6em wide; boxes never shrink below the trade details width
+function getBoxWidthForLines(lines, style) {
+    const longestLine = Math.max(...lines.map(line => line.length));
+    return Math.max(style.tradeDetailsWidth, Math.ceil(longestLine * style.fontSize * 0.6) + style.padding * 2);
+}
+function formatMinutes(minutes) {
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    return `${Math.floor(minutes / (24 * 60))}d ${Math.floor((minutes % (24 * 60)) / 60)}h`;
+}
+// Free text such as cancellation reasons and status messages is wrapped so boxes stay a sensible width
+function wrapText(text, maxLength = WRAP_TEXT_LENGTH) {
+    const lines = [];
+    let line = '';
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+        if (line && line.length + 1 + word.length > maxLength) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * Generates a box of text lines, each `{ text, color, bold }`. The box fits the longest line; `height`
+ * stretches it to line up with its neighbours, `borderColor` outlines it and `textColor` is the default fill.
+ */
+function formatLinesTable(lines, style, { height, borderColor, textColor = style.colors.text } = {}) {
+    const width = getBoxWidthForLines(lines.map(line => line.text), style);
+    const boxHeight = height ?? (lines.length * style.lineHeight) + style.padding;
+
+    let tspanElements = '';
+    lines.forEach((line, index) => {
+        const dy = index === 0 ? style.padding : style.lineHeight;
+        const fill = line.color ? ` fill="${line.color}"` : '';
+        const weight = line.bold ? ' font-weight="bold"' : '';
+        tspanElements += `<tspan x="${style.padding}" dy="${dy}"${fill}${weight}>${escapeHtml(line.text)}</tspan>`;
+    });
+
+    const stroke = borderColor ? ` stroke="${borderColor}"` : '';
+    const svg = `<g>
+        <rect x="0" y="0" width="${width}" height="${boxHeight}" fill="${style.colors.panel}"${stroke} rx="5" />
+        <text y="0" font-family="${style.fontFamily}" font-size="${style.fontSize}" fill="${textColor}">${tspanElements}</text>
+    </g>`;
+
+    return { svg, width, height: boxHeight };
+}
+
+/**
+ * Generates an SVG group with the back-tested outcome of the limit order.
+ */
+function formatResultTable(outcome, style) {
+    const label = OUTCOME_LABELS[outcome.status];
+    const lines = [];
+    if (outcome.direction) lines.push({ text: `Direction: ${outcome.direction.toUpperCase()}` });
+    lines.push({ text: `Outcome: ${label.text}`, color: style.colors[label.color], bold: true });
+    if (outcome.reason) lines.push({ text: `Reason: ${outcome.reason}` });
+    if (outcome.filled) {
+        lines.push({ text: `Filled: ${formatTimestamp(outcome.fillTime).slice(5, 16)} (+${formatMinutes(outcome.minutesToFill)})` });
+    }
+    if (outcome.exitTime !== null && outcome.exitTime !== undefined) {
+        lines.push({ text: `Exit: ${formatTimestamp(outcome.exitTime).slice(5, 16)} (+${formatMinutes(outcome.minutesToExit)})` });
+        lines.push({ text: `Exit Price: ${outcome.exitPrice}` });
+    }
+    if (outcome.filled) {
+        lines.push({ text: `MFE: ${outcome.mfePips} pips`, color: style.colors.ask });
+        lines.push({ text: `MAE: ${outcome.maePips} pips`, color: style.colors.bid });
+    }
+    if (outcome.ambiguous) {
+        const assumption = outcome.status === 'stop-loss' ? 'TP and SL on one candle: SL assumed first' : 'Fill and TP on one candle: fill assumed first';
+        lines.push({ text: `${INVALID_VALUE_MARKER} ${assumption}` });
+    }
+
+    return formatLinesTable(lines, style);
+}
+
+/**
+ * Generates an SVG group with the tags and note a reviewer added in the review page.
+ */
+function formatReviewTable(review, style) {
+    const lines = [];
+    if (review.tags.length > 0) lines.push({ text: `Tags: ${review.tags.join(' · ')}`, color: style.colors.accent, bold: true });
+    // Line breaks typed into the note are kept; each paragraph is wrapped on its own
+    for (const paragraph of review.note ? review.note.split(/\r?\n/) : []) {
+        const wrapped = wrapText(paragraph);
+        lines.push(...(wrapped.length > 0 ? wrapped : ['']).map(text => ({ text })));
+    }
+    if (review.updatedAt) lines.push({ text: `Reviewed: ${review.updatedAt.slice(0, 10)}`, color: style.colors.neutral });
+    return formatLinesTable(lines, style);
+}
+
+/**
+ * Generates an SVG group listing what changed since the previous snapshot (--diff). Price moves also show
+ * the distance in pips when the instrument is known.
+ */
+function formatChangesTable(changes, pipSize, style) {
+    const lines = [];
+    if (changes.structure) {
+        lines.push({ text: `Structure: ${formatChangeValue(changes.structure.from)} → ${formatChangeValue(changes.structure.to)}`, color: style.colors.changed, bold: true });
+    }
+    if (changes.orderVolume) {
+        const { from, to, delta } = changes.orderVolume;
+        lines.push({ text: `Order Volume: ${formatChangeValue(from)} → ${formatChangeValue(to)}${formatDelta(delta)}` });
+    }
+    const labels = Object.fromEntries(LIMIT_ORDER_FIELDS);
+    for (const { field, from, to, delta } of changes.limitOrder) {
+        const pips = PRICE_FIELDS.includes(field) && pipSize && delta !== null ? ` (${formatSigned(Math.round(delta / pipSize * 10) / 10)} pips)` : '';
+        lines.push({ text: `${labels[field]}: ${formatChangeValue(from)} → ${formatChangeValue(to)}${pips}` });
+    }
+    const shownImbalances = changes.imbalances.slice(0, MAX_IMBALANCE_CHANGES_ON_IMAGE);
+    for (const { candle, level, side, from, to, delta } of shownImbalances) {
+        const sideLabel = side === 'bids' ? 'Bid' : 'Ask';
+        lines.push({ text: `${getImbalanceTableTitle(candle)} L${level} ${sideLabel}: ${formatChangeValue(from)} → ${formatChangeValue(to)}${formatDelta(delta)}`, color: style.colors.changed });
+    }
+    if (changes.imbalances.length > shownImbalances.length) {
+        lines.push({ text: `...and ${changes.imbalances.length - shownImbalances.length} more imbalance levels` });
+    }
+    if (lines.length === 0) lines.push({ text: 'No changes', color: style.colors.neutral });
+    return formatLinesTable(lines, style);
+}
+
+/**
+ * Lists schema validation issues in a highlighted box so a leniently rendered image shows what was wrong.
+ */
+function formatValidationIssuesTable(issues, style) {
+    const shownIssues = issues.slice(0, MAX_ISSUES_ON_IMAGE);
+    const lines = shownIssues.map(issue => ({ text: `${issue.path || '(root)'}: ${issue.problem}` }));
+    if (issues.length > shownIssues.length) {
+        lines.push({ text: `...and ${issues.length - shownIssues.length} more (see ${VALIDATION_REPORT_FILE})` });
+    }
+    return formatLinesTable(lines, style, { borderColor: style.colors.bid, textColor: style.colors.bid });
+}
+
+
+// --- DATA PANEL SECTIONS ---
+/**
+ * Drawing state shared by the sections of a template: the SVG drawn so far, the next free y position,
+ * the right edge of the widest row and `details`, the snapshot fields no section has used yet.
+ * Sections delete the fields they draw; whatever is left ends up under "Remaining Details".
+ */
+function createPanel(data, annotations, style) {
+    return { svg: '', y: style.padding, width: 0, data, details: { ...data }, annotations, style, changes: indexChanges(annotations.changes) };
+}
+/**
+ * Looks up the --diff changes by field path (`orderVolume`, `limitOrder.stopLoss`, `imbalances.2.bids.1`)
+ * so the sections can highlight their values. Empty without a previous snapshot.
+ */
+function indexChanges(changes) {
+    const index = new Map();
+    if (!changes) return index;
+    if (changes.structure) index.set('currentMarketStructure', changes.structure);
+    if (changes.orderVolume) index.set('orderVolume', changes.orderVolume);
+    for (const change of changes.limitOrder) index.set(`limitOrder.${change.field}`, change);
+    for (const change of changes.imbalances) index.set(`imbalances.${change.candle}.${change.side}.${change.level}`, change);
+    return index;
+}
+function drawSectionHeader(panel, title, color = panel.style.colors.text) {
+    const { style } = panel;
+    const headerY = panel.y + style.headerFontSize;
+    panel.svg += `<text x="${style.padding}" y="${headerY}" font-family="${style.headerFontFamily}" font-size="${style.headerFontSize}" font-weight="bold" fill="${color}">${escapeHtml(title)}</text>`;
+    panel.y = headerY + style.headerToBoxSpacing;
+}
+
+/**
+ * Draws one box at the left edge and moves below it.
+ */
+function drawBox(panel, box) {
+    const { style } = panel;
+    panel.svg += `<g transform="translate(${style.padding}, ${panel.y})">${box.svg}</g>`;
+    panel.y += box.height + style.padding;
+    panel.width = Math.max(panel.width, style.padding + box.width + style.padding);
+}
+
+/**
+ * Draws text boxes (arrays of lines for `formatLinesTable`) side by side, stretched to the tallest one.
+ */
+function drawBoxRow(panel, boxLines) {
+    const { style } = panel;
+    if (boxLines.length === 0) return;
+    const height = (Math.max(...boxLines.map(lines => lines.length)) * style.lineHeight) + style.padding;
+    let x = style.padding;
+    for (const lines of boxLines) {
+        const box = formatLinesTable(lines, style, { height });
+        panel.svg += `<g transform="translate(${x}, ${panel.y})">${box.svg}</g>`;
+        x += box.width + style.tableGap;
+    }
+    panel.y += height + style.padding;
+    panel.width = Math.max(panel.width, x - style.tableGap + style.padding);
+}
+function getMarketStructureLines(structure, style) {
+    return [
+        { text: 'Market Structure', bold: true },
+        { text: formatValue(structure), color: getMarketStructureColor(structure, style) },
+    ];
+}
+
+// Candle boxes hold a title and five values; the boxes in the same row share their height
+function getCandleBoxHeight(style) {
+    return (6 * style.lineHeight) + (style.padding * 1.5);
+}
+
+/**
+ * Market structure, order volume and indecision candle boxes, whichever of them the snapshot has.
+ */
+function drawMarketContextRow(panel) {
+    const { details, style, changes } = panel;
+    const commonTableHeight = getCandleBoxHeight(style);
+    const boxes = [
+        formatMarketStructureTable(details.currentMarketStructure, style.marketStructureWidth, commonTableHeight, style, changes.get('currentMarketStructure')),
+        formatOrderVolumeTable(details.orderVolume, style.marketStructureWidth, commonTableHeight, style, changes.get('orderVolume')),
+        formatCandleTable('Indecision Candle', details.indecisionCandle, style.candleTableWidth, commonTableHeight, style),
+    ].filter(box => box.svg !== '');
+    delete details.currentMarketStructure;
+    delete details.orderVolume;
+    delete details.indecisionCandle;
+    if (boxes.length === 0) return;
+
+    let currentContextX = style.padding;
+    for (const box of boxes) {
+        panel.svg += `<g transform="translate(${currentContextX}, ${panel.y})">${box.svg}</g>`;
+        currentContextX += box.width;
+    }
+    panel.y += commonTableHeight + style.padding;
+    panel.width = Math.max(panel.width, currentContextX);
+}
+
+// Imbalance keys count back from the indecision candle, which is 1
+function getImbalanceTableTitle(key) {
+    const number = parseInt(key);
+    return (number === 1) ? 'Indecision Candle' : `${number - 1}${getOrdinal(number - 1)} Preceding Candle`;
+}
+
+/**
+ * Bid/ask tables for the indecision candle and the candles preceding it.
+ */
+function drawImbalanceTables(panel) {
+    const { details, style, changes } = panel;
+    const { imbalances } = details;
+    if (!imbalances) return;
+    delete details.imbalances;
+    if (style.footprint.enabled) {
+        drawImbalanceFootprint(panel, imbalances);
+        return;
+    }
+    const currentMarketStructure = panel.data.currentMarketStructure;
+
+    drawSectionHeader(panel, 'Zone Imbalances');
+    const imbalanceTablesY = panel.y;
+
+    const tableKeys = Object.keys(imbalances).sort((a, b) => parseInt(b) - parseInt(a));
+
+    let maxTableLineCount = 0;
+    for (const key of tableKeys) {
+        const { bids, asks } = imbalances[key];
+        const rowCount = Math.max(bids.length, asks.length);
+        const tableLineCount = 2 + rowCount;
+        maxTableLineCount = Math.max(maxTableLineCount, tableLineCount);
+    }
+
+    const uniformTableHeight = (maxTableLineCount * style.lineHeight) + (style.padding * 1.5);
+
+    let currentImbalanceX = style.padding;
+    for (const key of tableKeys) {
+        let tableTspanElements = '';
+        const title = getImbalanceTableTitle(key);
+        tableTspanElements += `<tspan x="${style.padding}" dy="${style.lineHeight}" font-weight="bold">${title}</tspan>`;
+
+        const asksX = style.padding + 80 * style.scale;
+        tableTspanElements += `<tspan x="${style.padding}" dy="${style.lineHeight}" text-decoration="underline">Bids</tspan>`;
+        tableTspanElements += `<tspan x="${asksX}" text-decoration="underline">Asks</tspan>`;
+
+        const { bids, asks } = imbalances[key];
+        const rowCount = Math.max(bids.length, asks.length);
+        for (let i = 0; i < rowCount; i++) {
+            let bidColor = style.colors.text;
+            let askColor = style.colors.text;
+            if (currentMarketStructure === 'BEARISH' && i === 0) {
+                bidColor = style.colors.bid;
+                askColor = style.colors.ask;
+            }
+            if (currentMarketStructure === 'BULLISH' && i === rowCount - 1) {
+                bidColor = style.colors.bid;
+                askColor = style.colors.ask;
+            }
+            // Levels that changed since the previous snapshot (--diff) get the changed colour and an arrow
+            const bidChange = changes.get(`imbalances.${key}.bids.${i}`);
+            const askChange = changes.get(`imbalances.${key}.asks.${i}`);
+            if (bidChange) bidColor = style.colors.changed;
+            if (askChange) askColor = style.colors.changed;
+            const bidText = i < bids.length ? `${formatValue(bids[i])}${getChangeArrow(bidChange)}` : '';
+            const askText = i < asks.length ? `${formatValue(asks[i])}${getChangeArrow(askChange)}` : '';
+            tableTspanElements += `<tspan x="${style.padding}" dy="${style.lineHeight}" fill="${bidColor}">${bidText}</tspan><tspan x="${asksX}" fill="${askColor}">${askText}</tspan>`;
+        }
+
+        const tableRect = `<rect x="0" y="0" width="${style.tableWidth}" height="${uniformTableHeight}" fill="${style.colors.panel}" rx="5" />`;
+
+        panel.svg += `<g transform="translate(${currentImbalanceX}, ${imbalanceTablesY})">
+            ${tableRect}
+            <text y="${style.fontSize}" font-family="${style.fontFamily}" font-size="${style.fontSize}" fill="${style.colors.text}">${tableTspanElements}</text>
+        </g>`;
+
+        currentImbalanceX += style.tableWidth + style.tableGap;
+    }
+
+    panel.y = imbalanceTablesY + uniformTableHeight;
+    panel.width = Math.max(panel.width, currentImbalanceX);
+}
+
+/**
+ * Footprint heatmap of the zone imbalances: one column per candle with a bid and an ask cell per price
+ * level, shaded by volume on a scale shared by all candles. Diagonal imbalances (see lib/footprint.js)
+ * are outlined in the bid or ask colour, stacked imbalances get a bar beside the column and each
+ * candle's delta (asks minus bids) and volume are printed underneath.
+ */
+function drawImbalanceFootprint(panel, imbalances) {
+    const { style, changes } = panel;
+    const { ratio, stackedLevels } = style.footprint;
+    const footprint = buildFootprint(imbalances, { ratio, stackedLevels });
+    const tableKeys = Object.keys(imbalances).sort((a, b) => parseInt(b) - parseInt(a));
+
+    drawSectionHeader(panel, 'Zone Imbalances');
+    const tablesY = panel.y;
+
+    const maxRowCount = Math.max(0, ...tableKeys.map(key => footprint.candles[key].levels.length));
+    const cellWidth = (style.tableWidth - style.padding * 2) / 2;
+    const cellHeight = style.lineHeight;
+    const titleY = style.padding + style.fontSize * 0.5;
+    const columnHeaderY = titleY + style.lineHeight;
+    const gridY = columnHeaderY + style.lineHeight * 0.4;
+    const deltaY = gridY + (maxRowCount * cellHeight) + style.lineHeight;
+    const tableHeight = deltaY + style.padding * 0.75;
+    const textAttributes = `font-family="${style.fontFamily}" font-size="${style.fontSize}" text-anchor="middle"`;
+
+    let currentX = style.padding;
+    for (const key of tableKeys) {
+        const candle = footprint.candles[key];
+        const { bids, asks } = imbalances[key];
+        let content = `<rect x="0" y="0" width="${style.tableWidth}" height="${tableHeight}" fill="${style.colors.panel}" rx="5" />`;
+        content += `<text x="${style.padding}" y="${titleY}" font-family="${style.fontFamily}" font-size="${style.fontSize}" font-weight="bold" fill="${style.colors.text}">${getImbalanceTableTitle(key)}</text>`;
+        content += `<text x="${style.padding + cellWidth / 2}" y="${columnHeaderY}" ${textAttributes} fill="${style.colors.text}" text-decoration="underline">Bids</text>`;
+        content += `<text x="${style.padding + cellWidth * 1.5}" y="${columnHeaderY}" ${textAttributes} fill="${style.colors.text}" text-decoration="underline">Asks</text>`;
+
+        candle.levels.forEach((level, row) => {
+            const cellY = gridY + row * cellHeight;
+            const cells = [
+                { present: row < bids.length, value: bids[row], volume: level.bid, imbalanced: level.bidImbalance, color: style.colors.bid, x: style.padding, change: changes.get(`imbalances.${key}.bids.${row}`) },
+                { present: row < asks.length, value: asks[row], volume: level.ask, imbalanced: level.askImbalance, color: style.colors.ask, x: style.padding + cellWidth, change: changes.get(`imbalances.${key}.asks.${row}`) },
+            ];
+            for (const cell of cells) {
+                if (!cell.present) continue;
+                const shade = interpolateColor(style.colors.heatLow, style.colors.heatHigh, footprint.maxVolume > 0 ? cell.volume / footprint.maxVolume : 0);
+                const outline = cell.imbalanced ? ` stroke="${cell.color}" stroke-width="2"` : '';
+                content += `<rect x="${cell.x + 1}" y="${cellY + 1}" width="${cellWidth - 2}" height="${cellHeight - 2}" fill="${shade}"${outline} rx="2" />`;
+                const weight = cell.imbalanced ? ' font-weight="bold"' : '';
+                const arrow = cell.change ? `<tspan fill="${style.colors.changed}">${getChangeArrow(cell.change)}</tspan>` : '';
+                content += `<text x="${cell.x + cellWidth / 2}" y="${cellY + cellHeight * 0.72}" ${textAttributes} fill="${cell.imbalanced ? cell.color : style.colors.text}"${weight}>${formatValue(cell.value)}${arrow}</text>`;
+            }
+        });
+
+        // Stacked imbalances: a bar left of the bid column or right of the ask column
+        const stackBars = [
+            ...candle.bidStacks.map(stack => ({ ...stack, x: style.padding - 6, color: style.colors.bid })),
+            ...candle.askStacks.map(stack => ({ ...stack, x: style.padding + cellWidth * 2 + 3, color: style.colors.ask })),
+        ];
+        for (const bar of stackBars) {
+            content += `<rect x="${bar.x}" y="${gridY + bar.start * cellHeight + 1}" width="3" height="${(bar.end - bar.start + 1) * cellHeight - 2}" fill="${bar.color}" />`;
+        }
+
+        const deltaColor = candle.delta > 0 ? style.colors.ask : (candle.delta < 0 ? style.colors.bid : style.colors.text);
+        content += `<text x="${style.padding}" y="${deltaY}" font-family="${style.fontFamily}" font-size="${style.fontSize}" fill="${style.colors.neutral}">`
+            + `<tspan fill="${deltaColor}" font-weight="bold">Δ ${candle.delta > 0 ? '+' : ''}${candle.delta}</tspan><tspan dx="${style.fontSize * 0.6}">Vol ${candle.volume}</tspan></text>`;
+
+        panel.svg += `<g transform="translate(${currentX}, ${tablesY})">${content}</g>`;
+        currentX += style.tableWidth + style.tableGap;
+    }
+
+    const legendY = tablesY + tableHeight + style.lineHeight;
+    panel.svg += `<text x="${style.padding}" y="${legendY}" font-family="${style.fontFamily}" font-size="${style.fontSize * 0.85}" fill="${style.colors.neutral}">`
+        + `${escapeHtml(`Outlined: diagonal imbalance ≥ ${ratio}:1 · Bar: ${stackedLevels}+ stacked · Δ = asks − bids`)}</text>`;
+    panel.y = legendY;
+    panel.width = Math.max(panel.width, currentX);
+}
+
+/**
+ * Lower timeframe candles, read from `confluence` or (older snapshots) from top-level M1/M5/... keys.
+ */
+function drawConfluenceCandles(panel) {
+    const { details, style } = panel;
+    const confluenceCandles = [];
+
+    const allDetails = { ...details, ...(details.confluence || {}) };
+
+    for (const tf of CONFLUENCE_TIMEFRAMES) {
+        if (allDetails[tf]) {
+            confluenceCandles.push({ title: `${tf} Candle`, data: allDetails[tf] });
+            delete details[tf];
+        }
+    }
+    delete details.confluence;
+    if (confluenceCandles.length === 0) return;
+
+    panel.y += style.padding * 1.5;
+    drawSectionHeader(panel, 'Lower Timeframe Confluence');
+
+    const commonTableHeight = getCandleBoxHeight(style);
+    let currentConfluenceX = style.padding;
+    for (const candle of confluenceCandles) {
+        const result = formatCandleTable(
+            candle.title,
+            candle.data,
+            style.candleTableWidth,
+            commonTableHeight,
+            style
+        );
+        panel.svg += `<g transform="translate(${currentConfluenceX}, ${panel.y})">${result.svg}</g>`;
+        currentConfluenceX += result.width;
+    }
+
+    panel.y += commonTableHeight;
+    panel.width = Math.max(panel.width, currentConfluenceX);
+}
+
+/**
+ * Limit price, take profit, stop loss and their pip distances from `limitOrder`.
+ */
+function drawLimitOrder(panel, title) {
+    const { details, style, annotations, changes } = panel;
+    const limitOrderDetails = details.limitOrder;
+    delete details.limitOrder;
+    if (limitOrderDetails?.limitPrice === undefined) return;
+
+    // Values flagged by the trade sanity checks are drawn in the warning colour, pips with the recomputed value;
+    // values that changed since the previous snapshot (--diff) in the changed colour with the old value
+    const tradeCheck = annotations.tradeCheck;
+    const flaggedFields = new Set((tradeCheck?.warnings || []).map(warning => warning.field.replace(/^limitOrder\.?/, '')));
+    const tradeLines = LIMIT_ORDER_FIELDS
+        .filter(([key]) => limitOrderDetails[key] !== undefined)
+        .map(([key, label]) => {
+            const change = changes.get(`limitOrder.${key}`);
+            const previous = change ? ` (was ${formatChangeValue(change.from)})` : '';
+            if (!flaggedFields.has(key)) {
+                return { text: `${label}: ${formatValue(limitOrderDetails[key])}${previous}`, ...(change && { color: style.colors.changed }) };
+            }
+            const recomputed = key.endsWith('Pips') ? ` (prices: ${tradeCheck[key]})` : '';
+            return { text: `${label}: ${formatValue(limitOrderDetails[key])} ${INVALID_VALUE_MARKER}${recomputed}${previous}`, color: style.colors.warning };
+        });
+    if (tradeCheck?.riskReward !== null && tradeCheck?.riskReward !== undefined) {
+        tradeLines.push({ text: `R:R: 1:${tradeCheck.riskReward}`, bold: true });
+    }
+
+    panel.y += style.padding * 1.0;
+    drawSectionHeader(panel, title);
+    drawBox(panel, formatLinesTable(tradeLines, style));
+}
+
+/**
+ * Spreads label positions (sorted top to bottom) so neighbours are at least `gap` apart, staying within `min`/`max`.
+ */
+function spreadLabelPositions(positions, gap, min, max) {
+    const spread = [...positions];
+    for (let i = 0; i < spread.length; i++) {
+        spread[i] = Math.max(spread[i], i > 0 ? spread[i - 1] + gap : min);
+    }
+    for (let i = spread.length - 1; i >= 0; i--) {
+        spread[i] = Math.min(spread[i], i < spread.length - 1 ? spread[i + 1] - gap : max);
+    }
+    return spread;
+}
+function countDecimals(value) {
+    const text = String(value);
+    return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+/**
+ * Generates a vertical price scale with `levels` (`{ label, price, color, note, dashed }`) as horizontal lines and
+ * `candles` (`{ title, data, note }`) as mini candlesticks, all on the same scale.
+ */
+function formatPriceLadder(levels, candles, style) {
+    const prices = [
+        ...levels.map(level => level.price),
+        ...candles.flatMap(candle => [candle.data.high, candle.data.low]),
+    ];
+    let maxPrice = Math.max(...prices);
+    let minPrice = Math.min(...prices);
+    const margin = (maxPrice - minPrice) * 0.06 || Math.abs(maxPrice) * 0.0005 || 1;
+    maxPrice += margin;
+    minPrice -= margin;
+    const decimals = Math.min(MAX_PRICE_DECIMALS, Math.max(...prices.map(countDecimals)));
+
+    const charWidth = style.fontSize * 0.6;
+    const columnWidth = style.fontSize * 7;
+    const axisX = style.padding + (decimals + 4) * charWidth;
+    const plotLeft = axisX + style.padding / 2;
+    const plotRight = plotLeft + Math.max(candles.length, 2) * columnWidth;
+    const labelX = plotRight + style.padding / 2;
+    const labelLengths = levels.map(level => `${level.label} ${level.price.toFixed(decimals)}${level.note ? `  ${level.note}` : ''}`.length);
+    const width = labelX + Math.max(...labelLengths) * charWidth + style.padding;
+    const plotTop = style.padding;
+    const plotHeight = PRICE_LADDER_ROWS * style.lineHeight;
+    const footerY = plotTop + plotHeight + style.lineHeight;
+    const height = footerY + style.lineHeight + style.padding;
+    const toY = price => plotTop + ((maxPrice - price) / (maxPrice - minPrice)) * plotHeight;
+    const text = (x, y, content, attributes = '') => `<text x="${x}" y="${y}" font-family="${style.fontFamily}" font-size="${style.fontSize}"${attributes}>${escapeHtml(content)}</text>`;
+
+    let content = `<rect x="0" y="0" width="${width}" height="${height}" fill="${style.colors.panel}" rx="5" />`;
+    content += `<line x1="${axisX}" y1="${plotTop}" x2="${axisX}" y2="${plotTop + plotHeight}" stroke="${style.colors.neutral}" />`;
+    for (let tick = 0; tick <= PRICE_LADDER_TICKS; tick++) {
+        const price = maxPrice - ((maxPrice - minPrice) * tick) / PRICE_LADDER_TICKS;
+        const y = toY(price);
+        content += `<line x1="${axisX - 3}" y1="${y}" x2="${axisX}" y2="${y}" stroke="${style.colors.neutral}" />`;
+        content += text(axisX - 5, y + style.fontSize * 0.35, price.toFixed(decimals), ` fill="${style.colors.neutral}" text-anchor="end"`);
+    }
+
+    candles.forEach((candle, index) => {
+        const { open, close, high, low } = candle.data;
+        const centerX = plotLeft + columnWidth * (index + 0.5);
+        const bodyWidth = columnWidth * 0.3;
+        const color = close >= open ? style.colors.bullish : style.colors.bearish;
+        const bodyTop = toY(Math.max(open, close));
+        const bodyHeight = Math.max(1, toY(Math.min(open, close)) - bodyTop);
+        content += `<line x1="${centerX}" y1="${toY(high)}" x2="${centerX}" y2="${toY(low)}" stroke="${color}" />`;
+        content += `<rect x="${centerX - bodyWidth / 2}" y="${bodyTop}" width="${bodyWidth}" height="${bodyHeight}" fill="${color}" />`;
+        content += text(centerX, footerY, candle.title, ` fill="${style.colors.text}" text-anchor="middle" font-weight="bold"`);
+        if (candle.note) content += text(centerX, footerY + style.lineHeight, candle.note, ` fill="${style.colors.neutral}" text-anchor="middle"`);
+    });
+
+    // Levels are drawn over the candles; their labels are moved apart when the prices are close together
+    const sortedLevels = [...levels].sort((a, b) => b.price - a.price);
+    const labelYs = spreadLabelPositions(sortedLevels.map(level => toY(level.price)), style.lineHeight, plotTop, plotTop + plotHeight);
+    sortedLevels.forEach((level, index) => {
+        const y = toY(level.price);
+        content += `<line x1="${axisX}" y1="${y}" x2="${plotRight}" y2="${y}" stroke="${level.color}" stroke-width="1.5"${level.dashed ? ' stroke-dasharray="6 4"' : ''} />`;
+        content += `<line x1="${plotRight}" y1="${y}" x2="${labelX - 2}" y2="${labelYs[index]}" stroke="${level.color}" />`;
+        content += `<text x="${labelX}" y="${labelYs[index] + style.fontSize * 0.35}" font-family="${style.fontFamily}" font-size="${style.fontSize}" fill="${level.color}">`
+            + `<tspan font-weight="bold">${escapeHtml(`${level.label} ${level.price.toFixed(decimals)}`)}</tspan>`
+            + (level.note ? `<tspan dx="${charWidth * 2}" fill="${style.colors.neutral}">${escapeHtml(level.note)}</tspan>` : '')
+            + `</text>`;
+    });
+
+    return { svg: content, width, height };
+}
+
+/**
+ * Limit, take profit and stop loss on one price scale with the indecision and confluence candles, annotated
+ * with their distance from the limit in pips. Reads `panel.data`, as the other sections consume the details.
+ */
+function drawPriceLadder(panel) {
+    const { data, style, annotations } = panel;
+    const limitOrder = data.limitOrder;
+    if (typeof limitOrder?.limitPrice !== 'number') return;
+    const { limitPrice } = limitOrder;
+    const toPips = distance => annotations.pipSize ? `${Math.round((distance / annotations.pipSize) * 10) / 10} pips` : null;
+
+    const levels = [
+        { label: 'Limit', price: limitPrice, color: style.colors.accent },
+        ...[['takeProfit', 'TP', style.colors.ask], ['stopLoss', 'SL', style.colors.bid]]
+            .filter(([key]) => typeof limitOrder[key] === 'number')
+            .map(([key, label, color]) => ({ label, price: limitOrder[key], color, note: toPips(Math.abs(limitOrder[key] - limitPrice)), dashed: true })),
+    ];
+    const candles = [
+        ['Indecision', data.indecisionCandle],
+        ...CONFLUENCE_TIMEFRAMES.map(tf => [tf, data.confluence?.[tf] ?? data[tf]]),
+    ]
+        .filter(([, candle]) => ['open', 'close', 'high', 'low'].every(key => typeof candle?.[key] === 'number'))
+        .map(([title, candle]) => {
+            // How far the candle's range is from the limit price
+            const distance = Math.max(0, candle.low - limitPrice, limitPrice - candle.high);
+            return { title, data: candle, note: distance === 0 ? 'at limit' : toPips(distance) };
+        });
+    if (levels.length === 1 && candles.length === 0) return;
+
+    panel.y += style.padding * 1.0;
+    drawSectionHeader(panel, 'Price Ladder');
+    drawBox(panel, formatPriceLadder(levels, candles, style));
+}
+
+/**
+ * Trade sanity check warnings (wrong-side levels, logged pips that disagree with the prices).
+ */
+function drawTradeWarnings(panel) {
+    const { style, annotations } = panel;
+    const warnings = annotations.tradeCheck?.warnings || [];
+    if (warnings.length === 0) return;
+
+    panel.y += style.padding * 1.0;
+    drawSectionHeader(panel, `${INVALID_VALUE_MARKER} Trade Warnings`, style.colors.warning);
+    const lines = warnings.flatMap(warning => wrapText(warning.message, WRAP_TEXT_LENGTH + 12).map(text => ({ text })));
+    drawBox(panel, formatLinesTable(lines, style, { borderColor: style.colors.warning, textColor: style.colors.warning }));
+}
+
+/**
+ * Why the zone was cancelled and where it was.
+ */
+function drawZoneCancellation(panel) {
+    const { details, style, annotations } = panel;
+    const zone = details.zone || {};
+    const zoneLines = [
+        { text: 'Cancelled Zone', bold: true },
+        { text: `High: ${formatValue(zone.high ?? null)}` },
+        { text: `Low: ${formatValue(zone.low ?? null)}` },
+    ];
+    let zonePips = zone.zonePips;
+    if (zonePips === undefined && annotations.pipSize && typeof zone.high === 'number' && typeof zone.low === 'number') {
+        zonePips = Math.round(((zone.high - zone.low) / annotations.pipSize) * 10) / 10;
+    }
+    if (zonePips !== undefined) zoneLines.push({ text: `Zone Pips: ${formatValue(zonePips)}` });
+
+    const boxes = [];
+    if (details.currentMarketStructure !== undefined) boxes.push(getMarketStructureLines(details.currentMarketStructure, style));
+    boxes.push([{ text: 'Reason', bold: true }, ...wrapText(formatValue(details.reason)).map(text => ({ text, color: style.colors.bid }))]);
+    boxes.push(zoneLines);
+    if (details.orderVolume !== undefined) boxes.push([{ text: 'Order Volume', bold: true }, { text: formatValue(details.orderVolume) }]);
+    delete details.currentMarketStructure;
+    delete details.reason;
+    delete details.zone;
+    delete details.orderVolume;
+
+    drawBoxRow(panel, boxes);
+}
+
+/**
+ * Requested versus filled price and the resulting slippage. Slippage is positive when the fill was better
+ * than requested and negative when it was worse, in pips when the symbol is known from the file name.
+ */
+function drawTradeEntry(panel) {
+    const { details, style, annotations } = panel;
+    const { limitPrice, fillPrice, takeProfit, stopLoss } = details;
+    const inferredDirection = typeof fillPrice === 'number' ? getDirection({ limitPrice: fillPrice, takeProfit, stopLoss }) : null;
+    const direction = details.direction ?? { long: 'BUY', short: 'SELL' }[inferredDirection] ?? null;
+
+    const lines = [];
+    if (direction) lines.push({ text: `Direction: ${direction}`, bold: true });
+    lines.push({ text: `Limit Price: ${formatValue(limitPrice)}` });
+    lines.push({ text: `Fill Price: ${formatValue(fillPrice)}` });
+    if (typeof limitPrice === 'number' && typeof fillPrice === 'number' && direction) {
+        const improvement = direction === 'BUY' ? limitPrice - fillPrice : fillPrice - limitPrice;
+        const slippage = annotations.pipSize
+            ? `${Math.round((improvement / annotations.pipSize) * 10) / 10} pips`
+            : `${Number(improvement.toFixed(6))}`;
+        const color = improvement < 0 ? style.colors.bid : (improvement > 0 ? style.colors.ask : undefined);
+        lines.push({ text: `Slippage: ${improvement > 0 ? '+' : ''}${slippage}`, color });
+    } else if (details.slippagePips !== undefined) {
+        lines.push({ text: `Slippage: ${formatValue(details.slippagePips)} pips` });
+    }
+    if (details.lots !== undefined) lines.push({ text: `Lots: ${formatValue(details.lots)}` });
+    if (takeProfit !== undefined) lines.push({ text: `Take Profit: ${formatValue(takeProfit)}` });
+    if (stopLoss !== undefined) lines.push({ text: `Stop Loss: ${formatValue(stopLoss)}` });
+    for (const key of ['direction', 'limitPrice', 'fillPrice', 'slippagePips', 'lots', 'takeProfit', 'stopLoss']) {
+        delete details[key];
+    }
+
+    panel.y += style.padding * 1.0;
+    drawSectionHeader(panel, 'Fill');
+    drawBox(panel, formatLinesTable(lines, style));
+}
+
+/**
+ * The bot's current status and message.
+ */
+function drawStatusSummary(panel) {
+    const { details, style } = panel;
+    const lines = [
+        { text: 'Status', bold: true },
+        { text: formatValue(details.status), color: style.colors.accent, bold: true },
+        ...(details.message !== undefined ? wrapText(formatValue(details.message)).map(text => ({ text })) : []),
+    ];
+    delete details.status;
+    delete details.message;
+    drawBoxRow(panel, [lines]);
+}
+
+/**
+ * Earlier status changes as a vertical timeline, oldest first as logged.
+ */
+function drawStatusTimeline(panel) {
+    const { details, style } = panel;
+    const timeline = details.timeline || [];
+    delete details.timeline;
+    if (timeline.length === 0) return;
+
+    panel.y += style.padding * 1.0;
+    drawSectionHeader(panel, 'Timeline');
+
+    const railX = style.padding;
+    const textX = style.padding * 2;
+    const rows = timeline.map(entry => [
+        { text: `${formatValue(entry.time ?? null)}  ${formatValue(entry.status ?? null)}`, bold: true },
+        ...(entry.message !== undefined ? wrapText(formatValue(entry.message)).map(text => ({ text, color: style.colors.neutral })) : []),
+    ]);
+    const allLines = rows.flat();
+    const width = getBoxWidthForLines(allLines.map(line => line.text), style) + style.padding;
+    const height = (allLines.length * style.lineHeight) + style.padding;
+
+    let content = '';
+    let baselineY = style.padding;
+    const dotOffset = style.fontSize * 0.35;
+    const firstDotY = baselineY - dotOffset;
+    let lastDotY = firstDotY;
+    for (const rowLines of rows) {
+        lastDotY = baselineY - dotOffset;
+        content += `<circle cx="${railX}" cy="${lastDotY}" r="${style.fontSize * 0.3}" fill="${style.colors.accent}" />`;
+        for (const line of rowLines) {
+            const weight = line.bold ? ' font-weight="bold"' : '';
+            content += `<text x="${textX}" y="${baselineY}" font-family="${style.fontFamily}" font-size="${style.fontSize}" fill="${line.color ?? style.colors.text}"${weight}>${escapeHtml(line.text)}</text>`;
+            baselineY += style.lineHeight;
+        }
+    }
+    const rail = `<line x1="${railX}" y1="${firstDotY}" x2="${railX}" y2="${lastDotY}" stroke="${style.colors.neutral}" stroke-width="2" />`;
+
+    drawBox(panel, {
+        svg: `<g><rect x="0" y="0" width="${width}" height="${height}" fill="${style.colors.panel}" rx="5" />${rail}${content}</g>`,
+        width,
+        height,
+    });
+}
+
+function drawResult(panel, outcome) {
+    panel.y += panel.style.padding * 1.0;
+    drawSectionHeader(panel, 'Result');
+    drawBox(panel, formatResultTable(outcome, panel.style));
+}
+function drawReview(panel, review) {
+    panel.y += panel.style.padding * 1.0;
+    drawSectionHeader(panel, 'Review', panel.style.colors.accent);
+    drawBox(panel, formatReviewTable(review, panel.style));
+}
+// The date is only shown when the previous snapshot is from another day
+function drawChanges(panel, changes) {
+    const since = formatTimestamp(changes.since);
+    const sameDay = changes.until !== null && since.slice(0, 10) === formatTimestamp(changes.until).slice(0, 10);
+    panel.y += panel.style.padding * 1.0;
+    drawSectionHeader(panel, `Changes since ${since.slice(sameDay ? 11 : 5, 16)}`, panel.style.colors.changed);
+    drawBox(panel, formatChangesTable(changes, panel.annotations.pipSize, panel.style));
+}
+// Lenient mode only; strict mode never renders invalid snapshots
+function drawValidationIssues(panel, issues) {
+    panel.y += panel.style.padding * 1.0;
+    drawSectionHeader(panel, `${INVALID_VALUE_MARKER} Validation Issues`, panel.style.colors.bid);
+    drawBox(panel, formatValidationIssuesTable(issues, panel.style));
+}
+
+
+// --- EVENT TEMPLATES ---
+/**
+ * One template per event type (see EVENT_TYPES in lib/snapshot_schema.js): the panel title, the source
+ * folder names that imply the type when the JSON has no `eventType` field, and the sections to draw.
+ * The changes since the previous snapshot, back-test result, review, validation issues and any fields no
+ * section used follow for every template.
+ */
+const EVENT_TEMPLATES = {
+    'limit-order': {
+        title: 'Trade Setup Details',
+        folders: ['limit-orders', 'limit-order'],
+        sections: [drawMarketContextRow, drawImbalanceTables, drawConfluenceCandles, panel => drawLimitOrder(panel, 'Prospective Trade'), drawTradeWarnings, drawPriceLadder],
+    },
+    'zone-cancellation': {
+        title: 'Zone Cancelled',
+        folders: ['zone-cancellations', 'zone-cancellation', 'cancellations'],
+        sections: [drawZoneCancellation, panel => drawLimitOrder(panel, 'Cancelled Order')],
+    },
+    'trade-entry': {
+        title: 'Trade Entry',
+        folders: ['trade-entries', 'trade-entry', 'entries'],
+        sections: [drawMarketContextRow, drawTradeEntry],
+    },
+    'status-update': {
+        title: 'Bot Status Update',
+        folders: ['status-updates', 'status-update', 'status'],
+        sections: [drawStatusSummary, drawStatusTimeline],
+    },
+};
+
+/**
+ * The event type of a snapshot: its `eventType` field when that names a template, otherwise the nearest
+ * parent folder named after one (e.g. `limit-orders/`), otherwise a limit order. `jsonPath` may be omitted.
+ */
+function getEventType(jsonData, jsonPath) {
+    if (typeof jsonData?.eventType === 'string' && EVENT_TEMPLATES[jsonData.eventType]) return jsonData.eventType;
+    const folders = jsonPath ? path.dirname(path.resolve(jsonPath)).split(path.sep).reverse() : [];
+    for (const folder of folders) {
+        const eventType = Object.keys(EVENT_TEMPLATES).find(type => EVENT_TEMPLATES[type].folders.includes(folder.toLowerCase()));
+        if (eventType) return eventType;
+    }
+    return DEFAULT_EVENT_TYPE;
+}
+
+/**
+ * Builds the data panel from the template for `annotations.eventType`. `annotations` carries information
+ * that is not part of the snapshot itself: `eventType`, `info` (parsed file name, for pip sizes),
+ * `issues` (schema problems, lenient mode), `outcome` (back-test result), `review` (tags and note
+ * from lib/review.js) and `changes` (diff against the previous snapshot). `style` is a resolved
+ * render config (lib/render_config.js) and is passed on to every box helper.
+ */
+function createDataSvg(jsonData, annotations = {}, style = DEFAULT_RENDER_STYLE) {
+    const { eventType = DEFAULT_EVENT_TYPE, issues = [], outcome = null, review = null, changes = null } = annotations;
+    const template = EVENT_TEMPLATES[eventType];
+    const panel = createPanel(jsonData, annotations, style);
+    delete panel.details.eventType;
+
+    drawSectionHeader(panel, template.title);
+    for (const drawSection of template.sections) {
+        drawSection(panel);
+    }
+    if (changes) drawChanges(panel, changes);
+    if (outcome) drawResult(panel, outcome);
+    if (review) drawReview(panel, review);
+    if (issues.length > 0) drawValidationIssues(panel, issues);
+
+    // Update total required height
+    let totalRequiredHeight = panel.y;
+
+    // --- REMAINING DETAILS (Fallback for unhandled data) ---
+    const remainingDetailsText = JSON.stringify(panel.details, null, 2);
+    let remainingLineCount = 0;
+
+    if (remainingDetailsText !== '{}') {
+
+        let detailsTspanElements = `<tspan x="0" dy="0" font-weight="bold">Remaining Details (JSON)</tspan>`;
+
+        const detailLines = remainingDetailsText.split('\n');
+        detailLines.forEach(line => {
+            detailsTspanElements += `<tspan x="${style.padding}" dy="${style.lineHeight}">${escapeHtml(line)}</tspan>`;
+        });
+        remainingLineCount = detailLines.length + 1; // +1 for the header line
+
+        const detailsTextY = panel.y + style.fontSize; // Use panel.y for absolute start + fontSize for baseline
+        panel.svg += `<text x="${style.padding}" y="${detailsTextY}" font-family="${style.fontFamily}" font-size="${style.fontSize}" fill="${style.colors.text}">${detailsTspanElements}</text>`;
+        totalRequiredHeight = detailsTextY + (remainingLineCount * style.lineHeight);
+    }
+
+    return {
+        svgContent: panel.svg,
+        calculatedWidth: panel.width + style.padding, // Ensure final padding on the right
+        // CRITICAL FIX: Add fixed buffer to calculated height to prevent cutoff
+        calculatedHeight: totalRequiredHeight + style.padding + style.bottomMargin
+    };
+}
+
+// --- SNAPSHOT ANALYSIS ---
+/**
+ * Parses snapshot JSON text or a Buffer, tolerating the byte order mark some editors add. Throws on invalid JSON.
+ */
+function parseSnapshotJson(content) {
+    return JSON.parse(String(content).replace(/^\uFEFF/, ''));
+}
+
+/**
+ * Replays the snapshot's limit order against the pair's OHLC data. Returns null when there is nothing to test.
+ */
+function getBacktestOutcome(data, snapshotInfo, ohlc, pipSize) {
+    if (!data.limitOrder) return null;
+    if (ohlc.error) return { status: 'unknown', reason: ohlc.error, filled: false };
+    if (!snapshotInfo) return { status: 'unknown', reason: 'file name has no snapshot time', filled: false };
+    return simulateLimitOrder(data.limitOrder, ohlc.bars, snapshotInfo.timestamp, pipSize);
+}
+
+/**
+ * Validates a parsed snapshot and runs everything drawn next to the data: the back-test and the trade sanity
+ * checks. Returns `{ eventType, data, issues, pipSize, outcome, tradeCheck, review, changes }`, where `data` has
+ * invalid values replaced by null and `issues` lists them.
+ * Options: `eventType` (otherwise taken from the JSON or the folder of `jsonPath`), `snapshotInfo` (symbol,
+ * timeframe and timestamp from the file name; needed for pip sizes and back-tests), `ohlc` (`{ file, bars }`
+ * or `{ file, error }` to back-test against), `instruments` (pip size table, defaults to the built-in one) and
+ * `review` (`{ tags, note, updatedAt }` from lib/review.js, drawn as a "Review" box) and `previous`
+ * (`{ jsonData, jsonPath, timestamp }` of the previous snapshot of the same symbol and timeframe; limit orders
+ * are diffed against it and drawn as a "Changes since" box).
+ */
+function analyzeSnapshot(jsonData, options = {}) {
+    const eventType = options.eventType ?? getEventType(jsonData, options.jsonPath);
+    const { data, issues } = validateSnapshot(jsonData, eventType);
+    const pipSize = options.snapshotInfo ? getPipSize(options.snapshotInfo.symbol, options.instruments) : null;
+    // Only pending limit orders can be back-tested; other events describe something that already happened
+    const isLimitOrder = eventType === 'limit-order';
+    const outcome = options.ohlc && isLimitOrder ? getBacktestOutcome(data, options.snapshotInfo, options.ohlc, pipSize) : null;
+    const tradeCheck = isLimitOrder ? checkLimitOrder(data.limitOrder, data.currentMarketStructure, pipSize) : null;
+    return { eventType, data, issues, pipSize, outcome, tradeCheck, review: options.review ?? null, changes: getChanges(data, eventType, options) };
+}
+
+/**
+ * Diffs a validated limit order against `options.previous`. Null when there is no previous snapshot or
+ * either one is another event type.
+ */
+function getChanges(data, eventType, { previous, snapshotInfo }) {
+    if (!previous || eventType !== 'limit-order') return null;
+    if (getEventType(previous.jsonData, previous.jsonPath) !== 'limit-order') return null;
+    const { data: previousData } = validateSnapshot(previous.jsonData, 'limit-order');
+    return { since: previous.timestamp, until: snapshotInfo?.timestamp ?? null, ...diffSnapshots(previousData, data) };
+}
+
+
+// --- OUTPUT ---
+function getAnnotations({ eventType, pipSize, issues, outcome, tradeCheck, review, changes }) {
+    return { eventType, pipSize, issues, outcome, tradeCheck, review, changes };
+}
+
+/**
+ * The data panel of an analysed snapshot as a standalone SVG document with its own background.
+ * Returns `{ svg, width, height }`.
+ */
+function createDataPanelSvg(analysis, style = DEFAULT_RENDER_STYLE) {
+    const { svgContent, calculatedWidth, calculatedHeight } = createDataSvg(analysis.data, getAnnotations(analysis), style);
+    const width = Math.ceil(calculatedWidth);
+    const height = Math.ceil(calculatedHeight);
+    const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">`
+        + `<rect width="100%" height="100%" fill="${style.colors.background}"/>${svgContent}</svg>`;
+    return { svg, width, height };
+}
+
+/**
+ * The machine-readable result of an analysed snapshot, as written by the `json` output format.
+ */
+function createSnapshotSummary(analysis, snapshotInfo = null) {
+    const { eventType, data, issues, pipSize, outcome, tradeCheck, review = null, changes = null } = analysis;
+    return {
+        symbol: snapshotInfo?.symbol ?? null,
+        timeframe: snapshotInfo?.timeframe ?? null,
+        snapshotTime: snapshotInfo ? formatTimestamp(snapshotInfo.timestamp) : null,
+        eventType,
+        pipSize,
+        data,
+        issues,
+        tradeCheck,
+        outcome: outcome && {
+            ...outcome,
+            fillTime: outcome.fillTime ? formatTimestamp(outcome.fillTime) : null,
+            exitTime: outcome.exitTime ? formatTimestamp(outcome.exitTime) : null,
+        },
+        review,
+        changes: changes && { ...changes, since: formatTimestamp(changes.since), until: changes.until !== null ? formatTimestamp(changes.until) : null },
+    };
+}
+
+/**
+ * Encodes a sharp pipeline in one of the raster formats. `quality` applies to WebP and JPEG.
+ */
+function encodeImage(image, format, quality) {
+    if (format === 'webp') return image.webp({ quality: quality ?? DEFAULT_QUALITY }).toBuffer();
+    if (format === 'jpeg') return image.jpeg({ quality: quality ?? DEFAULT_QUALITY, mozjpeg: true }).toBuffer();
+    return image.png().toBuffer();
+}
+
+/**
+ * Combines the chart screenshot (a file path or Buffer) with the data panel of an analysed snapshot.
+ * Resolves with the encoded image. Options: `style` (resolved render config, defaults to the dark theme),
+ * `format` (png, webp or jpeg), `quality` (1-100 for WebP/JPEG), `maxWidth` (charts wider than this
+ * are scaled down first) and `metadata` (from `createImageMetadata` in lib/image_metadata.js, embedded as
+ * XMP together with the chart's position so `extract` can cut it out again).
+ */
+async function renderCombinedImage(chart, analysis, options = {}) {
+    const style = options.style ?? DEFAULT_RENDER_STYLE;
+    let chartBuffer = await sharp(chart).png().toBuffer();
+    let metadata = await sharp(chartBuffer).metadata();
+    if (!metadata || !metadata.width || !metadata.height) {
+        throw new Error('Failed to read valid dimensions from sanitized image.');
+    }
+    if (options.maxWidth && metadata.width > options.maxWidth) {
+        chartBuffer = await sharp(chartBuffer).resize({ width: options.maxWidth }).png().toBuffer();
+        metadata = await sharp(chartBuffer).metadata();
+    }
+
+    const { svgContent, calculatedWidth, calculatedHeight } = createDataSvg(analysis.data, getAnnotations(analysis), style);
+
+    // Horizontal puts the data panel to the right of the chart; vertical stacks it underneath
+    const isVertical = style.layout === 'vertical';
+    const svgWidth = Math.ceil(isVertical ? Math.max(calculatedWidth, metadata.width + style.padding * 2) : calculatedWidth);
+    const svgHeight = Math.ceil(isVertical ? calculatedHeight : Math.max(metadata.height + style.padding * 2, calculatedHeight));
+    const newWidth = isVertical ? svgWidth : metadata.width + svgWidth + style.padding;
+    const newHeight = isVertical ? metadata.height + style.padding + svgHeight : svgHeight;
+    
+    const finalSvg = `<svg width="${svgWidth}" height="${svgHeight}" xmlns="http://www.w3.org/2000/svg">${svgContent}</svg>`;
+
+    const image = sharp({
+        create: {
+            width: newWidth,
+            height: newHeight,
+            channels: 4,
+            background: style.colors.background
+        }
+    })
+    .composite([
+        { input: chartBuffer, top: style.padding, left: style.padding },
+        isVertical
+            ? { input: Buffer.from(finalSvg), top: metadata.height + style.padding, left: 0 }
+            : { input: Buffer.from(finalSvg), top: 0, left: metadata.width + style.padding }
+    ]);
+    if (options.metadata) {
+        const chartRegion = { left: style.padding, top: style.padding, width: metadata.width, height: metadata.height };
+        image.withXmp(createXmpPacket({ ...options.metadata, chart: chartRegion }));
+    }
+    return encodeImage(image, options.format, options.quality);
+}
+
+/**
+ * Produces the output of an analysed snapshot in `options.format`: a combined png/webp/jpeg image, the data
+ * panel as `svg`, or the `json` summary. The chart is only read for the image formats, and `metadata` is
+ * embedded in every format but `json`.
+ * Takes the options of `renderCombinedImage` plus `snapshotInfo` for the summary.
+ */
+async function renderOutput(chart, analysis, options = {}) {
+    const format = options.format ?? DEFAULT_OUTPUT_FORMAT;
+    if (!OUTPUT_FORMATS[format]) throw new Error(`Unknown output format '${format}'.`);
+    if (format === 'json') {
+        return Buffer.from(`${JSON.stringify(createSnapshotSummary(analysis, options.snapshotInfo), null, 2)}\n`);
+    }
+    if (format === 'svg') {
+        const { svg } = createDataPanelSvg(analysis, options.style);
+        return Buffer.from(options.metadata ? embedSvgMetadata(svg, options.metadata) : svg);
+    }
+    return renderCombinedImage(chart, analysis, { ...options, format });
+}
+
+/**
+ * Analyses and renders one snapshot without touching the disk, apart from reading `chart` when it is a path.
+ * Resolves with `{ buffer, analysis }`. Takes the options of `analyzeSnapshot` and `renderOutput`.
+ */
+async function renderSnapshot(chart, jsonData, options = {}) {
+    const analysis = analyzeSnapshot(jsonData, options);
+    return { buffer: await renderOutput(chart, analysis, options), analysis };
+}
+
+module.exports = {
+    RENDER_LAYOUT_VERSION,
+    DEFAULT_RENDER_STYLE,
+    OUTPUT_FORMATS,
+    DEFAULT_OUTPUT_FORMAT,
+    IMAGE_FORMATS,
+    IMAGE_CONTENT_TYPES,
+    DEFAULT_QUALITY,
+    OUTCOME_LABELS,
+    VALIDATION_REPORT_FILE,
+    EVENT_TEMPLATES,
+    getMarketStructureColor,
+    getEventType,
+    createDataSvg,
+    parseSnapshotJson,
+    analyzeSnapshot,
+    createDataPanelSvg,
+    createSnapshotSummary,
+    renderCombinedImage,
+    renderOutput,
+    renderSnapshot,
+};
@@ -0,0 +1,154 @@
+/**
+ * Render Command
+ * * Description:
+ * The default command: renders every new or changed pair found in the input
+ * folders, removes the outputs of deleted sources, writes the reports and
+ * prints the run summary. With --watch it then keeps polling the folders and
+ * renders each pair the bot writes once both of its files have settled.
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+const { createPairWatcher } = require('./pair_watcher');
+const { createEmptyManifest, loadManifest, saveManifest } = require('./manifest');
+const {
+    describeFilters, filterPairs, linkPreviousSnapshots, findFilePairs, removeOutputCollisions,
+} = require('./snapshot_files');
+const {
+    setupOutputDirectory, getRenderSettingsHash, removeStaleOutputs, createOhlcResolver, getPendingPairs, renderPairs,
+    writeRunOutputs,
+} = require('./render_pipeline');
+const { createPublishStage, countPublishResults } = require('./publish_stage');
+const { writeValidationReport, writePairingReport, collectTradeWarnings, printRunSummary } = require('./run_reports');
+const { getCpuCount, sleep } = require('./utils');
+
+const WATCH_POLL_INTERVAL_MS = 1000;
+const WATCH_SETTLE_MS = 2000; // How long both files of a pair must stay unchanged before it is rendered
+
+// --- WATCH MODE ---
+/**
+ * Polls the input folders and renders every pair written after the initial run once both of its files
+ * have settled. Runs until Ctrl+C. Only ever adds or replaces outputs; nothing in the output directory
+ * is removed apart from a re-rendered pair's own outdated sidecars.
+ */
+async function watchInputFolders(manifest, resolveOhlc, options, publishStage = null) {
+    const { inputDirs, outputDir } = options;
+    // Folders can change between listing and stat while the bot is writing; retry on the next poll
+    const scan = () => {
+        try {
+            const { pairs: scanned } = findFilePairs(inputDirs, outputDir, { includeIncomplete: true, quiet: true, toleranceSeconds: options.pairToleranceSeconds });
+            // The initial run reports output collisions; here the ignored pairs are just left alone
+            const { pairs: found } = removeOutputCollisions(scanned, options);
+            if (options.diff) linkPreviousSnapshots(found);
+            return filterPairs(found, options);
+        } catch (e) {
+            console.warn(`  ⚠️ Scan failed, retrying: ${e.message}`);
+            return null;
+        }
+    };
+    const watcher = createPairWatcher({ settleMs: WATCH_SETTLE_MS, pairTimeoutMs: options.pairTimeoutSeconds * 1000 });
+    watcher.ignoreExisting(scan() || []);
+
+    let stopping = false;
+    process.once('SIGINT', () => {
+        stopping = true;
+        console.log('\nStopping watch mode...');
+    });
+    const folderList = inputDirs.map(dir => `'${path.resolve(dir)}'`).join(', ');
+    console.log(`\n👀 Watching ${folderList} for new pairs. Press Ctrl+C to stop.`);
+
+    while (!stopping) {
+        await sleep(WATCH_POLL_INTERVAL_MS);
+        const candidates = scan();
+        if (candidates === null) continue;
+        const { ready, overdue } = watcher.update(candidates, Date.now());
+        for (const { pair, missing } of overdue) {
+            const present = pair['.png'] ?? pair['.json'];
+            console.warn(`  ⚠️ ${present} has had no matching ${missing} for ${options.pairTimeoutSeconds} s`);
+        }
+        if (ready.length === 0) continue;
+
+        const pendingPairs = [];
+        for (const pair of ready) {
+            // A file deleted since the scan is picked up again if the bot writes it anew
+            try {
+                pendingPairs.push(...getPendingPairs([pair], manifest, options, resolveOhlc));
+            } catch (e) {
+                console.warn(`  ⚠️ Skipping ${path.basename(pair['.png'])}: ${e.message}`);
+            }
+        }
+        if (pendingPairs.length === 0) continue;
+        const results = await renderPairs(pendingPairs, manifest, options, publishStage);
+        const completePairs = candidates.filter(pair => pair['.png'] && pair['.json']);
+        writeRunOutputs(completePairs, manifest, results, options);
+        const failedCount = results.filter(result => !result.succeeded).length;
+        const { posted } = countPublishResults(results);
+        const notes = [
+            ...(failedCount > 0 ? [`${failedCount} failed`] : []),
+            ...(publishStage ? [`${posted} post(s)`] : []),
+        ];
+        console.log(`[${new Date().toLocaleTimeString()}] Rendered ${results.length - failedCount} pair(s)${notes.map(note => `, ${note}`).join('')}.`);
+    }
+}
+
+/**
+ * Renders the selected pairs that are new or changed, writes the reports and, with --watch, keeps rendering
+ * new pairs until Ctrl+C.
+ */
+async function runRenderCommand(options) {
+    const startTime = performance.now();
+    const { outputDir, jobs } = options;
+    // Split the CPU cores between the pairs in flight instead of letting every pair claim all of them
+    sharp.concurrency(Math.max(1, Math.floor(getCpuCount() / jobs)));
+
+    const previousManifest = loadManifest(outputDir);
+    setupOutputDirectory(outputDir, options.clean);
+    const manifest = options.clean ? createEmptyManifest() : previousManifest;
+    const settingsHash = getRenderSettingsHash(options);
+    const outdatedCount = Object.values(manifest.entries).filter(entry => entry.settings !== settingsHash).length;
+    if (outdatedCount > 0) {
+        console.log(`Render settings changed since ${outdatedCount} output(s) were rendered; the selected ones will be re-rendered.`);
+    }
+    const removedCount = removeStaleOutputs(manifest, outputDir);
+
+    const scanned = findFilePairs(options.inputDirs, outputDir, { toleranceSeconds: options.pairToleranceSeconds });
+    const { pairs: allPairs, collisions: outputCollisions } = removeOutputCollisions(scanned.pairs, options);
+    const pairing = writePairingReport({ ...scanned.pairing, collisions: [...scanned.pairing.collisions, ...outputCollisions] }, options);
+    if (options.diff) linkPreviousSnapshots(allPairs);
+    const pairs = filterPairs(allPairs, options);
+    const filterDescription = describeFilters(options);
+    if (filterDescription) {
+        console.log(`Filtering by ${filterDescription}: ${pairs.length} of ${allPairs.length} pairs selected.`);
+    }
+    const resolveOhlc = options.ohlcPath !== null ? createOhlcResolver(options.ohlcPath) : null;
+    const publishStage = await createPublishStage(options, previousManifest, allPairs);
+    if (pairs.length === 0) {
+        saveManifest(manifest, outputDir);
+        writeValidationReport(manifest, [], options);
+        console.log("No matching .png/.json pairs found.");
+        const unpairedCount = pairing.orphans.length + pairing.ambiguous.length;
+        if (unpairedCount > 0) console.warn(`  ⚠️ ${unpairedCount} file(s) could not be paired (see ${pairing.reportPath})`);
+        if (options.watch) await watchInputFolders(manifest, resolveOhlc, options, publishStage);
+        return;
+    }
+
+    const pendingPairs = getPendingPairs(pairs, manifest, options, resolveOhlc);
+    const skippedCount = pairs.length - pendingPairs.length;
+    console.log(`\nFound ${pairs.length} pairs (${skippedCount} unchanged). Rendering ${pendingPairs.length} with ${jobs} job${jobs === 1 ? '' : 's'}...\n`);
+
+    const results = await renderPairs(pendingPairs, manifest, options, publishStage);
+    const { validation, reportPaths } = writeRunOutputs(pairs, manifest, results, options);
+
+    const tradeWarnings = collectTradeWarnings(pairs, manifest, options);
+    printRunSummary({ results, skippedCount, removedCount, jobs, elapsedMs: performance.now() - startTime, validation, pairing, tradeWarnings, reportPaths });
+    console.log(`\n🎉 Finished! Processed ${pendingPairs.length} pairs.`);
+    if (options.strict && validation.issueCount > 0) {
+        console.error(`❌ Strict mode: ${validation.issueCount} validation issue(s) found.`);
+        process.exitCode = 1;
+    }
+    if (options.watch) await watchInputFolders(manifest, resolveOhlc, options, publishStage);
+}
+
+module.exports = {
+    runRenderCommand,
+};
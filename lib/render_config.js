@@ -0,0 +1,212 @@
+/**
+ * Render Configuration
+ * * Description:
+ * Themes, sizes and layout for the rendered images. A config file (JSON, or
+ * a JS module exporting an object) picks a named theme, the layout, the font
+ * families and a scale factor, and may override single colours or sizes or
+ * define extra themes. `footprint` switches the zone imbalance tables to a
+ * footprint heatmap and sets its imbalance ratio and stack length; the
+ * heatmap's colour scale runs from the theme's `heatLow` to `heatHigh`.
+ * `resolveRenderStyle` turns that into the flat style object every SVG helper
+ * reads from.
+ *
+ * Example config:
+ * {
+ *   "theme": "light",
+ *   "layout": "vertical",
+ *   "fontFamily": "DejaVu Sans Mono",
+ *   "scale": 1.25,
+ *   "colors": { "accent": "#0057b8" },
+ *   "footprint": { "enabled": true, "ratio": 3, "stackedLevels": 3 },
+ *   "themes": { "solarized": { "extends": "dark", "colors": { "background": "#002b36" } } }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isPlainObject } = require('./utils');
+
+const LAYOUTS = ['horizontal', 'vertical'];
+
+// The original hard-coded palette is the dark theme; the light theme is meant for printing
+const THEMES = {
+    dark: {
+        background: '#141414',
+        text: '#DCDCDC',
+        panel: '#2a2a2a',
+        bid: '#ff4d4d', // Red for specific bids/BEARISH
+        ask: '#33cc33', // Green for specific asks/BULLISH
+        bearish: '#ff4d4d',
+        bullish: '#33cc33',
+        neutral: '#8c8c8c',
+        accent: '#4d94ff',
+        warning: '#ffb020', // Trade sanity check warnings
+        heatLow: '#1f2a3d', // Footprint cells with the least volume
+        heatHigh: '#2f6fd6', // Footprint cells with the most volume
+        changed: '#c586ff', // Values that changed since the previous snapshot (--diff)
+    },
+    light: {
+        background: '#ffffff',
+        text: '#1a1a1a',
+        panel: '#f0f0f0',
+        bid: '#c62828',
+        ask: '#2e7d32',
+        bearish: '#c62828',
+        bullish: '#2e7d32',
+        neutral: '#616161',
+        accent: '#1565c0',
+        warning: '#b45f06',
+        heatLow: '#eef3fa',
+        heatHigh: '#7fb0ea',
+        changed: '#8e24aa',
+    },
+};
+
+// Sizes in pixels at scale 1
+const DEFAULT_SIZES = {
+    padding: 20,
+    fontSize: 14,
+    headerFontSize: 18,
+    tableGap: 25,
+    tableWidth: 192,
+    candleTableWidth: 180,
+    marketStructureWidth: 180,
+    tradeDetailsWidth: 250, // Width of the combined trade detail box
+    bottomMargin: 150, // Guaranteed extra space at the bottom
+};
+
+const DEFAULT_CONFIG = {
+    theme: 'dark',
+    layout: 'horizontal',
+    fontFamily: 'monospace',
+    headerFontFamily: 'sans-serif',
+    scale: 1,
+};
+const DEFAULT_FOOTPRINT = {
+    enabled: false,
+    ratio: 3, // Diagonal volume ratio that counts as an imbalance, i.e. 3:1
+    stackedLevels: 3, // Consecutive imbalanced levels that count as a stacked imbalance
+};
+const HEAT_COLORS = ['heatLow', 'heatHigh']; // Interpolated, so they must be hex colours
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const CONFIG_KEYS = [...Object.keys(DEFAULT_CONFIG), 'colors', 'sizes', 'themes', 'footprint'];
+
+// --- LOADING & VALIDATION ---
+/**
+ * Reads a config file. `.js`/`.cjs` files are required and must export an object; anything else is parsed as JSON.
+ */
+function loadConfigFile(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    let config;
+    if (/\.c?js$/i.test(resolvedPath)) {
+        config = require(resolvedPath);
+    } else {
+        try {
+            config = JSON.parse(fs.readFileSync(resolvedPath, 'utf8').replace(/^\uFEFF/, ''));
+        } catch (e) {
+            throw new Error(`Config file '${filePath}' is not valid JSON: ${e.message}`);
+        }
+    }
+    if (!isPlainObject(config)) {
+        throw new Error(`Config file '${filePath}' must contain an object.`);
+    }
+    return config;
+}
+function checkColors(colors, where) {
+    if (!isPlainObject(colors)) throw new Error(`${where} must be an object of colours.`);
+    for (const [name, value] of Object.entries(colors)) {
+        if (!(name in THEMES.dark)) throw new Error(`${where}: unknown colour '${name}' (expected ${Object.keys(THEMES.dark).join(', ')}).`);
+        if (typeof value !== 'string' || /["<>&]/.test(value)) throw new Error(`${where}: colour '${name}' must be a CSS colour string.`);
+        if (HEAT_COLORS.includes(name) && !HEX_COLOR_PATTERN.test(value)) throw new Error(`${where}: colour '${name}' must be a hex colour like #2f6fd6.`);
+    }
+}
+function checkFontFamily(value, key) {
+    if (typeof value !== 'string' || value.trim() === '' || /["<>&]/.test(value)) {
+        throw new Error(`Config '${key}' must be a font family name without quotes or markup.`);
+    }
+}
+
+/**
+ * Throws an Error describing the first problem in `config`, so typos do not silently fall back to defaults.
+ */
+function validateConfig(config) {
+    for (const key of Object.keys(config)) {
+        if (!CONFIG_KEYS.includes(key)) throw new Error(`Unknown config key '${key}' (expected ${CONFIG_KEYS.join(', ')}).`);
+    }
+    const themes = { ...THEMES };
+    if (config.themes !== undefined) {
+        if (!isPlainObject(config.themes)) throw new Error(`Config 'themes' must be an object of named themes.`);
+        for (const [name, theme] of Object.entries(config.themes)) {
+            if (!isPlainObject(theme)) throw new Error(`Theme '${name}' must be an object.`);
+            const base = theme.extends ?? 'dark';
+            if (!(base in themes)) throw new Error(`Theme '${name}' extends unknown theme '${base}'.`);
+            checkColors(theme.colors ?? {}, `Theme '${name}'`);
+            themes[name] = { ...themes[base], ...(theme.colors ?? {}) };
+        }
+    }
+    if (config.theme !== undefined && !(config.theme in themes)) {
+        throw new Error(`Unknown theme '${config.theme}' (available: ${Object.keys(themes).join(', ')}).`);
+    }
+    if (config.layout !== undefined && !LAYOUTS.includes(config.layout)) {
+        throw new Error(`Unknown layout '${config.layout}' (expected ${LAYOUTS.join(' or ')}).`);
+    }
+    if (config.fontFamily !== undefined) checkFontFamily(config.fontFamily, 'fontFamily');
+    if (config.headerFontFamily !== undefined) checkFontFamily(config.headerFontFamily, 'headerFontFamily');
+    if (config.scale !== undefined && !(typeof config.scale === 'number' && config.scale > 0 && config.scale <= 10)) {
+        throw new Error(`Config 'scale' must be a number between 0 and 10.`);
+    }
+    if (config.colors !== undefined) checkColors(config.colors, `Config 'colors'`);
+    if (config.sizes !== undefined) {
+        if (!isPlainObject(config.sizes)) throw new Error(`Config 'sizes' must be an object.`);
+        for (const [name, value] of Object.entries(config.sizes)) {
+            if (!(name in DEFAULT_SIZES)) throw new Error(`Unknown size '${name}' (expected ${Object.keys(DEFAULT_SIZES).join(', ')}).`);
+            if (typeof value !== 'number' || value < 0) throw new Error(`Size '${name}' must be a non-negative number.`);
+        }
+    }
+    if (config.footprint !== undefined) {
+        if (!isPlainObject(config.footprint)) throw new Error(`Config 'footprint' must be an object.`);
+        for (const [name, value] of Object.entries(config.footprint)) {
+            if (!(name in DEFAULT_FOOTPRINT)) throw new Error(`Unknown footprint option '${name}' (expected ${Object.keys(DEFAULT_FOOTPRINT).join(', ')}).`);
+        }
+        const { enabled, ratio, stackedLevels } = config.footprint;
+        if (enabled !== undefined && typeof enabled !== 'boolean') throw new Error(`Footprint 'enabled' must be true or false.`);
+        if (ratio !== undefined && !(typeof ratio === 'number' && ratio > 1)) throw new Error(`Footprint 'ratio' must be a number above 1, e.g. 3 for 3:1.`);
+        if (stackedLevels !== undefined && !(Number.isInteger(stackedLevels) && stackedLevels >= 2)) {
+            throw new Error(`Footprint 'stackedLevels' must be a whole number of at least 2.`);
+        }
+    }
+    return themes;
+}
+
+// --- RESOLUTION ---
+/**
+ * Merges `config` over the defaults and returns the style object used by the renderer.
+ * Every size is multiplied by `scale`; line height and header spacing follow the font size.
+ */
+function resolveRenderStyle(config = {}) {
+    const themes = validateConfig(config);
+    const merged = { ...DEFAULT_CONFIG, ...config };
+    const sizes = { ...DEFAULT_SIZES, ...(config.sizes ?? {}) };
+    const scaled = Object.fromEntries(Object.entries(sizes).map(([name, value]) => [name, value * merged.scale]));
+    const lineHeight = scaled.fontSize * 1.4;
+
+    return {
+        theme: merged.theme,
+        layout: merged.layout,
+        fontFamily: merged.fontFamily,
+        headerFontFamily: merged.headerFontFamily,
+        scale: merged.scale,
+        colors: { ...themes[merged.theme], ...(config.colors ?? {}) },
+        footprint: { ...DEFAULT_FOOTPRINT, ...(config.footprint ?? {}) },
+        ...scaled,
+        lineHeight,
+        headerToBoxSpacing: lineHeight * 0.75,
+    };
+}
+
+module.exports = {
+    LAYOUTS,
+    THEMES,
+    loadConfigFile,
+    resolveRenderStyle,
+};
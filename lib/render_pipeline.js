@@ -0,0 +1,413 @@
+/**
+ * Render Pipeline
+ * * Description:
+ * The steps of a render run between finding the pairs and reporting on them:
+ * preparing the output directory, deciding which pairs are outdated (see
+ * lib/manifest.js), rendering them a few at a time with their sidecars and
+ * recording the outcome in the manifest, and cleaning up outputs whose
+ * sources are gone. Used by the render command and its watch mode.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA_VERSION } = require('./snapshot_schema');
+const { formatTimestamp } = require('./timestamps');
+const { loadOhlcFile, findOhlcFile } = require('./backtest');
+const { INDEX_DIR, renderSetupNote } = require('./obsidian_export');
+const {
+    RENDER_LAYOUT_VERSION, OUTPUT_FORMATS, getEventType, parseSnapshotJson, analyzeSnapshot, createSnapshotSummary, renderOutput,
+} = require('./render');
+const { REVIEW_SIDECAR_SUFFIX, getReviewPath, readReview } = require('./review');
+const { createImageMetadata } = require('./image_metadata');
+const { hashContent, hashFile, saveManifest, getManifestKey, isUpToDate } = require('./manifest');
+const { isSameOrInside, toReportPath, getOutputPath } = require('./snapshot_files');
+const { PUBLISH_LOG_FILE, isNewSetup, publishRenderedSetup } = require('./publish_stage');
+const { writeValidationReport, writeSessionReports, writeObsidianIndexes } = require('./run_reports');
+
+const RESULT_SIDECAR_SUFFIX = '.result.json';
+
+// --- OUTPUT DIRECTORY ---
+// Review sidecars hold the user's own tags and notes rather than rendered output, so --clean keeps them
+function removeRenderedFiles(dir, keepNames = []) {
+    for (const item of fs.readdirSync(dir)) {
+        const itemPath = path.join(dir, item);
+        if (keepNames.includes(item) || item.endsWith(REVIEW_SIDECAR_SUFFIX)) continue;
+        if (fs.statSync(itemPath).isDirectory()) {
+            removeRenderedFiles(itemPath);
+            if (fs.readdirSync(itemPath).length === 0) fs.rmdirSync(itemPath);
+        } else {
+            fs.rmSync(itemPath, { force: true });
+        }
+    }
+}
+// The publish log records posts that already went out, so --clean must not forget them either
+function setupOutputDirectory(outputDir, clean) {
+    if (clean && fs.existsSync(outputDir)) removeRenderedFiles(outputDir, ['.obsidian', PUBLISH_LOG_FILE]);
+    fs.mkdirSync(outputDir, { recursive: true });
+    console.log(`Directory '${outputDir}' is ready${clean ? ' (cleaned)' : ''}.`);
+}
+
+/**
+ * Everything that affects the rendered pixels, stored with each manifest entry (see lib/manifest.js).
+ * Pip sizes are included because they change the recomputed pips and trade warnings on the image, and the
+ * output settings (format, quality, max width, --diff) because they change the written file.
+ */
+function getRenderSettingsHash(options) {
+    const { style, instruments, format, quality, maxWidth, diff } = options;
+    return hashContent(JSON.stringify({ layoutVersion: RENDER_LAYOUT_VERSION, style, instruments, output: { format, quality, maxWidth, diff } }));
+}
+
+function removeExtraFiles(extraKeys, outputDir) {
+    for (const extraKey of extraKeys) {
+        fs.rmSync(path.join(outputDir, ...extraKey.split('/')), { force: true });
+    }
+}
+function removeOutputFiles(outputPath, extraKeys, outputDir) {
+    fs.rmSync(outputPath, { force: true });
+    removeExtraFiles(extraKeys, outputDir);
+}
+
+/**
+ * Removes what a pair left behind under another output format, e.g. its .png after switching to --format webp.
+ */
+function removeOtherFormatOutputs(manifest, key, outputDir) {
+    for (const extension of Object.values(OUTPUT_FORMATS)) {
+        const otherKey = key.slice(0, key.length - path.posix.extname(key).length) + extension;
+        const entry = manifest.entries[otherKey];
+        if (otherKey === key || !entry) continue;
+        removeOutputFiles(path.join(outputDir, ...otherKey.split('/')), entry.extraFiles || [], outputDir);
+        delete manifest.entries[otherKey];
+    }
+}
+
+/**
+ * Deletes outputs whose source PNG or JSON no longer exists, along with any folders left empty.
+ * Returns the number of outputs removed.
+ */
+function removeStaleOutputs(manifest, outputDir) {
+    let removedCount = 0;
+    for (const [key, entry] of Object.entries(manifest.entries)) {
+        if (fs.existsSync(entry.png?.path ?? '') && fs.existsSync(entry.json?.path ?? '')) continue;
+
+        const outputPath = path.join(outputDir, ...key.split('/'));
+        removeOutputFiles(outputPath, entry.extraFiles || [], outputDir);
+        delete manifest.entries[key];
+        removedCount++;
+        console.log(`  🗑️ Removed stale output: ${outputPath}`);
+
+        let dir = path.dirname(outputPath);
+        while (isSameOrInside(dir, outputDir) && path.resolve(dir) !== path.resolve(outputDir)
+            && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+            fs.rmdirSync(dir);
+            dir = path.dirname(dir);
+        }
+    }
+    return removedCount;
+}
+
+// --- OHLC DATA FOR BACK-TESTING ---
+/**
+ * Returns a function that finds and loads the OHLC data for a pair. Each CSV is parsed and hashed once,
+ * so thousands of snapshots of the same symbol share one load. Problems are returned as `error` so the
+ * Result box can explain why there is no outcome; `hash` lets the manifest notice new or updated data.
+ */
+function createOhlcResolver(ohlcPath) {
+    const cache = new Map();
+    const isDirectory = fs.statSync(ohlcPath).isDirectory();
+    return pair => {
+        let file = ohlcPath;
+        if (isDirectory) {
+            if (!pair.info) return { file: null, hash: 'missing', error: 'file name has no symbol/timeframe' };
+            file = findOhlcFile(ohlcPath, pair.info.symbol, pair.info.timeframe);
+            if (!file) return { file: null, hash: 'missing', error: `no OHLC file for ${pair.info.symbol} ${pair.info.timeframe}` };
+        }
+        if (!cache.has(file)) {
+            try {
+                const { bars, skippedRows } = loadOhlcFile(file);
+                if (skippedRows > 0) console.warn(`  ⚠️ Skipped ${skippedRows} unreadable row(s) in ${file}`);
+                cache.set(file, { file, hash: hashFile(file), bars });
+            } catch (e) {
+                console.warn(`  ⚠️ Cannot use OHLC file ${file}: ${e.message}`);
+                cache.set(file, { file, hash: hashContent(e.message), error: e.message });
+            }
+        }
+        return cache.get(file);
+    };
+}
+
+// --- RENDERING ---
+function replaceExtension(filePath, extension) {
+    return filePath.slice(0, filePath.length - path.extname(filePath).length) + extension;
+}
+function writeResultSidecar(outputPath, jsonPath, snapshotInfo, ohlc, data, outcome) {
+    const sidecarPath = replaceExtension(outputPath, RESULT_SIDECAR_SUFFIX);
+    const sidecar = {
+        snapshot: toReportPath(jsonPath),
+        symbol: snapshotInfo?.symbol ?? null,
+        timeframe: snapshotInfo?.timeframe ?? null,
+        snapshotTime: snapshotInfo ? formatTimestamp(snapshotInfo.timestamp) : null,
+        ohlcFile: ohlc.file ? toReportPath(ohlc.file) : null,
+        limitOrder: data.limitOrder,
+        outcome: {
+            ...outcome,
+            fillTime: outcome.fillTime ? formatTimestamp(outcome.fillTime) : null,
+            exitTime: outcome.exitTime ? formatTimestamp(outcome.exitTime) : null,
+        },
+    };
+    fs.writeFileSync(sidecarPath, `${JSON.stringify(sidecar, null, 2)}\n`);
+    return sidecarPath;
+}
+
+function writeObsidianNote(outputPath, jsonPath, snapshotInfo, eventType, data, outcome) {
+    const notePath = replaceExtension(outputPath, '.md');
+    const note = renderSetupNote({
+        info: snapshotInfo,
+        eventType,
+        data,
+        outcome,
+        imageFileName: path.basename(outputPath),
+        source: toReportPath(jsonPath),
+    });
+    fs.writeFileSync(notePath, note);
+    return notePath;
+}
+
+/**
+ * Renders one pair. Resolves with `{ succeeded, error, issues, warnings, outcome, extraFiles, summary }`, where
+ * `issues` are the schema problems found in the JSON, `warnings` the trade sanity check findings
+ * (lib/trade_checks.js), `extraFiles` lists sidecar files written next to the image and `summary` is the
+ * `--format json` summary of the setup (null on failure), which the publishers work from.
+ * Options: `strict` (any issue stops the pair from being rendered), `snapshotInfo` (parsed file name) and
+ * `ohlc` (`{ file, bars }` or `{ file, error }` when back-testing, otherwise absent) and `obsidian`
+ * (also write the pair's Obsidian note), `style` (resolved render config, defaults to the dark theme),
+ * `instruments` (pip size table from lib/instruments.js, defaults to the built-in one), `reviewPath` (review
+ * sidecar to draw, if it exists), `previous` (`{ jsonPath, timestamp }` of the snapshot to diff against),
+ * `renderSettings` (embedded in the output with the source JSON, see lib/image_metadata.js) and the output
+ * settings `format`, `quality` and `maxWidth` (see `renderOutput` in lib/render.js).
+ */
+async function createCombinedImage(pngPath, jsonPath, outputPath, options = {}) {
+    let issues = [];
+    try {
+        let jsonText;
+        let jsonData;
+        try {
+            jsonText = fs.readFileSync(jsonPath, 'utf8');
+            jsonData = parseSnapshotJson(jsonText);
+        } catch (e) {
+            issues = [{ path: '', problem: `is not valid JSON: ${e.message}` }];
+            throw e;
+        }
+
+        const eventType = getEventType(jsonData, jsonPath);
+        const review = options.reviewPath ? readReview(options.reviewPath) : null;
+        const previous = options.previous ? readPreviousSnapshot(options.previous) : null;
+        const analysis = analyzeSnapshot(jsonData, { ...options, eventType, review, previous });
+        const { data, outcome, tradeCheck } = analysis;
+        issues = analysis.issues;
+        if (issues.length > 0 && options.strict) {
+            throw new Error(`${issues.length} schema issue(s) found; not rendered in strict mode.`);
+        }
+        const warnings = tradeCheck ? tradeCheck.warnings : [];
+        const metadata = createImageMetadata({
+            snapshot: jsonText.replace(/^\uFEFF/, ''),
+            source: path.basename(jsonPath),
+            eventType,
+            snapshotInfo: options.snapshotInfo ?? null,
+            settings: options.renderSettings,
+        });
+        const buffer = await renderOutput(pngPath, analysis, { ...options, metadata });
+
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, buffer);
+        const extraFiles = [];
+        if (outcome) {
+            extraFiles.push(writeResultSidecar(outputPath, jsonPath, options.snapshotInfo, options.ohlc, data, outcome));
+        }
+        if (options.obsidian) {
+            extraFiles.push(writeObsidianNote(outputPath, jsonPath, options.snapshotInfo, eventType, data, outcome));
+        }
+        const notes = [
+            ...(issues.length > 0 ? [`${issues.length} validation issue(s) marked`] : []),
+            ...(warnings.length > 0 ? [`${warnings.length} trade warning(s)`] : []),
+        ];
+        console.log(`  ✅ Created: ${outputPath}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`);
+        return { succeeded: true, error: null, issues, warnings, outcome, extraFiles, summary: createSnapshotSummary(analysis, options.snapshotInfo) };
+
+    } catch (e) {
+        console.error(`  ❌ Failed to process ${path.basename(pngPath)}: ${e.message}`);
+        return { succeeded: false, error: e.message, issues, warnings: [], outcome: null, extraFiles: [], summary: null };
+    }
+}
+// A broken previous snapshot fails its own pair; here it only means there is nothing to diff against
+function readPreviousSnapshot({ jsonPath, timestamp }) {
+    try {
+        return { jsonData: parseSnapshotJson(fs.readFileSync(jsonPath, 'utf8')), jsonPath, timestamp };
+    } catch (e) {
+        console.warn(`  ⚠️ Not showing changes: cannot read previous snapshot ${path.basename(jsonPath)}: ${e.message}`);
+        return null;
+    }
+}
+/**
+ * Runs `worker` over `items` with at most `limit` calls in flight at once. A call that throws does not
+ * stop the others; resolves with `{ item, index, error }` for each call that did.
+ */
+async function runWithConcurrency(items, limit, worker) {
+    const failures = [];
+    let nextIndex = 0;
+    async function runNext() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                await worker(items[index], index);
+            } catch (error) {
+                failures.push({ item: items[index], index, error });
+            }
+        }
+    }
+    const runnerCount = Math.min(limit, items.length);
+    await Promise.all(Array.from({ length: runnerCount }, runNext));
+    return failures;
+}
+/**
+ * The render settings embedded in every output next to the source JSON: enough to tell how an image was made,
+ * not the full resolved style.
+ */
+function getEmbeddedRenderSettings(options) {
+    const { theme, layout, scale, footprint } = options.style;
+    return {
+        layoutVersion: RENDER_LAYOUT_VERSION,
+        schemaVersion: SCHEMA_VERSION,
+        theme,
+        layout,
+        scale,
+        footprint: footprint.enabled,
+        format: options.format,
+        quality: options.quality,
+        maxWidth: options.maxWidth,
+        diff: options.diff,
+        strict: options.strict,
+    };
+}
+/**
+ * Hashes the sources of each pair and returns the ones whose image is missing or outdated,
+ * ready for `renderPairs`.
+ */
+function getPendingPairs(pairs, manifest, options, resolveOhlc) {
+    const settingsHash = getRenderSettingsHash(options);
+    const pendingPairs = [];
+    for (const pair of pairs) {
+        const outputPath = getOutputPath(pair, options);
+        const key = getManifestKey(outputPath, options.outputDir);
+        const ohlc = resolveOhlc ? resolveOhlc(pair) : null;
+        const reviewPath = getReviewPath(outputPath);
+        const sourceHashes = {
+            png: hashFile(pair['.png']),
+            json: hashFile(pair['.json']),
+            ohlc: ohlc ? ohlc.hash : null,
+            // Which extra outputs are written alongside the image
+            exports: options.obsidian ? 'obsidian' : null,
+            review: fs.existsSync(reviewPath) ? hashFile(reviewPath) : null,
+            // The snapshot the changes are drawn against (--diff)
+            previous: options.diff && pair.previous ? hashFile(pair.previous['.json']) : null,
+            settings: settingsHash,
+        };
+        if (isUpToDate(manifest.entries[key], sourceHashes, outputPath)) continue;
+        pendingPairs.push({ pair, outputPath, key, sourceHashes, ohlc });
+    }
+    return pendingPairs;
+}
+
+/**
+ * Renders the pending pairs and records each outcome in the manifest. With a `publishStage` (see
+ * `createPublishStage`) every rendered setup is handed to the publishers. Returns one result per pair.
+ */
+async function renderPairs(pendingPairs, manifest, options, publishStage = null) {
+    const { outputDir, jobs } = options;
+    const results = [];
+    const failures = await runWithConcurrency(pendingPairs, jobs, async ({ pair, outputPath, key, sourceHashes, ohlc }, index) => {
+        console.log(`Processing pair ${index + 1}/${pendingPairs.length}: ${path.basename(pair['.png'])}`);
+        const pairStartTime = performance.now();
+        removeOtherFormatOutputs(manifest, key, outputDir);
+        const renderOptions = {
+            strict: options.strict,
+            snapshotInfo: pair.info,
+            ohlc,
+            obsidian: options.obsidian,
+            style: options.style,
+            instruments: options.instruments,
+            format: options.format,
+            quality: options.quality,
+            maxWidth: options.maxWidth,
+            reviewPath: getReviewPath(outputPath),
+            previous: options.diff && pair.previous ? { jsonPath: pair.previous['.json'], timestamp: pair.previous.info.timestamp } : null,
+            renderSettings: getEmbeddedRenderSettings(options),
+        };
+        const { succeeded, error, issues, warnings, outcome, extraFiles, summary } = await createCombinedImage(pair['.png'], pair['.json'], outputPath, renderOptions);
+        const durationMs = performance.now() - pairStartTime;
+        const published = succeeded && publishStage && isNewSetup(publishStage, pair['.json'])
+            ? await publishRenderedSetup(publishStage, pair['.json'], outputPath, summary, options)
+            : null;
+        // Without a log entry for them, failed posts are only retried while the snapshot counts as new
+        const publishPending = Boolean(published?.some(result => result.status === 'failed')) && !publishStage.dryRun;
+        results.push({ name: key, jsonPath: pair['.json'], succeeded, error, issues, outcome, published, durationMs });
+
+        const previousExtraKeys = manifest.entries[key]?.extraFiles || [];
+        const extraKeys = extraFiles.map(file => getManifestKey(file, outputDir));
+        if (succeeded) {
+            // Sidecars from the previous render that were not written again are outdated
+            removeExtraFiles(previousExtraKeys.filter(extraKey => !extraKeys.includes(extraKey)), outputDir);
+            manifest.entries[key] = {
+                png: { path: path.resolve(pair['.png']), hash: sourceHashes.png },
+                json: { path: path.resolve(pair['.json']), hash: sourceHashes.json },
+                ...(ohlc && { ohlc: { path: ohlc.file && path.resolve(ohlc.file), hash: ohlc.hash } }),
+                ...(sourceHashes.exports && { exports: sourceHashes.exports }),
+                ...(sourceHashes.review && { review: sourceHashes.review }),
+                ...(sourceHashes.previous && { previous: sourceHashes.previous }),
+                settings: sourceHashes.settings,
+                ...(extraKeys.length > 0 && { extraFiles: extraKeys }),
+                ...(issues.length > 0 && { issues }),
+                ...(warnings.length > 0 && { warnings }),
+                ...(publishPending && { publishPending }),
+            };
+        } else {
+            // Drop the outdated image and forget the pair so the next run retries it
+            removeOutputFiles(outputPath, previousExtraKeys, outputDir);
+            delete manifest.entries[key];
+        }
+    });
+    // Anything that threw outside the render itself (e.g. a publisher) still only fails its own pair
+    for (const { item: { pair, key }, error } of failures) {
+        console.error(`  ❌ Failed to process ${path.basename(pair['.png'])}: ${error.message}`);
+        delete manifest.entries[key];
+        results.push({ name: key, jsonPath: pair['.json'], succeeded: false, error: error.message, issues: [], outcome: null, published: null, durationMs: 0 });
+    }
+    return results;
+}
+
+/**
+ * Saves the manifest and rewrites the validation report, session reports and Obsidian indexes
+ * after a batch of renders. Returns what the run summary needs.
+ */
+function writeRunOutputs(pairs, manifest, results, options) {
+    saveManifest(manifest, options.outputDir);
+    const validation = writeValidationReport(manifest, results.filter(result => !result.succeeded), options);
+    const reportPaths = writeSessionReports(pairs, manifest, options);
+    if (options.obsidian) {
+        const indexCount = writeObsidianIndexes(manifest, options.outputDir);
+        console.log(`Obsidian: wrote ${indexCount} index note(s) to '${path.join(options.outputDir, INDEX_DIR)}'.`);
+    }
+    return { validation, reportPaths };
+}
+
+module.exports = {
+    setupOutputDirectory,
+    getRenderSettingsHash,
+    removeStaleOutputs,
+    createOhlcResolver,
+    createCombinedImage,
+    runWithConcurrency,
+    getEmbeddedRenderSettings,
+    getPendingPairs,
+    renderPairs,
+    writeRunOutputs,
+};
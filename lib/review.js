@@ -0,0 +1,83 @@
+/**
+ * Setup Reviews
+ * * Description:
+ * Tags and notes added to a setup in the `serve` review page. Each review is
+ * a sidecar next to the rendered image (`<name>.review.json`), so it survives
+ * re-renders and switching output formats; the renderer draws it as a
+ * "Review" box the next time the image is generated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REVIEW_SIDECAR_SUFFIX = '.review.json';
+const DEFAULT_REVIEW_TAGS = ['A+', 'skip', 'bad SL'];
+const MAX_TAG_LENGTH = 32;
+const MAX_TAGS = 20;
+const MAX_NOTE_LENGTH = 2000;
+
+/**
+ * The review sidecar of a rendered image, e.g. `EURUSD_5_2025-09-29 23-05-00.review.json` for its `.png`.
+ */
+function getReviewPath(outputPath) {
+    return outputPath.slice(0, outputPath.length - path.extname(outputPath).length) + REVIEW_SIDECAR_SUFFIX;
+}
+
+/**
+ * Checks `{ tags, note }` and returns a cleaned copy: tags trimmed and de-duplicated, the note trimmed.
+ * Throws an Error describing the first problem.
+ */
+function normalizeReview(review) {
+    if (typeof review !== 'object' || review === null || Array.isArray(review)) {
+        throw new Error('A review must be an object with `tags` and `note`.');
+    }
+    const { tags = [], note = '' } = review;
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        throw new Error('Review `tags` must be a list of strings.');
+    }
+    if (typeof note !== 'string') throw new Error('Review `note` must be a string.');
+
+    const cleanTags = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+    const longTag = cleanTags.find(tag => tag.length > MAX_TAG_LENGTH);
+    if (longTag) throw new Error(`Tag '${longTag.slice(0, MAX_TAG_LENGTH)}…' is longer than ${MAX_TAG_LENGTH} characters.`);
+    if (cleanTags.length > MAX_TAGS) throw new Error(`A review can have at most ${MAX_TAGS} tags.`);
+    if (note.length > MAX_NOTE_LENGTH) throw new Error(`Review notes are limited to ${MAX_NOTE_LENGTH} characters.`);
+    return { tags: cleanTags, note: note.trim() };
+}
+
+/**
+ * Reads a review sidecar. Returns null when there is none; throws an Error when it is unreadable or malformed.
+ */
+function readReview(reviewPath) {
+    if (!fs.existsSync(reviewPath)) return null;
+    try {
+        const review = JSON.parse(fs.readFileSync(reviewPath, 'utf8').replace(/^\uFEFF/, ''));
+        return { ...normalizeReview(review), updatedAt: review.updatedAt ?? null };
+    } catch (e) {
+        throw new Error(`Review file '${reviewPath}' is invalid: ${e.message}`);
+    }
+}
+
+/**
+ * Saves a review and returns what was written. An empty review (no tags, no note) removes the sidecar
+ * and returns null.
+ */
+function writeReview(reviewPath, review) {
+    const { tags, note } = normalizeReview(review);
+    if (tags.length === 0 && note === '') {
+        fs.rmSync(reviewPath, { force: true });
+        return null;
+    }
+    const saved = { tags, note, updatedAt: new Date().toISOString() };
+    fs.writeFileSync(reviewPath, `${JSON.stringify(saved, null, 2)}\n`);
+    return saved;
+}
+
+module.exports = {
+    REVIEW_SIDECAR_SUFFIX,
+    DEFAULT_REVIEW_TAGS,
+    getReviewPath,
+    normalizeReview,
+    readReview,
+    writeReview,
+};
@@ -0,0 +1,295 @@
+/**
+ * Review Page
+ * * Description:
+ * The single HTML page served by the `serve` command. It lists the rendered
+ * setups from `/api/setups`, filters them by date range, symbol, market
+ * structure, order volume and tag, shows one image at a time and saves tags
+ * and notes with `PUT /api/reviews/<key>`. Everything runs in the browser
+ * without external scripts, so the page works offline.
+ *
+ * Keys: ←/→ (or j/k) step through the list, Home/End jump to the ends,
+ * 1-9 toggle the quick tags, t adds a tag, n edits the note, Esc leaves a field.
+ */
+
+const NOTE_SAVE_DELAY_MS = 600;
+
+/**
+ * Renders the page with the colours of a resolved theme (`style.colors` from lib/render_config.js).
+ */
+function renderReviewPage(theme) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Setup Review</title>
+<style>
+    * { box-sizing: border-box; }
+    body { background: ${theme.background}; color: ${theme.text}; font-family: sans-serif; margin: 0; display: flex; height: 100vh; }
+    aside { width: 340px; display: flex; flex-direction: column; border-right: 1px solid ${theme.panel}; }
+    main { flex: 1; overflow: auto; padding: 16px 24px; }
+    .filters { display: grid; grid-template-columns: auto 1fr; gap: 6px 10px; padding: 16px; background: ${theme.panel}; align-items: center; }
+    .filters .range { display: flex; gap: 6px; }
+    input, select, textarea, button { background: ${theme.background}; color: ${theme.text}; border: 1px solid ${theme.neutral}; border-radius: 4px; padding: 4px 6px; font: inherit; }
+    .range input { width: 100%; min-width: 0; }
+    #count { padding: 8px 16px; color: ${theme.neutral}; }
+    #list { list-style: none; margin: 0; padding: 0; overflow-y: auto; flex: 1; }
+    #list li { padding: 6px 16px; cursor: pointer; font-family: monospace; border-left: 3px solid transparent; }
+    #list li.selected { background: ${theme.panel}; border-left-color: ${theme.accent}; }
+    #list .tags { color: ${theme.accent}; }
+    .BULLISH { color: ${theme.bullish}; }
+    .BEARISH { color: ${theme.bearish}; }
+    .NEUTRAL { color: ${theme.neutral}; }
+    h1 { font-size: 20px; margin: 0 0 12px; }
+    h1 .position { color: ${theme.neutral}; font-weight: normal; margin-left: 12px; }
+    .review { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin-bottom: 12px; }
+    .tag { border-radius: 12px; padding: 3px 10px; cursor: pointer; }
+    .tag.on { background: ${theme.accent}; border-color: ${theme.accent}; color: #fff; }
+    .tag kbd { opacity: 0.6; margin-right: 4px; font-size: 11px; }
+    #note { width: 100%; height: 70px; resize: vertical; margin-bottom: 6px; }
+    #status { min-height: 20px; color: ${theme.neutral}; margin-bottom: 12px; }
+    #status.error { color: ${theme.bearish}; }
+    #image { display: block; max-width: 100%; border-radius: 3px; }
+    .help { color: ${theme.neutral}; font-size: 12px; padding: 8px 16px; border-top: 1px solid ${theme.panel}; }
+</style>
+</head>
+<body>
+<aside>
+    <div class="filters">
+        <label for="from">Date</label>
+        <div class="range"><input id="from" type="date" title="From"><input id="to" type="date" title="To"></div>
+        <label for="symbol">Symbol</label>
+        <select id="symbol"><option value="">All</option></select>
+        <label for="structure">Structure</label>
+        <select id="structure"><option value="">All</option><option>BULLISH</option><option>BEARISH</option><option>NEUTRAL</option></select>
+        <label for="minVolume">Volume</label>
+        <div class="range"><input id="minVolume" type="number" min="0" placeholder="min"><input id="maxVolume" type="number" min="0" placeholder="max"></div>
+        <label for="tagFilter">Tag</label>
+        <select id="tagFilter"><option value="">All</option><option value="-">Not reviewed</option></select>
+    </div>
+    <div id="count"></div>
+    <ul id="list"></ul>
+    <div class="help">←/→ or j/k: previous/next · 1-9: toggle tag · t: add tag · n: note · Esc: leave field</div>
+</aside>
+<main>
+    <h1 id="title">Loading…</h1>
+    <div class="review" id="tags"></div>
+    <div class="review"><input id="newTag" placeholder="Add tag and press Enter" maxlength="32"></div>
+    <textarea id="note" placeholder="Notes" maxlength="2000"></textarea>
+    <div id="status"></div>
+    <img id="image" alt="">
+</main>
+<script>
+const NOTE_SAVE_DELAY_MS = ${NOTE_SAVE_DELAY_MS};
+const $ = id => document.getElementById(id);
+const filterIds = ['from', 'to', 'symbol', 'structure', 'minVolume', 'maxVolume', 'tagFilter'];
+let setups = [];
+let quickTags = [];
+let visible = [];
+let current = null;
+let noteTimer = null;
+
+function formatTimeframe(timeframe) {
+    return /^\\d+$/.test(timeframe) ? 'M' + timeframe : timeframe;
+}
+function describe(setup) {
+    return setup.time.slice(0, 16) + ' ' + setup.symbol + ' ' + formatTimeframe(setup.timeframe);
+}
+function getTags(setup) {
+    return setup.review ? setup.review.tags : [];
+}
+function setStatus(text, isError) {
+    $('status').textContent = text;
+    $('status').className = isError ? 'error' : '';
+}
+function fillSelect(select, values) {
+    const selected = select.value;
+    for (const option of [...select.options]) {
+        if (option.value !== '' && option.value !== '-') option.remove();
+    }
+    for (const value of values) select.add(new Option(value, value));
+    select.value = values.includes(selected) ? selected : '';
+}
+
+function matches(setup) {
+    const date = setup.time.slice(0, 10);
+    const minVolume = $('minVolume').value;
+    const maxVolume = $('maxVolume').value;
+    const tag = $('tagFilter').value;
+    if ($('from').value && date < $('from').value) return false;
+    if ($('to').value && date > $('to').value) return false;
+    if ($('symbol').value && setup.symbol.toUpperCase() !== $('symbol').value) return false;
+    if ($('structure').value && setup.structure !== $('structure').value) return false;
+    if (minVolume !== '' && !(setup.orderVolume >= Number(minVolume))) return false;
+    if (maxVolume !== '' && !(setup.orderVolume <= Number(maxVolume))) return false;
+    if (tag === '-' && getTags(setup).length > 0) return false;
+    if (tag && tag !== '-' && !getTags(setup).includes(tag)) return false;
+    return true;
+}
+
+function renderList() {
+    visible = setups.filter(matches);
+    $('count').textContent = visible.length + ' of ' + setups.length + ' setups';
+    const list = $('list');
+    list.replaceChildren();
+    for (const setup of visible) {
+        const item = document.createElement('li');
+        item.append(describe(setup) + ' ');
+        if (setup.structure) {
+            const structure = document.createElement('span');
+            structure.className = setup.structure;
+            structure.textContent = setup.structure;
+            item.append(structure);
+        }
+        if (setup.orderVolume !== null) item.append(' vol ' + setup.orderVolume);
+        if (getTags(setup).length > 0) {
+            const tags = document.createElement('div');
+            tags.className = 'tags';
+            tags.textContent = getTags(setup).join(' · ');
+            item.append(tags);
+        }
+        if (setup === current) item.className = 'selected';
+        item.addEventListener('click', () => select(setup));
+        list.append(item);
+    }
+    if (!visible.includes(current)) select(visible[0] ?? null);
+}
+
+function renderTags() {
+    const container = $('tags');
+    container.replaceChildren();
+    if (!current) return;
+    const tags = [...new Set([...quickTags, ...getTags(current)])];
+    tags.forEach((tag, index) => {
+        const button = document.createElement('button');
+        button.className = 'tag' + (getTags(current).includes(tag) ? ' on' : '');
+        if (index < 9) {
+            const key = document.createElement('kbd');
+            key.textContent = String(index + 1);
+            button.append(key);
+        }
+        button.append(tag);
+        button.addEventListener('click', () => toggleTag(tag));
+        container.append(button);
+    });
+}
+
+function select(setup) {
+    if (current && noteTimer) saveNote();
+    current = setup;
+    if (!setup) {
+        $('title').textContent = 'No setups match the filters';
+        $('image').removeAttribute('src');
+        $('note').value = '';
+        renderTags();
+        return;
+    }
+    const position = document.createElement('span');
+    position.className = 'position';
+    position.textContent = (visible.indexOf(setup) + 1) + ' / ' + visible.length;
+    $('title').replaceChildren(describe(setup) + ' ' + (setup.structure ?? ''), position);
+    $('image').src = '/images/' + setup.key.split('/').map(encodeURIComponent).join('/');
+    $('note').value = setup.review ? setup.review.note : '';
+    setStatus(setup.reviewError ?? '', Boolean(setup.reviewError));
+    renderTags();
+    for (const item of $('list').children) item.classList.remove('selected');
+    const item = $('list').children[visible.indexOf(setup)];
+    if (item) {
+        item.classList.add('selected');
+        item.scrollIntoView({ block: 'nearest' });
+    }
+}
+function step(offset) {
+    if (visible.length === 0) return;
+    const index = Math.min(visible.length - 1, Math.max(0, visible.indexOf(current) + offset));
+    select(visible[index]);
+}
+
+async function saveReview(setup, tags, note) {
+    setStatus('Saving…');
+    try {
+        const response = await fetch('/api/reviews/' + setup.key.split('/').map(encodeURIComponent).join('/'), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ tags, note }),
+        });
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.error);
+        setup.review = body.review;
+        setup.reviewError = null;
+        for (const tag of tags) {
+            if (!quickTags.includes(tag)) quickTags.push(tag);
+        }
+        fillSelect($('tagFilter'), quickTags);
+        if (setup === current) setStatus('Saved. Render again to draw the review on the image.');
+        renderList();
+        if (setup === current) renderTags();
+    } catch (error) {
+        setStatus('Not saved: ' + error.message, true);
+    }
+}
+function toggleTag(tag) {
+    if (!current) return;
+    const tags = getTags(current).includes(tag) ? getTags(current).filter(other => other !== tag) : [...getTags(current), tag];
+    saveReview(current, tags, $('note').value);
+}
+function saveNote() {
+    clearTimeout(noteTimer);
+    noteTimer = null;
+    if (!current || $('note').value === (current.review ? current.review.note : '')) return;
+    saveReview(current, getTags(current), $('note').value);
+}
+
+$('note').addEventListener('input', () => {
+    clearTimeout(noteTimer);
+    noteTimer = setTimeout(saveNote, NOTE_SAVE_DELAY_MS);
+});
+$('note').addEventListener('blur', saveNote);
+$('newTag').addEventListener('keydown', event => {
+    if (event.key !== 'Enter') return;
+    const tag = $('newTag').value.trim();
+    $('newTag').value = '';
+    if (tag && current && !getTags(current).includes(tag)) toggleTag(tag);
+});
+for (const id of filterIds) $(id).addEventListener('input', renderList);
+
+document.addEventListener('keydown', event => {
+    if (event.key === 'Escape') {
+        document.activeElement.blur();
+        return;
+    }
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName) || event.ctrlKey || event.metaKey || event.altKey) return;
+    const actions = {
+        ArrowRight: () => step(1), ArrowDown: () => step(1), j: () => step(1),
+        ArrowLeft: () => step(-1), ArrowUp: () => step(-1), k: () => step(-1),
+        Home: () => step(-visible.length), End: () => step(visible.length),
+        t: () => $('newTag').focus(),
+        n: () => $('note').focus(),
+    };
+    if (/^[1-9]$/.test(event.key)) {
+        const tags = [...new Set([...quickTags, ...(current ? getTags(current) : [])])];
+        const tag = tags[Number(event.key) - 1];
+        if (tag) toggleTag(tag);
+    } else if (actions[event.key]) {
+        actions[event.key]();
+    } else {
+        return;
+    }
+    event.preventDefault();
+});
+
+fetch('/api/setups').then(response => response.json()).then(body => {
+    setups = body.setups;
+    quickTags = body.tags;
+    fillSelect($('symbol'), [...new Set(setups.map(setup => setup.symbol.toUpperCase()))].sort());
+    fillSelect($('tagFilter'), quickTags);
+    renderList();
+}).catch(error => setStatus('Cannot load setups: ' + error.message, true));
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderReviewPage,
+};
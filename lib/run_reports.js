@@ -0,0 +1,248 @@
+/**
+ * Run Reports
+ * * Description:
+ * Everything a render run writes besides the outputs themselves: the
+ * validation and pairing reports, the HTML and Markdown session reports, the
+ * Obsidian index notes and the run summary printed at the end.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA_VERSION, validateSnapshot } = require('./snapshot_schema');
+const { VALIDATION_REPORT_FILE, OUTCOME_LABELS, getEventType, parseSnapshotJson } = require('./render');
+const { buildSessionStats, renderHtmlReport, renderMarkdownReport } = require('./session_report');
+const { INDEX_DIR, renderIndexNotes } = require('./obsidian_export');
+const { getManifestKey } = require('./manifest');
+const { countPublishResults } = require('./publish_stage');
+const {
+    parseSnapshotStem, toReportPath, describeFilters, getOutputPath, readSnapshotData,
+} = require('./snapshot_files');
+
+const PAIRING_REPORT_FILE = 'pairing-report.json';
+const SESSION_REPORT_NAME = 'session-report'; // Written as .html and .md
+const SLOWEST_PAIRS_IN_SUMMARY = 5;
+const MAX_TRADE_WARNINGS_IN_SUMMARY = 20;
+const MAX_PAIRING_PROBLEMS_IN_SUMMARY = 10;
+
+// --- VALIDATION AND PAIRING REPORTS ---
+/**
+ * Writes the machine-readable validation report. It covers every output tracked by the manifest
+ * (including pairs skipped as unchanged) plus the pairs that failed in this run.
+ */
+function writeValidationReport(manifest, failedResults, options) {
+    const issues = [];
+    const addIssues = (jsonPath, fileIssues) => {
+        for (const issue of fileIssues) {
+            issues.push({ file: toReportPath(jsonPath), path: issue.path, problem: issue.problem });
+        }
+    };
+    for (const entry of Object.values(manifest.entries)) {
+        addIssues(entry.json.path, entry.issues || []);
+    }
+    for (const result of failedResults) {
+        addIssues(result.jsonPath, result.issues);
+    }
+    issues.sort((a, b) => a.file.localeCompare(b.file));
+
+    const report = {
+        schemaVersion: SCHEMA_VERSION,
+        mode: options.strict ? 'strict' : 'lenient',
+        generatedAt: new Date().toISOString(),
+        fileCount: new Set(issues.map(issue => issue.file)).size,
+        issueCount: issues.length,
+        issues,
+    };
+    const reportPath = path.join(options.outputDir, VALIDATION_REPORT_FILE);
+    fs.writeFileSync(reportPath, `${JSON.stringify(report, null, 2)}\n`);
+    return { reportPath, fileCount: report.fileCount, issueCount: report.issueCount };
+}
+
+/**
+ * Writes the pairing report: files without their other half, files that lost their stem or output path to
+ * another file, halves with more than one near-timestamp candidate and the pairs the tolerance matched.
+ * It covers every scanned folder, regardless of the date and symbol filters.
+ */
+function writePairingReport(pairing, options) {
+    const report = {
+        generatedAt: new Date().toISOString(),
+        toleranceSeconds: options.pairToleranceSeconds,
+        orphanCount: pairing.orphans.length,
+        collisionCount: pairing.collisions.length,
+        ambiguousCount: pairing.ambiguous.length,
+        nearMatchCount: pairing.nearMatches.length,
+        orphans: pairing.orphans.map(({ file, missing }) => ({ file: toReportPath(file), missing })),
+        collisions: pairing.collisions.map(({ kind, output, kept, ignored }) => ({
+            kind,
+            ...(output && { output: toReportPath(output) }),
+            kept: toReportPath(kept),
+            ignored: ignored.map(toReportPath),
+        })),
+        ambiguous: pairing.ambiguous.map(({ file, candidates }) => ({ file: toReportPath(file), candidates: candidates.map(toReportPath) })),
+        nearMatches: pairing.nearMatches.map(({ png, json, offsetSeconds }) => ({ png: toReportPath(png), json: toReportPath(json), offsetSeconds })),
+    };
+    const reportPath = path.join(options.outputDir, PAIRING_REPORT_FILE);
+    fs.writeFileSync(reportPath, `${JSON.stringify(report, null, 2)}\n`);
+    return { reportPath, ...pairing };
+}
+
+// --- SESSION REPORT ---
+/**
+ * Writes the HTML and Markdown session reports for the selected pairs that have a rendered image,
+ * whether rendered in this run or skipped as unchanged. Returns the paths written.
+ */
+function writeSessionReports(pairs, manifest, options) {
+    const setups = [];
+    for (const pair of pairs) {
+        const key = getManifestKey(getOutputPath(pair, options), options.outputDir);
+        if (!manifest.entries[key]) continue;
+        try {
+            const jsonData = parseSnapshotJson(fs.readFileSync(pair['.json'], 'utf8'));
+            // The report covers trade setups only; cancellations, entries and status updates have no setup data
+            if (getEventType(jsonData, pair['.json']) !== 'limit-order') continue;
+            setups.push({ info: pair.info, data: validateSnapshot(jsonData).data, imagePath: key });
+        } catch (e) {
+            console.warn(`  ⚠️ Leaving ${path.basename(pair['.json'])} out of the session report: ${e.message}`);
+        }
+    }
+    if (setups.length === 0) return [];
+
+    const filterDescription = describeFilters(options);
+    const title = `Session Report${filterDescription ? ` (${filterDescription})` : ''}`;
+    const { background, text, panel, bullish, bearish, neutral, accent } = options.style.colors;
+    const theme = { background, text, panel, bullish, bearish, neutral, accent };
+    const stats = buildSessionStats(setups);
+    const htmlPath = path.join(options.outputDir, `${SESSION_REPORT_NAME}.html`);
+    const markdownPath = path.join(options.outputDir, `${SESSION_REPORT_NAME}.md`);
+    fs.writeFileSync(htmlPath, renderHtmlReport(stats, setups, theme, title));
+    fs.writeFileSync(markdownPath, renderMarkdownReport(stats, setups, title));
+    return [htmlPath, markdownPath];
+}
+
+// --- OBSIDIAN INDEX NOTES ---
+/**
+ * The `currentMarketStructure` of a snapshot JSON, or null when the file cannot be read or has none.
+ */
+function readMarketStructure(jsonPath) {
+    return readSnapshotData(jsonPath)?.data.currentMarketStructure ?? null;
+}
+/**
+ * Rebuilds the daily and per-symbol index notes from every setup note in the vault, not just the ones
+ * selected in this run. The index folder belongs to the tool and is replaced as a whole.
+ */
+function writeObsidianIndexes(manifest, outputDir) {
+    const setups = [];
+    for (const entry of Object.values(manifest.entries)) {
+        const notePath = (entry.extraFiles || []).find(extraKey => extraKey.endsWith('.md'));
+        if (!notePath) continue;
+        const jsonPath = entry.json.path;
+        const info = parseSnapshotStem(path.basename(jsonPath, path.extname(jsonPath)));
+        if (!info) continue;
+        // A note whose JSON cannot be read is still indexed, just without its market structure
+        setups.push({ info, structure: readMarketStructure(jsonPath), notePath });
+    }
+
+    const indexDir = path.join(outputDir, INDEX_DIR);
+    fs.rmSync(indexDir, { recursive: true, force: true });
+    const notes = renderIndexNotes(setups);
+    for (const note of notes) {
+        const notePath = path.join(outputDir, ...note.path.split('/'));
+        fs.mkdirSync(path.dirname(notePath), { recursive: true });
+        fs.writeFileSync(notePath, note.content);
+    }
+    return notes.length;
+}
+
+// --- RUN SUMMARY ---
+function formatDuration(milliseconds) {
+    return milliseconds >= 1000 ? `${(milliseconds / 1000).toFixed(2)} s` : `${Math.round(milliseconds)} ms`;
+}
+/**
+ * Trade warnings of the selected pairs, read from the manifest so pairs skipped as unchanged are included.
+ */
+function collectTradeWarnings(pairs, manifest, options) {
+    const warnings = [];
+    for (const pair of pairs) {
+        const key = getManifestKey(getOutputPath(pair, options), options.outputDir);
+        for (const warning of manifest.entries[key]?.warnings || []) {
+            warnings.push({ name: key, ...warning });
+        }
+    }
+    return warnings;
+}
+function printRunSummary(summary) {
+    const { results, skippedCount, removedCount, jobs, elapsedMs, validation, pairing, tradeWarnings, reportPaths } = summary;
+    const outcomeCounts = {};
+    for (const { outcome } of results) {
+        if (outcome) outcomeCounts[outcome.status] = (outcomeCounts[outcome.status] || 0) + 1;
+    }
+    const failures = results.filter(result => !result.succeeded);
+    const slowest = [...results].sort((a, b) => b.durationMs - a.durationMs).slice(0, SLOWEST_PAIRS_IN_SUMMARY);
+
+    console.log('\n--- RUN SUMMARY ---');
+    console.log(`Succeeded: ${results.length - failures.length}`);
+    console.log(`Failed: ${failures.length}`);
+    console.log(`Skipped (unchanged): ${skippedCount}`);
+    console.log(`Removed (stale): ${removedCount}`);
+    console.log(`Validation issues: ${validation.issueCount} in ${validation.fileCount} file(s) (see ${validation.reportPath})`);
+    const nearMatchNote = pairing.nearMatches.length > 0 ? `, ${pairing.nearMatches.length} matched by timestamp` : '';
+    console.log(`Pairing: ${pairing.orphans.length} orphan(s), ${pairing.collisions.length} collision(s), ${pairing.ambiguous.length} ambiguous${nearMatchNote} (see ${pairing.reportPath})`);
+    const pairingProblems = [
+        ...pairing.orphans.map(({ file, missing }) => `${toReportPath(file)}: no matching ${missing}`),
+        ...pairing.collisions.map(({ kind, kept, ignored }) => `${ignored.map(toReportPath).join(', ')}: ignored, ${kind === 'output' ? 'same output as' : 'same name as'} ${toReportPath(kept)}`),
+        ...pairing.ambiguous.map(({ file, candidates }) => `${toReportPath(file)}: ${candidates.length} candidates within the tolerance`),
+    ];
+    for (const problem of pairingProblems.slice(0, MAX_PAIRING_PROBLEMS_IN_SUMMARY)) {
+        console.log(`  ⚠️ ${problem}`);
+    }
+    if (pairingProblems.length > MAX_PAIRING_PROBLEMS_IN_SUMMARY) {
+        console.log(`  ...and ${pairingProblems.length - MAX_PAIRING_PROBLEMS_IN_SUMMARY} more`);
+    }
+    if (tradeWarnings.length > 0) {
+        const fileCount = new Set(tradeWarnings.map(warning => warning.name)).size;
+        console.log(`Trade warnings: ${tradeWarnings.length} in ${fileCount} file(s)`);
+        for (const warning of tradeWarnings.slice(0, MAX_TRADE_WARNINGS_IN_SUMMARY)) {
+            console.log(`  ⚠️ ${warning.name}: ${warning.message}`);
+        }
+        if (tradeWarnings.length > MAX_TRADE_WARNINGS_IN_SUMMARY) {
+            console.log(`  ...and ${tradeWarnings.length - MAX_TRADE_WARNINGS_IN_SUMMARY} more`);
+        }
+    }
+    if (Object.keys(outcomeCounts).length > 0) {
+        const tally = Object.entries(outcomeCounts).map(([status, count]) => `${count} ${OUTCOME_LABELS[status].text.toLowerCase()}`);
+        console.log(`Back-test outcomes: ${tally.join(', ')}`);
+    }
+    if (results.some(result => result.published)) {
+        const counts = countPublishResults(results);
+        console.log(`Published: ${counts.posted} posted, ${counts.filtered} filtered out by rules, ${counts.skipped} posted before, ${counts.failed} failed`);
+        for (const { name, published } of results) {
+            for (const { publisher, status, reason } of published || []) {
+                if (status === 'failed') console.log(`  ❌ ${name} to ${publisher}: ${reason}`);
+            }
+        }
+    }
+    if (reportPaths.length > 0) {
+        console.log(`Session report: ${reportPaths.join(', ')}`);
+    }
+    console.log(`Total time: ${formatDuration(elapsedMs)} with ${jobs} job${jobs === 1 ? '' : 's'}`);
+    if (slowest.length > 0) {
+        console.log('Slowest pairs:');
+        for (const result of slowest) {
+            console.log(`  ${formatDuration(result.durationMs).padStart(9)}  ${result.name}`);
+        }
+    }
+    if (failures.length > 0) {
+        console.log('Failed pairs:');
+        for (const result of failures) {
+            console.log(`  ❌ ${result.name}: ${result.error}`);
+        }
+    }
+}
+
+module.exports = {
+    writeValidationReport,
+    writePairingReport,
+    writeSessionReports,
+    writeObsidianIndexes,
+    collectTradeWarnings,
+    printRunSummary,
+};
@@ -0,0 +1,168 @@
+/**
+ * Serve Command
+ * * Description:
+ * A local review server over the rendered images: the review page
+ * (lib/review_page.js), the list of setups matching the command line
+ * filters, the images themselves and saving reviews as sidecars
+ * (lib/review.js). It only listens on and answers for localhost.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { formatTimestamp } = require('./timestamps');
+const { IMAGE_CONTENT_TYPES } = require('./render');
+const { DEFAULT_REVIEW_TAGS, getReviewPath, readReview, writeReview } = require('./review');
+const { renderReviewPage } = require('./review_page');
+const { loadManifest } = require('./manifest');
+const { describeFilters, filterPairs, collectRenderedSnapshots } = require('./snapshot_files');
+
+const SERVE_HOST = '127.0.0.1'; // The review server is only reachable from this machine
+const MAX_REVIEW_BODY_BYTES = 64 * 1024;
+
+/**
+ * The setups listed in the review page: every rendered image matching the command line filters, in time
+ * order, with its review. A review sidecar that cannot be read is reported on its setup instead of failing
+ * the whole list.
+ */
+function collectReviewSetups(options) {
+    const { outputDir } = options;
+    const snapshots = filterPairs(collectRenderedSnapshots(loadManifest(outputDir), outputDir), options);
+    return snapshots.sort((a, b) => a.info.timestamp - b.info.timestamp).map(snapshot => {
+        let review = null;
+        let reviewError = null;
+        try {
+            review = readReview(getReviewPath(snapshot.imagePath));
+        } catch (e) {
+            reviewError = e.message;
+        }
+        return {
+            key: snapshot.key,
+            symbol: snapshot.info.symbol,
+            timeframe: snapshot.info.timeframe,
+            time: formatTimestamp(snapshot.info.timestamp),
+            eventType: snapshot.eventType,
+            structure: snapshot.structure,
+            orderVolume: snapshot.orderVolume,
+            review,
+            reviewError,
+        };
+    });
+}
+/**
+ * The rendered image behind a manifest key from a request path, or null for anything that is not one.
+ * Keys are only ever looked up, never joined onto the output directory as given.
+ */
+function findRenderedImage(key, options) {
+    const entry = loadManifest(options.outputDir).entries[key];
+    if (!entry || !IMAGE_CONTENT_TYPES[path.posix.extname(key)]) return null;
+    const imagePath = path.join(options.outputDir, ...key.split('/'));
+    return fs.existsSync(imagePath) ? imagePath : null;
+}
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(body));
+}
+function readRequestBody(request, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new Error(`Request body is larger than ${limit} bytes.`));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Routes one request of the review server: the page, the setup list, the images and saving reviews.
+ */
+async function handleReviewRequest(request, response, options, page) {
+    // Only answer requests addressed to this machine, so other web pages cannot reach it through DNS rebinding
+    const hostname = (request.headers.host ?? '').replace(/:\d+$/, '');
+    if (!['localhost', '127.0.0.1'].includes(hostname)) {
+        sendJson(response, 403, { error: 'The review server only answers requests for localhost.' });
+        return;
+    }
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'GET' && pathname === '/') {
+        response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        response.end(page);
+        return;
+    }
+    if (request.method === 'GET' && pathname === '/api/setups') {
+        const setups = collectReviewSetups(options);
+        const usedTags = setups.flatMap(setup => setup.review?.tags ?? []);
+        const tags = [...new Set([...DEFAULT_REVIEW_TAGS, ...usedTags.sort()])];
+        sendJson(response, 200, { setups, tags });
+        return;
+    }
+
+    const route = /^\/(images|api\/reviews)\/(.+)$/.exec(pathname);
+    const key = route ? decodeURIComponent(route[2]) : null;
+    const imagePath = key ? findRenderedImage(key, options) : null;
+    if (route && route[1] === 'images' && request.method === 'GET' && imagePath) {
+        response.writeHead(200, { 'Content-Type': IMAGE_CONTENT_TYPES[path.extname(imagePath)], 'Cache-Control': 'no-cache' });
+        fs.createReadStream(imagePath).pipe(response);
+        return;
+    }
+    if (route && route[1] === 'api/reviews' && request.method === 'PUT' && imagePath) {
+        let review;
+        try {
+            review = writeReview(getReviewPath(imagePath), JSON.parse(await readRequestBody(request, MAX_REVIEW_BODY_BYTES)));
+        } catch (e) {
+            sendJson(response, 400, { error: e.message });
+            return;
+        }
+        console.log(`  ✅ ${review ? 'Saved' : 'Cleared'} review: ${key}`);
+        sendJson(response, 200, { review });
+        return;
+    }
+    sendJson(response, 404, { error: `Not found: ${pathname}` });
+}
+
+/**
+ * Serves the review page over the output directory until Ctrl+C. Reviews are written as sidecars
+ * (lib/review.js) and drawn onto the images by the next render run.
+ */
+async function runServeCommand(options) {
+    const { outputDir, port } = options;
+    const page = renderReviewPage(options.style.colors);
+    const server = http.createServer((request, response) => {
+        handleReviewRequest(request, response, options, page).catch(error => {
+            console.error(`  ❌ ${request.method} ${request.url}: ${error.message}`);
+            if (response.headersSent) response.destroy();
+            else sendJson(response, 500, { error: error.message });
+        });
+    });
+    await new Promise((resolve, reject) => {
+        server.once('error', error => {
+            reject(error.code === 'EADDRINUSE' ? new Error(`Port ${port} is already in use; pick another one with --port.`) : error);
+        });
+        server.listen(port, SERVE_HOST, resolve);
+    });
+
+    const setupCount = collectReviewSetups(options).length;
+    const filterDescription = describeFilters(options);
+    console.log(`Serving ${setupCount} setup(s)${filterDescription ? ` matching ${filterDescription}` : ''} from '${outputDir}'.`);
+    console.log(`\n👀 Review at http://${SERVE_HOST}:${port}/ Press Ctrl+C to stop.`);
+    await new Promise(resolve => {
+        process.once('SIGINT', () => {
+            console.log('\nStopping review server...');
+            server.close(resolve);
+            server.closeAllConnections();
+        });
+    });
+}
+
+module.exports = {
+    runServeCommand,
+};
@@ -0,0 +1,323 @@
+/**
+ * Session Report
+ * * Description:
+ * Aggregates every processed setup of a run into a standalone HTML report
+ * and a Markdown report: counts by market structure, the order volume
+ * distribution, average take profit / stop loss pips, the average R:R (from
+ * the prices, as on the images), how often candles were indecisive, and a
+ * table linking to every image.
+ * Charts are inline SVG built here, so the HTML works offline.
+ */
+
+const { formatTimestamp } = require('./timestamps');
+const { MARKET_STRUCTURES, CONFLUENCE_TIMEFRAMES } = require('./snapshot_schema');
+const { checkLimitOrder } = require('./trade_checks');
+const { escapeHtml } = require('./utils');
+
+const MAX_HISTOGRAM_BINS = 10;
+const CHART_WIDTH = 520;
+const CHART_BAR_HEIGHT = 22;
+const CHART_LABEL_WIDTH = 150;
+const THUMBNAIL_WIDTH = 240;
+const THUMBNAIL_EXTENSIONS = ['.png', '.webp', '.jpg']; // SVG and JSON outputs are linked without a thumbnail
+
+// --- STATISTICS ---
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+function round(value, decimals = 2) {
+    if (value === null) return null;
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Splits order volumes into at most MAX_HISTOGRAM_BINS equal-width bins.
+ */
+function buildHistogram(values) {
+    if (values.length === 0) return [];
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    if (min === max) return [{ from: min, to: max, count: values.length }];
+
+    const binCount = Math.min(MAX_HISTOGRAM_BINS, new Set(values).size);
+    const binWidth = (max - min) / binCount;
+    const bins = Array.from({ length: binCount }, (_, index) => ({
+        from: min + index * binWidth,
+        to: index === binCount - 1 ? max : min + (index + 1) * binWidth,
+        count: 0,
+    }));
+    for (const value of values) {
+        const index = Math.min(binCount - 1, Math.floor((value - min) / binWidth));
+        bins[index].count++;
+    }
+    return bins;
+}
+function buildIndecisiveShare(candles) {
+    const present = candles.filter(candle => candle && typeof candle.isIndecisive === 'boolean');
+    const indecisive = present.filter(candle => candle.isIndecisive).length;
+    return { total: present.length, indecisive, share: present.length > 0 ? indecisive / present.length : null };
+}
+
+/**
+ * Aggregates the setups. Each setup is `{ info, data }` where `info` is the parsed file name
+ * (or null) and `data` the validated snapshot.
+ */
+function buildSessionStats(setups) {
+    const structureCounts = Object.fromEntries(MARKET_STRUCTURES.map(structure => [structure, 0]));
+    let missingStructure = 0;
+    for (const { data } of setups) {
+        if (data.currentMarketStructure in structureCounts) structureCounts[data.currentMarketStructure]++;
+        else missingStructure++;
+    }
+
+    const volumes = setups.map(({ data }) => data.orderVolume).filter(isNumber);
+    const orders = setups.map(({ data }) => data.limitOrder).filter(Boolean);
+    const takeProfitPips = orders.map(order => order.takeProfitPips).filter(isNumber);
+    const stopLossPips = orders.map(order => order.stopLossPips).filter(isNumber);
+    const riskRewards = setups.map(({ data }) => checkLimitOrder(data.limitOrder, data.currentMarketStructure, null).riskReward).filter(isNumber);
+
+    const indecisiveShares = [{ label: 'Indecision Candle', ...buildIndecisiveShare(setups.map(({ data }) => data.indecisionCandle)) }];
+    for (const timeframe of CONFLUENCE_TIMEFRAMES) {
+        const share = buildIndecisiveShare(setups.map(({ data }) => data.confluence?.[timeframe]));
+        if (share.total > 0) indecisiveShares.push({ label: `${timeframe} Confluence`, ...share });
+    }
+
+    const timestamps = setups.map(({ info }) => info?.timestamp).filter(isNumber);
+    return {
+        setupCount: setups.length,
+        firstTimestamp: timestamps.length > 0 ? Math.min(...timestamps) : null,
+        lastTimestamp: timestamps.length > 0 ? Math.max(...timestamps) : null,
+        symbols: [...new Set(setups.map(({ info }) => info?.symbol).filter(Boolean))].sort(),
+        structureCounts,
+        missingStructure,
+        orderVolume: {
+            count: volumes.length,
+            min: volumes.length > 0 ? Math.min(...volumes) : null,
+            max: volumes.length > 0 ? Math.max(...volumes) : null,
+            mean: round(average(volumes)),
+            median: median(volumes),
+            histogram: buildHistogram(volumes),
+        },
+        pips: {
+            averageTakeProfit: round(average(takeProfitPips)),
+            averageStopLoss: round(average(stopLossPips)),
+            averageRiskReward: round(average(riskRewards)),
+        },
+        indecisiveShares,
+    };
+}
+
+// --- SHARED FORMATTING ---
+function formatNumber(value, suffix = '') {
+    return value === null || value === undefined ? '–' : `${value}${suffix}`;
+}
+function formatPercent(share) {
+    return share === null ? '–' : `${Math.round(share * 100)}%`;
+}
+function formatRange(bin) {
+    const format = value => (Number.isInteger(value) ? value : value.toFixed(1));
+    return bin.from === bin.to ? `${format(bin.from)}` : `${format(bin.from)}–${format(bin.to)}`;
+}
+function describePeriod(stats) {
+    if (stats.firstTimestamp === null) return 'unknown period';
+    return `${formatTimestamp(stats.firstTimestamp)} – ${formatTimestamp(stats.lastTimestamp)}`;
+}
+function sortSetups(setups) {
+    return [...setups].sort((a, b) => (a.info?.timestamp ?? 0) - (b.info?.timestamp ?? 0) || a.imagePath.localeCompare(b.imagePath));
+}
+function toUrl(relativePath) {
+    return relativePath.split('/').map(encodeURIComponent).join('/');
+}
+function getFileExtension(relativePath) {
+    const name = relativePath.split('/').pop();
+    return name.includes('.') ? name.slice(name.lastIndexOf('.')).toLowerCase() : '';
+}
+
+// --- INLINE SVG CHARTS ---
+/**
+ * Horizontal bar chart. `bars` are `{ label, value, text, color }`; `maxValue` fixes the scale (e.g. 1 for shares).
+ */
+function renderBarChart(bars, theme, maxValue = Math.max(1, ...bars.map(bar => bar.value))) {
+    const plotWidth = CHART_WIDTH - CHART_LABEL_WIDTH - 60;
+    const height = bars.length * (CHART_BAR_HEIGHT + 8) + 8;
+    let elements = '';
+    bars.forEach((bar, index) => {
+        const y = 8 + index * (CHART_BAR_HEIGHT + 8);
+        const barWidth = maxValue > 0 ? Math.max(bar.value > 0 ? 2 : 0, (bar.value / maxValue) * plotWidth) : 0;
+        elements += `<text x="${CHART_LABEL_WIDTH - 8}" y="${y + CHART_BAR_HEIGHT * 0.7}" text-anchor="end" fill="${theme.text}">${escapeHtml(bar.label)}</text>`;
+        elements += `<rect x="${CHART_LABEL_WIDTH}" y="${y}" width="${barWidth.toFixed(1)}" height="${CHART_BAR_HEIGHT}" rx="3" fill="${bar.color || theme.accent}" />`;
+        elements += `<text x="${CHART_LABEL_WIDTH + barWidth + 6}" y="${y + CHART_BAR_HEIGHT * 0.7}" fill="${theme.text}">${escapeHtml(bar.text ?? bar.value)}</text>`;
+    });
+    return `<svg class="chart" width="${CHART_WIDTH}" height="${height}" viewBox="0 0 ${CHART_WIDTH} ${height}" xmlns="http://www.w3.org/2000/svg" font-family="sans-serif" font-size="13">${elements}</svg>`;
+}
+function getStructureColor(structure, theme) {
+    if (structure === 'BULLISH') return theme.bullish;
+    if (structure === 'BEARISH') return theme.bearish;
+    return theme.neutral;
+}
+
+// --- HTML REPORT ---
+/**
+ * Renders the standalone HTML report. Image paths in `setups` must be relative to the report file.
+ */
+function renderHtmlReport(stats, setups, theme, title) {
+    const structureChart = renderBarChart(MARKET_STRUCTURES.map(structure => ({
+        label: structure,
+        value: stats.structureCounts[structure],
+        color: getStructureColor(structure, theme),
+    })), theme);
+    const volumeChart = stats.orderVolume.histogram.length > 0
+        ? renderBarChart(stats.orderVolume.histogram.map(bin => ({ label: formatRange(bin), value: bin.count })), theme)
+        : '<p>No order volume recorded.</p>';
+    const indecisiveChart = renderBarChart(stats.indecisiveShares.map(share => ({
+        label: share.label,
+        value: share.share ?? 0,
+        text: `${formatPercent(share.share)} (${share.indecisive}/${share.total})`,
+    })), theme, 1);
+
+    const rows = sortSetups(setups).map(({ info, data, imagePath }) => {
+        const order = data.limitOrder || {};
+        const url = toUrl(imagePath);
+        const link = THUMBNAIL_EXTENSIONS.includes(getFileExtension(imagePath))
+            ? `<a href="${url}"><img src="${url}" width="${THUMBNAIL_WIDTH}" loading="lazy" alt="${escapeHtml(imagePath)}"></a>`
+            : `<a href="${url}">${escapeHtml(imagePath.split('/').pop())}</a>`;
+        return `<tr>
+            <td>${info ? escapeHtml(formatTimestamp(info.timestamp)) : '–'}</td>
+            <td>${escapeHtml(info?.symbol ?? '–')}</td>
+            <td>${escapeHtml(info?.timeframe ?? '–')}</td>
+            <td style="color:${getStructureColor(data.currentMarketStructure, theme)}">${escapeHtml(data.currentMarketStructure ?? '–')}</td>
+            <td>${formatNumber(data.orderVolume)}</td>
+            <td>${formatNumber(order.limitPrice)}</td>
+            <td>${formatNumber(order.takeProfit)}</td>
+            <td>${formatNumber(order.stopLoss)}</td>
+            <td>${formatNumber(order.takeProfitPips)}</td>
+            <td>${formatNumber(order.stopLossPips)}</td>
+            <td>${formatNumber(checkLimitOrder(data.limitOrder, data.currentMarketStructure, null).riskReward)}</td>
+            <td>${link}</td>
+        </tr>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { background: ${theme.background}; color: ${theme.text}; font-family: sans-serif; margin: 24px; }
+    h1, h2 { font-weight: bold; }
+    .cards { display: flex; flex-wrap: wrap; gap: 16px; }
+    .card { background: ${theme.panel}; border-radius: 5px; padding: 12px 20px; }
+    .card .value { font-size: 22px; font-weight: bold; }
+    .charts { display: flex; flex-wrap: wrap; gap: 24px; }
+    .charts section { background: ${theme.panel}; border-radius: 5px; padding: 4px 20px 12px; }
+    table { border-collapse: collapse; margin-top: 8px; }
+    th, td { padding: 6px 10px; text-align: left; border-bottom: 1px solid ${theme.panel}; font-family: monospace; }
+    th { background: ${theme.panel}; position: sticky; top: 0; }
+    img { display: block; border-radius: 3px; }
+    a { color: inherit; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(describePeriod(stats))}${stats.symbols.length > 0 ? ` · ${escapeHtml(stats.symbols.join(', '))}` : ''}</p>
+<div class="cards">
+    <div class="card"><div>Setups</div><div class="value">${stats.setupCount}</div></div>
+    <div class="card"><div>Avg Take Profit</div><div class="value">${formatNumber(stats.pips.averageTakeProfit, ' pips')}</div></div>
+    <div class="card"><div>Avg Stop Loss</div><div class="value">${formatNumber(stats.pips.averageStopLoss, ' pips')}</div></div>
+    <div class="card"><div>Avg R:R per Setup</div><div class="value">${formatNumber(stats.pips.averageRiskReward)}</div></div>
+</div>
+<div class="charts">
+    <section><h2>Market Structure</h2>${structureChart}</section>
+    <section><h2>Order Volume</h2>${volumeChart}
+        <p>min ${formatNumber(stats.orderVolume.min)} · median ${formatNumber(stats.orderVolume.median)} · mean ${formatNumber(stats.orderVolume.mean)} · max ${formatNumber(stats.orderVolume.max)}</p>
+    </section>
+    <section><h2>Indecisive Candles</h2>${indecisiveChart}</section>
+</div>
+<h2>Setups</h2>
+<table>
+    <thead><tr><th>Time</th><th>Symbol</th><th>TF</th><th>Structure</th><th>Volume</th><th>Limit</th><th>TP</th><th>SL</th><th>TP Pips</th><th>SL Pips</th><th>R:R</th><th>Image</th></tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+// --- MARKDOWN REPORT ---
+function markdownTable(headers, rows) {
+    const escapeCell = value => String(value).replace(/\|/g, '\\|');
+    return [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(escapeCell).join(' | ')} |`),
+    ].join('\n');
+}
+
+/**
+ * Renders the Markdown version of the report. Image paths in `setups` must be relative to the report file.
+ */
+function renderMarkdownReport(stats, setups, title) {
+    const sections = [
+        `# ${title}`,
+        `${describePeriod(stats)}${stats.symbols.length > 0 ? ` · ${stats.symbols.join(', ')}` : ''}`,
+        '## Overview',
+        markdownTable(['Setups', 'Avg TP Pips', 'Avg SL Pips', 'Avg R:R per Setup'], [[
+            stats.setupCount,
+            formatNumber(stats.pips.averageTakeProfit),
+            formatNumber(stats.pips.averageStopLoss),
+            formatNumber(stats.pips.averageRiskReward),
+        ]]),
+        '## Market Structure',
+        markdownTable(['Structure', 'Setups'], [
+            ...MARKET_STRUCTURES.map(structure => [structure, stats.structureCounts[structure]]),
+            ...(stats.missingStructure > 0 ? [['(missing)', stats.missingStructure]] : []),
+        ]),
+        '## Order Volume',
+        `min ${formatNumber(stats.orderVolume.min)} · median ${formatNumber(stats.orderVolume.median)} · mean ${formatNumber(stats.orderVolume.mean)} · max ${formatNumber(stats.orderVolume.max)}`,
+        markdownTable(['Volume', 'Setups'], stats.orderVolume.histogram.map(bin => [formatRange(bin), bin.count])),
+        '## Indecisive Candles',
+        markdownTable(['Candle', 'Indecisive', 'Share'], stats.indecisiveShares.map(share => [
+            share.label, `${share.indecisive}/${share.total}`, formatPercent(share.share),
+        ])),
+        '## Setups',
+        markdownTable(
+            ['Time', 'Symbol', 'TF', 'Structure', 'Volume', 'Limit', 'TP', 'SL', 'TP Pips', 'SL Pips', 'R:R', 'Image'],
+            sortSetups(setups).map(({ info, data, imagePath }) => {
+                const order = data.limitOrder || {};
+                return [
+                    info ? formatTimestamp(info.timestamp) : '–',
+                    info?.symbol ?? '–',
+                    info?.timeframe ?? '–',
+                    data.currentMarketStructure ?? '–',
+                    formatNumber(data.orderVolume),
+                    formatNumber(order.limitPrice),
+                    formatNumber(order.takeProfit),
+                    formatNumber(order.stopLoss),
+                    formatNumber(order.takeProfitPips),
+                    formatNumber(order.stopLossPips),
+                    formatNumber(checkLimitOrder(data.limitOrder, data.currentMarketStructure, null).riskReward),
+                    `[view](${toUrl(imagePath)})`,
+                ];
+            })
+        ),
+    ];
+    return `${sections.join('\n\n')}\n`;
+}
+
+module.exports = {
+    buildSessionStats,
+    renderHtmlReport,
+    renderMarkdownReport,
+};
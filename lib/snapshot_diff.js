@@ -0,0 +1,66 @@
+/**
+ * Snapshot Diff
+ * * Description:
+ * Compares a limit-order snapshot with the previous one of the same symbol
+ * and timeframe: market structure flips, the order volume delta, moved
+ * limit/TP/SL levels and imbalance levels whose bid or ask volume grew or
+ * shrank. Imbalance candles are matched by their number (1 is the indecision
+ * candle) and levels by row (0 is the highest price), so a level that only
+ * exists in one of the two snapshots shows up with a null on the other side.
+ */
+
+const DIFF_LIMIT_ORDER_FIELDS = ['limitPrice', 'takeProfit', 'stopLoss', 'zonePips', 'takeProfitPips', 'stopLossPips'];
+const IMBALANCE_SIDES = ['bids', 'asks'];
+
+// Missing and invalid values compare as null so a field that was never logged is not a change
+function toComparable(value) {
+    return value === undefined ? null : value;
+}
+function getDelta(from, to) {
+    return typeof from === 'number' && typeof to === 'number' ? Math.round((to - from) * 1e6) / 1e6 : null;
+}
+
+/**
+ * Diffs two validated snapshots (`data` from `validateSnapshot`). Returns `{ structure, orderVolume,
+ * limitOrder, imbalances }`: `structure` and `orderVolume` are `{ from, to }` (volume with `delta`) or
+ * null when unchanged, `limitOrder` lists `{ field, from, to, delta }` and `imbalances` lists
+ * `{ candle, level, side, from, to, delta }`.
+ */
+function diffSnapshots(previous, current) {
+    const change = (from, to) => {
+        const before = toComparable(from);
+        const after = toComparable(to);
+        return before === after ? null : { from: before, to: after, delta: getDelta(before, after) };
+    };
+
+    const structureChange = change(previous.currentMarketStructure, current.currentMarketStructure);
+    const structure = structureChange && { from: structureChange.from, to: structureChange.to };
+    const orderVolume = change(previous.orderVolume, current.orderVolume);
+
+    const limitOrder = [];
+    for (const field of DIFF_LIMIT_ORDER_FIELDS) {
+        const fieldChange = change(previous.limitOrder?.[field], current.limitOrder?.[field]);
+        if (fieldChange) limitOrder.push({ field, ...fieldChange });
+    }
+
+    const imbalances = [];
+    const candles = new Set([...Object.keys(previous.imbalances || {}), ...Object.keys(current.imbalances || {})]);
+    for (const candle of [...candles].sort((a, b) => Number(a) - Number(b))) {
+        for (const side of IMBALANCE_SIDES) {
+            const before = previous.imbalances?.[candle]?.[side] || [];
+            const after = current.imbalances?.[candle]?.[side] || [];
+            for (let level = 0; level < Math.max(before.length, after.length); level++) {
+                const levelChange = change(before[level], after[level]);
+                if (levelChange) imbalances.push({ candle, level, side, ...levelChange });
+            }
+        }
+    }
+    // Rows before sides reads like the tables: top level first, bids then asks
+    imbalances.sort((a, b) => Number(a.candle) - Number(b.candle) || a.level - b.level || IMBALANCE_SIDES.indexOf(a.side) - IMBALANCE_SIDES.indexOf(b.side));
+
+    return { structure, orderVolume, limitOrder, imbalances };
+}
+
+module.exports = {
+    diffSnapshots,
+};
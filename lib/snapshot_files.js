@@ -0,0 +1,223 @@
+/**
+ * Snapshot Files
+ * * Description:
+ * Finds the `.png`/`.json` pairs the bot writes in the input folders, reads
+ * symbol, timeframe and time from their file names, applies the date range,
+ * symbol and timeframe filters and decides where each pair's output goes.
+ * Output paths mirror the source folder layout inside the output directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toTimestamp, formatTimestamp } = require('./timestamps');
+const { validateSnapshot } = require('./snapshot_schema');
+const { OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT, getEventType, parseSnapshotJson } = require('./render');
+const { matchSnapshotFiles } = require('./file_pairing');
+const { PAIR_EXTENSIONS } = require('./utils');
+
+const ROOT_DIR = '.';
+const EXCLUDE_DIRS = ['log_outputs', 'node_modules', '.git'];
+// The tool's own folders, skipped by path so a snapshot folder that happens to be called `lib` is still scanned
+const EXCLUDE_PATHS = [__dirname, path.join(__dirname, '..', 'test')];
+// Snapshot stems look like `EURUSD_5_2025-09-29_23-05-00` (the .png uses a space before the time)
+const SNAPSHOT_STEM_PATTERN = /^(.+)[_\s]([^_\s]+)[_\s](\d{4})-(\d{2})-(\d{2})[_\s](\d{2})-(\d{2})-(\d{2})$/;
+
+function normalizeTimeframe(timeframe) {
+    return String(timeframe).trim().toUpperCase().replace(/^M(?=\d+$)/, '');
+}
+
+/**
+ * Extracts symbol, timeframe and timestamp from a snapshot file stem. Returns null for unrecognised names.
+ */
+function parseSnapshotStem(stem) {
+    const match = SNAPSHOT_STEM_PATTERN.exec(stem);
+    if (!match) return null;
+    const [, symbol, timeframe, year, month, day, hour, minute, second] = match;
+    const timestamp = toTimestamp(year, month, day, hour, minute, second);
+    if (timestamp === null) return null;
+    return { symbol, timeframe, timestamp };
+}
+function isSameOrInside(childPath, parentPath) {
+    const relative = path.relative(path.resolve(parentPath), path.resolve(childPath));
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+function toReportPath(filePath) {
+    if (!isSameOrInside(filePath, process.cwd())) return path.resolve(filePath);
+    return path.relative(process.cwd(), filePath).split(path.sep).join('/');
+}
+
+// --- FILTERS ---
+function describeFilters(options) {
+    const filters = [];
+    if (options.startDate !== null) filters.push(`from ${formatTimestamp(options.startDate)}`);
+    if (options.endDate !== null) filters.push(`until ${formatTimestamp(options.endDate)}`);
+    if (options.symbols.length > 0) filters.push(`symbol ${options.symbols.join('/')}`);
+    if (options.timeframes.length > 0) filters.push(`timeframe ${options.timeframes.join('/')}`);
+    return filters.join(', ');
+}
+
+/**
+ * Keeps only the pairs matching the date range, symbol and timeframe filters.
+ * When any filter is active, pairs whose names cannot be parsed are left out.
+ */
+function filterPairs(pairs, options) {
+    const { startDate, endDate, symbols, timeframes } = options;
+    const hasFilter = startDate !== null || endDate !== null || symbols.length > 0 || timeframes.length > 0;
+    if (!hasFilter) return pairs;
+
+    return pairs.filter(({ info }) => {
+        if (!info) return false;
+        if (startDate !== null && info.timestamp < startDate) return false;
+        if (endDate !== null && info.timestamp > endDate) return false;
+        if (symbols.length > 0 && !symbols.includes(info.symbol.toUpperCase())) return false;
+        if (timeframes.length > 0 && !timeframes.includes(normalizeTimeframe(info.timeframe))) return false;
+        return true;
+    });
+}
+
+/**
+ * For --diff: points `pair.previous` at the latest earlier pair in the same folder with the same symbol and
+ * timeframe. Runs on the unfiltered pairs so the first snapshot of a date range still gets its predecessor.
+ */
+function linkPreviousSnapshots(pairs) {
+    const groups = new Map();
+    for (const pair of pairs) {
+        if (!pair.info || !pair['.json']) continue;
+        const key = [path.dirname(pair['.json']), pair.info.symbol.toUpperCase(), normalizeTimeframe(pair.info.timeframe)].join('|');
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(pair);
+    }
+    for (const group of groups.values()) {
+        group.sort((a, b) => a.info.timestamp - b.info.timestamp);
+        group.forEach((pair, index) => {
+            pair.previous = index > 0 ? group[index - 1] : null;
+        });
+    }
+}
+
+// --- DISCOVERY ---
+/**
+ * Finds the .png/.json pairs under `inputDirs`, matched by file stem within each folder (see lib/file_pairing.js).
+ * `toleranceSeconds` also pairs leftover halves whose file name times are that close. Returns `{ pairs, pairing }`,
+ * where `pairing` holds the orphans, collisions, ambiguous and near matches for the pairing report.
+ * With `includeIncomplete` the stems that only have one of the two files are returned as well; `quiet` skips
+ * the per-folder log line.
+ */
+function findFilePairs(inputDirs, outputDir, { includeIncomplete = false, quiet = false, toleranceSeconds = 0 } = {}) {
+    const files = [];
+    const seenPaths = new Set();
+    const resolvedOutputDir = path.resolve(outputDir);
+    function scan(dir, root) {
+        const items = fs.readdirSync(dir);
+        for (const item of items) {
+            const fullPath = path.join(dir, item);
+            const resolvedPath = path.resolve(fullPath);
+            if (EXCLUDE_DIRS.includes(item) || EXCLUDE_PATHS.includes(resolvedPath) || resolvedPath === resolvedOutputDir) continue;
+            const stat = fs.statSync(fullPath);
+            if (stat.isDirectory()) {
+                scan(fullPath, root);
+            } else if (stat.isFile()) {
+                const ext = path.extname(fullPath);
+                const stem = path.basename(fullPath, ext);
+                // Overlapping input folders (e.g. `.` and `limit-orders`) would otherwise list a file twice
+                if (PAIR_EXTENSIONS.includes(ext) && !seenPaths.has(resolvedPath)) {
+                    seenPaths.add(resolvedPath);
+                    files.push({ path: fullPath, root, dir: path.resolve(dir), stem: stem.replace(/[\s_]/g, '-'), ext, info: parseSnapshotStem(stem) });
+                }
+            }
+        }
+    }
+    for (const inputDir of inputDirs) {
+        if (!quiet) console.log(`Scanning for .png/.json pairs in '${path.resolve(inputDir)}'...`);
+        scan(inputDir, inputDir);
+    }
+    const { pairs, ...pairing } = matchSnapshotFiles(files, { toleranceMs: toleranceSeconds * 1000 });
+    return { pairs: pairs.filter(p => includeIncomplete || (p['.png'] && p['.json'])), pairing };
+}
+/**
+ * Pairs from two input folders with the same name outside the project would write the same image. The first
+ * by source path is kept; the others are returned as collisions.
+ */
+function removeOutputCollisions(pairs, options) {
+    const owners = new Map();
+    const collisions = new Map();
+    for (const pair of [...pairs].sort((a, b) => (a['.png'] ?? '').localeCompare(b['.png'] ?? ''))) {
+        if (!pair['.png']) continue;
+        const outputPath = getOutputPath(pair, options);
+        if (!owners.has(outputPath)) {
+            owners.set(outputPath, pair);
+            continue;
+        }
+        if (!collisions.has(outputPath)) collisions.set(outputPath, { kind: 'output', output: outputPath, kept: owners.get(outputPath)['.png'], ignored: [] });
+        collisions.get(outputPath).ignored.push(pair['.png']);
+    }
+    const ignored = new Set([...collisions.values()].flatMap(collision => collision.ignored));
+    return { pairs: pairs.filter(pair => !ignored.has(pair['.png'])), collisions: [...collisions.values()] };
+}
+
+/**
+ * Mirrors the source folder layout inside the output directory. Folders inside the project keep their
+ * path relative to it; folders elsewhere are placed under their own name.
+ */
+function getOutputPath(pair, options) {
+    const pngPath = pair['.png'];
+    const base = isSameOrInside(pair.root, ROOT_DIR) ? ROOT_DIR : path.dirname(path.resolve(pair.root));
+    const relativeDir = path.dirname(path.relative(base, path.resolve(pngPath)));
+    const outputFileName = `${path.basename(pngPath, path.extname(pngPath))}${OUTPUT_FORMATS[options.format ?? DEFAULT_OUTPUT_FORMAT]}`;
+    return path.join(options.outputDir, relativeDir, outputFileName);
+}
+
+// --- RENDERED OUTPUTS ---
+/**
+ * The event type and validated data of a snapshot JSON, or null when the file cannot be read.
+ */
+function readSnapshotData(jsonPath) {
+    try {
+        const jsonData = parseSnapshotJson(fs.readFileSync(jsonPath, 'utf8'));
+        const eventType = getEventType(jsonData, jsonPath);
+        return { eventType, data: validateSnapshot(jsonData, eventType).data };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * The rendered images tracked by the manifest, with the snapshot info, event type, market structure and
+ * order volume of their source.
+ */
+function collectRenderedSnapshots(manifest, outputDir) {
+    const snapshots = [];
+    for (const [key, entry] of Object.entries(manifest.entries)) {
+        const imagePath = path.join(outputDir, ...key.split('/'));
+        const jsonPath = entry.json?.path;
+        const info = jsonPath ? parseSnapshotStem(path.basename(jsonPath, path.extname(jsonPath))) : null;
+        // Outputs written with --format json have no image to show
+        if (!info || path.extname(imagePath) === OUTPUT_FORMATS.json || !fs.existsSync(imagePath)) continue;
+        const snapshot = readSnapshotData(jsonPath);
+        snapshots.push({
+            key,
+            info,
+            imagePath,
+            eventType: snapshot?.eventType ?? null,
+            structure: snapshot?.data.currentMarketStructure ?? null,
+            orderVolume: snapshot?.data.orderVolume ?? null,
+        });
+    }
+    return snapshots;
+}
+
+module.exports = {
+    ROOT_DIR,
+    normalizeTimeframe,
+    parseSnapshotStem,
+    isSameOrInside,
+    toReportPath,
+    describeFilters,
+    filterPairs,
+    linkPreviousSnapshots,
+    findFilePairs,
+    removeOutputCollisions,
+    getOutputPath,
+    readSnapshotData,
+    collectRenderedSnapshots,
+};
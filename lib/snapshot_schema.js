@@ -0,0 +1,263 @@
+/**
+ * Snapshot Schema & Validator
+ * * Description:
+ * Versioned description of the JSON written by the bot for each event type
+ * (limit-order snapshots, zone cancellations, trade entries and status
+ * updates), plus a small validator. Validation never throws: it returns a list of
+ * issues (field path + problem) and a sanitized copy of the snapshot in which
+ * invalid values are replaced so the renderer can still draw what is valid.
+ * Invalid scalar values become `null`, which the renderer marks on the image.
+ */
+
+const { isPlainObject } = require('./utils');
+
+const SCHEMA_VERSION = 2;
+const MARKET_STRUCTURES = ['BULLISH', 'BEARISH', 'NEUTRAL'];
+const CONFLUENCE_TIMEFRAMES = ['M1', 'M5', 'M15', 'M30', 'H1'];
+const EVENT_TYPES = ['limit-order', 'zone-cancellation', 'trade-entry', 'status-update'];
+const DEFAULT_EVENT_TYPE = 'limit-order'; // Snapshots written before `eventType` existed are all limit orders
+const DIRECTIONS = ['BUY', 'SELL'];
+
+// --- SCHEMA DEFINITION ---
+const PRICE = { type: 'number', min: 0 };
+const CANDLE = {
+    type: 'object',
+    properties: {
+        isIndecisive: { type: 'boolean', required: true },
+        open: { ...PRICE, required: true },
+        close: { ...PRICE, required: true },
+        high: { ...PRICE, required: true },
+        low: { ...PRICE, required: true },
+    },
+    check(candle) {
+        const { open, close, high, low } = candle;
+        if ([open, close, high, low].some(value => typeof value !== 'number')) return [];
+        const problems = [];
+        if (high < Math.max(open, close)) problems.push({ path: 'high', problem: 'is below the candle body' });
+        if (low > Math.min(open, close)) problems.push({ path: 'low', problem: 'is above the candle body' });
+        return problems;
+    },
+};
+const VOLUME_LIST = { type: 'array', items: { type: 'number', min: 0 }, fallback: [] };
+const EVENT_TYPE = { type: 'enum', values: EVENT_TYPES };
+const MARKET_STRUCTURE = { type: 'enum', values: MARKET_STRUCTURES };
+const LIMIT_ORDER = {
+    type: 'object',
+    properties: {
+        limitPrice: { ...PRICE, required: true },
+        takeProfit: PRICE,
+        stopLoss: PRICE,
+        zonePips: { type: 'number', min: 0 },
+        takeProfitPips: { type: 'number', min: 0 },
+        stopLossPips: { type: 'number', min: 0 },
+    },
+};
+const EVENT_TIME = {
+    type: 'string',
+    pattern: /^(\d{4}-\d{2}-\d{2}[T ])?\d{2}:\d{2}(:\d{2})?$/,
+    patternDescription: 'a time like 23:05:00 or 2025-09-29 23:05:00',
+};
+
+const LIMIT_ORDER_SCHEMA = {
+    type: 'object',
+    properties: {
+        eventType: EVENT_TYPE,
+        currentMarketStructure: { ...MARKET_STRUCTURE, required: true },
+        orderVolume: { type: 'number', min: 0 },
+        indecisionCandle: CANDLE,
+        confluence: {
+            type: 'object',
+            keyPattern: new RegExp(`^(${CONFLUENCE_TIMEFRAMES.join('|')})$`),
+            keyDescription: `one of ${CONFLUENCE_TIMEFRAMES.join(', ')}`,
+            additionalProperties: CANDLE,
+        },
+        imbalances: {
+            type: 'object',
+            required: true,
+            fallback: {},
+            keyPattern: /^[1-9]\d*$/,
+            keyDescription: 'a candle number starting at 1',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    bids: { ...VOLUME_LIST, required: true },
+                    asks: { ...VOLUME_LIST, required: true },
+                },
+                check({ bids, asks }) {
+                    if (!Array.isArray(bids) || !Array.isArray(asks) || bids.length === asks.length) return [];
+                    return [{ path: '', problem: `has ${bids.length} bids but ${asks.length} asks` }];
+                },
+            },
+        },
+        limitOrder: LIMIT_ORDER,
+    },
+};
+
+const ZONE_CANCELLATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        eventType: EVENT_TYPE,
+        currentMarketStructure: MARKET_STRUCTURE,
+        orderVolume: { type: 'number', min: 0 },
+        reason: { type: 'string', required: true },
+        zone: {
+            type: 'object',
+            required: true,
+            properties: {
+                high: { ...PRICE, required: true },
+                low: { ...PRICE, required: true },
+                zonePips: { type: 'number', min: 0 },
+            },
+            check({ high, low }) {
+                if (typeof high !== 'number' || typeof low !== 'number' || high >= low) return [];
+                return [{ path: 'high', problem: `is below the zone low (${low})` }];
+            },
+        },
+        limitOrder: LIMIT_ORDER, // The pending order that was cancelled with the zone
+    },
+};
+
+const TRADE_ENTRY_SCHEMA = {
+    type: 'object',
+    properties: {
+        eventType: EVENT_TYPE,
+        currentMarketStructure: MARKET_STRUCTURE,
+        orderVolume: { type: 'number', min: 0 },
+        direction: { type: 'enum', values: DIRECTIONS },
+        limitPrice: { ...PRICE, required: true },
+        fillPrice: { ...PRICE, required: true },
+        slippagePips: { type: 'number' },
+        lots: { type: 'number', min: 0 },
+        takeProfit: PRICE,
+        stopLoss: PRICE,
+    },
+};
+
+const STATUS_UPDATE_SCHEMA = {
+    type: 'object',
+    properties: {
+        eventType: EVENT_TYPE,
+        status: { type: 'string', required: true },
+        message: { type: 'string' },
+        timeline: {
+            type: 'array',
+            fallback: [],
+            items: {
+                type: 'object',
+                properties: {
+                    time: { ...EVENT_TIME, required: true },
+                    status: { type: 'string', required: true },
+                    message: { type: 'string' },
+                },
+            },
+        },
+    },
+};
+
+const SNAPSHOT_SCHEMAS = {
+    'limit-order': LIMIT_ORDER_SCHEMA,
+    'zone-cancellation': ZONE_CANCELLATION_SCHEMA,
+    'trade-entry': TRADE_ENTRY_SCHEMA,
+    'status-update': STATUS_UPDATE_SCHEMA,
+};
+
+// --- VALIDATOR ---
+function describeValue(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+    if (typeof value === 'string') return `"${value.length > 20 ? `${value.slice(0, 20)}…` : value}"`;
+    return typeof value === 'object' ? 'an object' : `${typeof value} ${value}`;
+}
+function joinPath(base, key) {
+    if (key === '') return base;
+    if (typeof key === 'number') return `${base}[${key}]`;
+    return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Validates `value` against `rule`, pushing any problems onto `issues`, and returns the sanitized value.
+ */
+function validateValue(value, rule, fieldPath, issues) {
+    const invalid = problem => {
+        issues.push({ path: fieldPath, problem });
+        return 'fallback' in rule ? rule.fallback : (rule.type === 'object' || rule.type === 'array' ? undefined : null);
+    };
+
+    if (value === undefined) {
+        return rule.required ? invalid('is required but missing') : undefined;
+    }
+
+    switch (rule.type) {
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return invalid(`expected a number, got ${describeValue(value)}`);
+            if (rule.min !== undefined && value < rule.min) return invalid(`must be at least ${rule.min}, got ${value}`);
+            return value;
+        case 'string':
+            if (typeof value !== 'string') return invalid(`expected a string, got ${describeValue(value)}`);
+            if (rule.pattern && !rule.pattern.test(value)) return invalid(`expected ${rule.patternDescription}, got ${describeValue(value)}`);
+            return value;
+        case 'boolean':
+            return typeof value === 'boolean' ? value : invalid(`expected true or false, got ${describeValue(value)}`);
+        case 'enum':
+            return rule.values.includes(value) ? value : invalid(`expected one of ${rule.values.join(', ')}, got ${describeValue(value)}`);
+        case 'array': {
+            if (!Array.isArray(value)) return invalid(`expected an array, got ${describeValue(value)}`);
+            return value.map((item, index) => validateValue(item, rule.items, joinPath(fieldPath, index), issues));
+        }
+        case 'object': {
+            if (!isPlainObject(value)) return invalid(`expected an object, got ${describeValue(value)}`);
+            const sanitized = { ...value };
+            for (const [key, propertyRule] of Object.entries(rule.properties || {})) {
+                const result = validateValue(value[key], propertyRule, joinPath(fieldPath, key), issues);
+                if (result === undefined) delete sanitized[key];
+                else sanitized[key] = result;
+            }
+            if (rule.additionalProperties) {
+                for (const key of Object.keys(value)) {
+                    if (!rule.keyPattern.test(key)) {
+                        issues.push({ path: joinPath(fieldPath, key), problem: `unexpected key, expected ${rule.keyDescription}` });
+                        delete sanitized[key];
+                        continue;
+                    }
+                    const result = validateValue(value[key], rule.additionalProperties, joinPath(fieldPath, key), issues);
+                    if (result === undefined) delete sanitized[key];
+                    else sanitized[key] = result;
+                }
+            }
+            if (rule.check) {
+                for (const { path: relativePath, problem } of rule.check(sanitized)) {
+                    issues.push({ path: joinPath(fieldPath, relativePath), problem });
+                }
+            }
+            return sanitized;
+        }
+        default:
+            throw new Error(`Unknown schema rule type '${rule.type}'.`);
+    }
+}
+
+/**
+ * Checks a parsed snapshot against the current schema version of its event type.
+ * Returns `{ issues, data }` where `data` is safe to hand to the renderer.
+ */
+function validateSnapshot(snapshot, eventType = DEFAULT_EVENT_TYPE) {
+    const schema = SNAPSHOT_SCHEMAS[eventType];
+    if (!schema) throw new Error(`Unknown event type '${eventType}'.`);
+    const issues = [];
+    if (!isPlainObject(snapshot)) {
+        issues.push({ path: '', problem: `expected a JSON object, got ${describeValue(snapshot)}` });
+        return { issues, data: eventType === 'limit-order' ? { imbalances: {} } : {} };
+    }
+    const data = validateValue(snapshot, schema, '', issues);
+    return { issues, data };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    MARKET_STRUCTURES,
+    CONFLUENCE_TIMEFRAMES,
+    EVENT_TYPES,
+    DEFAULT_EVENT_TYPE,
+    validateSnapshot,
+};
@@ -0,0 +1,68 @@
+/**
+ * Snapshot Timelines
+ * * Description:
+ * Groups rendered snapshots into timelines: one per symbol and timeframe,
+ * split into sessions wherever two consecutive snapshots are further apart
+ * than the session gap. The `timeline` command turns each group into an
+ * animation and a contact sheet.
+ */
+
+const { formatTimestamp } = require('./timestamps');
+const { formatTimeframe } = require('./utils');
+
+/**
+ * Groups `{ info, ... }` items by symbol and timeframe and splits each group where the gap between
+ * consecutive snapshots exceeds `sessionGapMs`. Returns `{ symbol, timeframe, label, items }` groups
+ * with the items in time order, sorted by symbol, timeframe and start time.
+ */
+function groupTimelines(items, sessionGapMs) {
+    const bySeries = new Map();
+    for (const item of items) {
+        if (!item.info) continue;
+        const seriesKey = `${item.info.symbol.toUpperCase()}\u0000${item.info.timeframe}`;
+        if (!bySeries.has(seriesKey)) bySeries.set(seriesKey, []);
+        bySeries.get(seriesKey).push(item);
+    }
+
+    const groups = [];
+    for (const seriesItems of bySeries.values()) {
+        seriesItems.sort((a, b) => a.info.timestamp - b.info.timestamp);
+        let current = null;
+        for (const item of seriesItems) {
+            const previous = current?.items[current.items.length - 1];
+            if (!previous || item.info.timestamp - previous.info.timestamp > sessionGapMs) {
+                const symbol = item.info.symbol.toUpperCase();
+                const timeframe = item.info.timeframe;
+                current = { symbol, timeframe, label: `${symbol} ${formatTimeframe(timeframe)}`, items: [] };
+                groups.push(current);
+            }
+            current.items.push(item);
+        }
+    }
+    return groups.sort((a, b) => a.symbol.localeCompare(b.symbol)
+        || a.timeframe.localeCompare(b.timeframe, undefined, { numeric: true })
+        || a.items[0].info.timestamp - b.items[0].info.timestamp);
+}
+
+/**
+ * File name stem for a group's outputs, e.g. `EURUSD_5_2025-09-29_23-05`.
+ */
+function getTimelineFileStem(group) {
+    const start = formatTimestamp(group.items[0].info.timestamp).slice(0, 16).replace(' ', '_').replace(':', '-');
+    return `${group.symbol}_${group.timeframe}_${start}`;
+}
+
+/**
+ * Human readable time span of a group, e.g. `2025-09-29 23:05 – 23:35`.
+ */
+function describeTimelineSpan(group) {
+    const start = formatTimestamp(group.items[0].info.timestamp).slice(0, 16);
+    const end = formatTimestamp(group.items[group.items.length - 1].info.timestamp).slice(0, 16);
+    return start.slice(0, 10) === end.slice(0, 10) ? `${start} – ${end.slice(11)}` : `${start} – ${end}`;
+}
+
+module.exports = {
+    groupTimelines,
+    getTimelineFileStem,
+    describeTimelineSpan,
+};
@@ -0,0 +1,166 @@
+/**
+ * Timeline Command
+ * * Description:
+ * Builds an animation and a contact sheet per symbol, timeframe and session
+ * (see lib/timeline.js) from the images earlier runs rendered into the
+ * output directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { formatTimestamp } = require('./timestamps');
+const { getMarketStructureColor } = require('./render');
+const { groupTimelines, getTimelineFileStem, describeTimelineSpan } = require('./timeline');
+const { loadManifest } = require('./manifest');
+const { describeFilters, filterPairs, collectRenderedSnapshots } = require('./snapshot_files');
+const { escapeHtml } = require('./utils');
+
+const TIMELINE_DIR = 'timelines';
+const TIMELINE_MAX_FRAME_WIDTH = 1280;
+const TIMELINE_FRAME_DELAY_MS = 1500;
+const TIMELINE_LAST_FRAME_DELAY_MS = 3000;
+const TIMELINE_THUMBNAIL_WIDTH = 320; // Before scaling
+const TIMELINE_SHEET_COLUMNS = 4;
+
+/**
+ * The caption bar drawn above each animation frame: series and time on the left, structure and position on the right.
+ */
+function createTimelineCaptionSvg(group, index, width, height, style) {
+    const item = group.items[index];
+    const baseline = Math.round(height / 2 + style.headerFontSize / 3);
+    const font = `font-family="${style.headerFontFamily}" font-size="${style.headerFontSize}" font-weight="bold"`;
+    const structure = item.structure ?? 'UNKNOWN';
+    return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">`
+        + `<rect width="${width}" height="${height}" fill="${style.colors.panel}"/>`
+        + `<text x="${style.padding}" y="${baseline}" ${font} fill="${style.colors.text}">${escapeHtml(`${group.label} ${formatTimestamp(item.info.timestamp)}`)}</text>`
+        + `<text x="${width - style.padding}" y="${baseline}" ${font} text-anchor="end" fill="${getMarketStructureColor(item.structure, style)}">`
+        + `${escapeHtml(structure)}<tspan dx="${style.headerFontSize}" fill="${style.colors.neutral}">${index + 1}/${group.items.length}</tspan></text>`
+        + `</svg>`;
+}
+
+/**
+ * Scales every image of a group onto one frame size (the largest image, capped at TIMELINE_MAX_FRAME_WIDTH).
+ * Returns the scaled `images` and the animation `frames` (the same images under their caption bar) as PNG buffers.
+ */
+async function createTimelineFrames(group, style) {
+    const sizes = await Promise.all(group.items.map(item => sharp(item.imagePath).metadata()));
+    const sourceWidth = Math.max(...sizes.map(size => size.width));
+    const sourceHeight = Math.max(...sizes.map(size => size.height));
+    const ratio = Math.min(1, TIMELINE_MAX_FRAME_WIDTH / sourceWidth);
+    const width = Math.round(sourceWidth * ratio);
+    const imageHeight = Math.round(sourceHeight * ratio);
+    const captionHeight = Math.round(style.headerFontSize * 2.5);
+
+    const images = [];
+    const frames = [];
+    for (let index = 0; index < group.items.length; index++) {
+        const image = await sharp(group.items[index].imagePath)
+            .resize({ width, height: imageHeight, fit: 'contain', position: 'northwest', background: style.colors.background })
+            .png()
+            .toBuffer();
+        images.push(image);
+        const caption = createTimelineCaptionSvg(group, index, width, captionHeight, style);
+        frames.push(await sharp({
+            create: { width, height: captionHeight + imageHeight, channels: 4, background: style.colors.background }
+        })
+        .composite([
+            { input: Buffer.from(caption), top: 0, left: 0 },
+            { input: image, top: captionHeight, left: 0 },
+        ])
+        .png()
+        .toBuffer());
+    }
+    return { images, frames, aspectRatio: imageHeight / width };
+}
+
+/**
+ * Lays the scaled images out as a grid of thumbnails, each labelled with its time and market structure.
+ */
+async function createContactSheet(group, images, aspectRatio, style) {
+    const columns = Math.min(TIMELINE_SHEET_COLUMNS, images.length);
+    const rows = Math.ceil(images.length / columns);
+    const thumbWidth = Math.round(TIMELINE_THUMBNAIL_WIDTH * style.scale);
+    const thumbHeight = Math.round(thumbWidth * aspectRatio);
+    const labelHeight = style.lineHeight * 2 + style.padding / 2;
+    const titleHeight = style.headerFontSize + style.headerToBoxSpacing + style.padding;
+    const cellHeight = thumbHeight + labelHeight;
+    const width = Math.ceil(style.padding * 2 + columns * thumbWidth + (columns - 1) * style.tableGap);
+    const height = Math.ceil(titleHeight + rows * cellHeight + (rows - 1) * style.tableGap + style.padding);
+
+    let svg = `<text x="${style.padding}" y="${style.padding + style.headerFontSize}" font-family="${style.headerFontFamily}" font-size="${style.headerFontSize}" font-weight="bold" fill="${style.colors.text}">${escapeHtml(`${group.label} ${describeTimelineSpan(group)}`)}</text>`;
+    const thumbnails = [];
+    for (let index = 0; index < images.length; index++) {
+        const item = group.items[index];
+        const left = style.padding + (index % columns) * (thumbWidth + style.tableGap);
+        const top = titleHeight + Math.floor(index / columns) * (cellHeight + style.tableGap);
+        const thumbnail = await sharp(images[index])
+            .resize({ width: thumbWidth, height: thumbHeight, fit: 'fill' })
+            .png()
+            .toBuffer();
+        thumbnails.push({ input: thumbnail, top: Math.round(top), left: Math.round(left) });
+        const labelY = top + thumbHeight + style.lineHeight;
+        svg += `<text x="${left}" y="${labelY}" font-family="${style.fontFamily}" font-size="${style.fontSize}" fill="${style.colors.text}">${escapeHtml(formatTimestamp(item.info.timestamp).slice(11))}</text>`;
+        svg += `<text x="${left}" y="${labelY + style.lineHeight}" font-family="${style.fontFamily}" font-size="${style.fontSize}" font-weight="bold" fill="${getMarketStructureColor(item.structure, style)}">${escapeHtml(item.structure ?? 'UNKNOWN')}</text>`;
+    }
+
+    return sharp({ create: { width, height, channels: 4, background: style.colors.background } })
+        .composite([
+            ...thumbnails,
+            { input: Buffer.from(`<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${svg}</svg>`), top: 0, left: 0 },
+        ])
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Writes an animation and a contact sheet for every symbol/timeframe session in the output directory.
+ */
+async function runTimelineCommand(options) {
+    const { outputDir, style } = options;
+    const snapshots = filterPairs(collectRenderedSnapshots(loadManifest(outputDir), outputDir), options);
+    const groups = groupTimelines(snapshots, options.sessionGapMinutes * 60 * 1000);
+    const timelines = groups.filter(group => group.items.length >= 2);
+    const filterDescription = describeFilters(options);
+    console.log(`Found ${snapshots.length} rendered snapshot(s)${filterDescription ? ` matching ${filterDescription}` : ''} in ${groups.length} session(s).`);
+    if (groups.length > timelines.length) {
+        console.log(`Skipping ${groups.length - timelines.length} session(s) with a single snapshot.`);
+    }
+    if (timelines.length === 0) {
+        console.log('No timelines to build. Render the snapshots first or widen --session-gap.');
+        return;
+    }
+
+    const timelineDir = path.join(outputDir, TIMELINE_DIR);
+    fs.mkdirSync(timelineDir, { recursive: true });
+    let failedCount = 0;
+    for (const group of timelines) {
+        const stem = getTimelineFileStem(group);
+        console.log(`Building ${group.label} ${describeTimelineSpan(group)} (${group.items.length} snapshots)`);
+        try {
+            const { images, frames, aspectRatio } = await createTimelineFrames(group, style);
+            // Hold the last frame a little longer so the loop restart is easy to spot
+            const delay = frames.map((frame, index) => index === frames.length - 1 ? TIMELINE_LAST_FRAME_DELAY_MS : TIMELINE_FRAME_DELAY_MS);
+            const animation = sharp(frames, { join: { animated: true } });
+            const animationBuffer = options.animationFormat === 'gif'
+                ? await animation.gif({ loop: 0, delay }).toBuffer()
+                : await animation.webp({ loop: 0, delay }).toBuffer();
+            const animationPath = path.join(timelineDir, `${stem}.${options.animationFormat}`);
+            fs.writeFileSync(animationPath, animationBuffer);
+            console.log(`  ✅ Created: ${animationPath}`);
+
+            const sheetPath = path.join(timelineDir, `${stem}_contact-sheet.png`);
+            fs.writeFileSync(sheetPath, await createContactSheet(group, images, aspectRatio, style));
+            console.log(`  ✅ Created: ${sheetPath}`);
+        } catch (e) {
+            failedCount++;
+            console.error(`  ❌ Failed to build ${group.label} timeline: ${e.message}`);
+        }
+    }
+    console.log(`\n🎉 Finished! Built ${timelines.length - failedCount} timeline(s) in '${timelineDir}'.`);
+    if (failedCount > 0) process.exitCode = 1;
+}
+
+module.exports = {
+    runTimelineCommand,
+};
@@ -0,0 +1,28 @@
+/**
+ * Timestamp Helpers
+ * * Description:
+ * Bot timestamps (file names, OHLC exports) carry no time zone. They are all
+ * treated as UTC wall-clock times so comparisons never shift with the zone of
+ * the machine running the formatter.
+ */
+
+/**
+ * Builds a timestamp from wall-clock parts, or returns null if the parts are not a real date.
+ */
+function toTimestamp(year, month, day, hour = 0, minute = 0, second = 0) {
+    const parts = [year, month, day, hour, minute, second].map(Number);
+    const date = new Date(Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]));
+    if (date.getUTCFullYear() !== parts[0] || date.getUTCMonth() !== parts[1] - 1 || date.getUTCDate() !== parts[2]
+        || date.getUTCHours() !== parts[3] || date.getUTCMinutes() !== parts[4] || date.getUTCSeconds() !== parts[5]) {
+        return null;
+    }
+    return date.getTime();
+}
+function formatTimestamp(timestamp) {
+    return new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+module.exports = {
+    toTimestamp,
+    formatTimestamp,
+};
@@ -0,0 +1,80 @@
+/**
+ * Trade Sanity Checks
+ * * Description:
+ * Recomputes a limit order's pip distances and R:R from its prices and
+ * compares them with what the bot logged. Warns when `takeProfitPips` or
+ * `stopLossPips` disagree with the prices, when take profit and stop loss sit
+ * on the same side of the limit price, and when they are on the wrong side for
+ * the bias implied by `currentMarketStructure` (BULLISH = long, BEARISH =
+ * short; NEUTRAL has no bias).
+ */
+
+const { roundPips } = require('./utils');
+
+const PIP_MISMATCH_TOLERANCE = 0.5; // Pips; logged values are usually rounded to whole pips
+
+const BIAS_BY_STRUCTURE = { BULLISH: 'long', BEARISH: 'short' };
+
+function isPrice(value) {
+    return typeof value === 'number';
+}
+
+/**
+ * Checks `limitOrder` against `marketStructure`. `pipSize` may be null when the symbol is unknown, in which
+ * case pip distances are not recomputed. Returns `{ takeProfitPips, stopLossPips, riskReward, warnings }`
+ * with the recomputed values (null when not computable) and `warnings` as `{ field, message }`.
+ */
+function checkLimitOrder(limitOrder, marketStructure, pipSize) {
+    const result = { takeProfitPips: null, stopLossPips: null, riskReward: null, warnings: [] };
+    if (!limitOrder || !isPrice(limitOrder.limitPrice)) return result;
+    const { limitPrice, takeProfit, stopLoss } = limitOrder;
+    const warn = (field, message) => result.warnings.push({ field, message });
+
+    const takeProfitDistance = isPrice(takeProfit) ? Math.abs(takeProfit - limitPrice) : null;
+    const stopLossDistance = isPrice(stopLoss) ? Math.abs(stopLoss - limitPrice) : null;
+    if (takeProfitDistance !== null && stopLossDistance) {
+        result.riskReward = Math.round((takeProfitDistance / stopLossDistance) * 100) / 100;
+    }
+
+    if (pipSize) {
+        const distances = [
+            ['takeProfitPips', 'Take profit', takeProfitDistance],
+            ['stopLossPips', 'Stop loss', stopLossDistance],
+        ];
+        for (const [field, label, distance] of distances) {
+            if (distance === null) continue;
+            const pips = roundPips(distance / pipSize);
+            result[field] = pips;
+            const logged = limitOrder[field];
+            if (typeof logged === 'number' && Math.abs(logged - pips) > PIP_MISMATCH_TOLERANCE) {
+                warn(`limitOrder.${field}`, `${label} is ${pips} pips from the limit, but ${logged} was logged`);
+            }
+        }
+    }
+
+    if (isPrice(takeProfit) && isPrice(stopLoss)) {
+        const takeProfitAbove = takeProfit > limitPrice;
+        const stopLossAbove = stopLoss > limitPrice;
+        if (takeProfit !== limitPrice && stopLoss !== limitPrice && takeProfitAbove === stopLossAbove) {
+            warn('limitOrder', `Take profit and stop loss are both ${takeProfitAbove ? 'above' : 'below'} the limit price`);
+            return result;
+        }
+    }
+
+    const bias = BIAS_BY_STRUCTURE[marketStructure];
+    if (bias) {
+        const isLong = bias === 'long';
+        if (isPrice(takeProfit) && (isLong ? takeProfit <= limitPrice : takeProfit >= limitPrice)) {
+            warn('limitOrder.takeProfit', `Take profit is ${isLong ? 'below' : 'above'} the limit price for a ${marketStructure} (${bias}) setup`);
+        }
+        if (isPrice(stopLoss) && (isLong ? stopLoss >= limitPrice : stopLoss <= limitPrice)) {
+            warn('limitOrder.stopLoss', `Stop loss is ${isLong ? 'above' : 'below'} the limit price for a ${marketStructure} (${bias}) setup`);
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    PIP_MISMATCH_TOLERANCE,
+    checkLimitOrder,
+};
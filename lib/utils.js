@@ -0,0 +1,47 @@
+/**
+ * Shared Helpers
+ * * Description:
+ * Small helpers used by several modules, kept in one place so the copies
+ * cannot drift apart.
+ */
+
+const os = require('os');
+
+// The two files the bot writes per snapshot: the chart screenshot and the JSON log
+const PAIR_EXTENSIONS = ['.png', '.json'];
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+// For text placed in HTML, SVG or XML, including attribute values
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+// Cores available to this process, which is also the default number of --jobs
+function getCpuCount() {
+    return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+// Pip distances are shown and compared to one decimal
+function roundPips(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * The bot writes minute timeframes as bare numbers ('5'); they are shown as 'M5'.
+ */
+function formatTimeframe(timeframe) {
+    return /^\d+$/.test(timeframe) ? `M${timeframe}` : timeframe;
+}
+
+module.exports = {
+    PAIR_EXTENSIONS,
+    isPlainObject,
+    escapeHtml,
+    getCpuCount,
+    sleep,
+    roundPips,
+    formatTimeframe,
+};
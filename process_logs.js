@@ -1,531 +1,411 @@
 /**
- * Mewtwo Image & JSON Combiner (v49 - Fixed Indecision Candle Cut-off & Spacing)
- * * Description:
- * Rectifies the issue where the Indecision Candle box was cut off by ensuring 
- * `totalRequiredWidth` correctly accounts for all elements. Re-applies 
- * previous header spacing adjustments without compromising horizontal layout.
- * * Usage:
- * node --expose-gc process_logs.js
- */
+ * Mewtwo Image & JSON Combiner (v70 - Webhook Publishing)
+ * * Description:
+ * With --publish, newly rendered setups are posted to the webhooks listed
+ * in the config file (generic multipart, Discord or Slack), filtered by
+ * per-publisher rules and retried on failure. Each setup goes out once per
+ * publisher, and only snapshots without an output before the run are posted,
+ * so the history is not; --dry-run sends everything to a local stub server.
+ * This file parses the command line and hands over to the command modules in
+ * lib/ (render_command.js, timeline_command.js, ...).
+ * * Usage:
+ * node process_logs.js [START DATE] [END DATE] [FOLDER ...] [options]
+ * node process_logs.js timeline [START DATE] [END DATE] [options]
+ * node process_logs.js serve [START DATE] [END DATE] [options]
+ * node process_logs.js export [START DATE] [END DATE] [FOLDER ...] [options]
+ * node process_logs.js extract IMAGE ... [options]
+ * node process_logs.js --help
+ */
+
+// sharp runs on the libuv thread pool (4 threads by default), which would cap the default --jobs (one pair per
+// core) on larger machines. The pool is created on first use, so it is sized before anything else is loaded.
+const { getCpuCount } = require('./lib/utils');
+const DEFAULT_JOBS = getCpuCount();
+if (!process.env.UV_THREADPOOL_SIZE && DEFAULT_JOBS > 4) {
+    process.env.UV_THREADPOOL_SIZE = String(DEFAULT_JOBS);
+}
 
 const fs = require('fs');
-const path = require('path');
+const { parseArgs } = require('util');
 const sharp = require('sharp');
+const { toTimestamp } = require('./lib/timestamps');
+const { LAYOUTS, loadConfigFile, resolveRenderStyle } = require('./lib/render_config');
+const { mergeInstruments } = require('./lib/instruments');
+const { DEFAULT_RENDER_STYLE, OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT, IMAGE_FORMATS, DEFAULT_QUALITY } = require('./lib/render');
+const { normalizePublishers } = require('./lib/publishers');
+const { ROOT_DIR, normalizeTimeframe, isSameOrInside } = require('./lib/snapshot_files');
+const { PUBLISH_DRY_RUN_DIR } = require('./lib/publish_stage');
+const { runRenderCommand } = require('./lib/render_command');
+const { runTimelineCommand } = require('./lib/timeline_command');
+const { runServeCommand } = require('./lib/serve_command');
+const { DATASET_DIR, runExportCommand } = require('./lib/export_command');
+const { EXTRACT_DIR, runExtractCommand } = require('./lib/extract_command');
+
+// Rendered pairs are never read twice, so sharp's operation cache would only hold on to memory
+sharp.cache(false);
 
 // --- CONFIGURATION ---
-const ROOT_DIR = '.';
 const OUTPUT_DIR = 'log_outputs';
-const EXCLUDE_DIRS = ['log_outputs', 'node_modules', '.git'];
-const PADDING = 20;
-const BACKGROUND_COLOR = '#141414';
-const TEXT_COLOR = '#DCDCDC';
-const TABLE_BACKGROUND_COLOR = '#2a2a2a';
-const BID_COLOR = '#ff4d4d'; // Red for specific bids/BEARISH
-const BEARISH = BID_COLOR; // Red for specific bids/BEARISH
-const ASK_COLOR = '#33cc33'; // Green for specific asks/BULLISH
-const BULLISH = ASK_COLOR; // Green for specific asks/BULLISH
-const FONT_SIZE = 14;
-const HEADER_FONT_SIZE = 18;
-const LINE_HEIGHT = FONT_SIZE * 1.4;
-const TABLE_GAP = 25;
-const TABLE_WIDTH = 192;
-const CANDLE_TABLE_WIDTH = 180;
-const MARKET_STRUCTURE_WIDTH = 180;
-const HEADER_TO_BOX_SPACING = LINE_HEIGHT * 0.75; 
-const SVG_MIN_HEIGHT_PX = 150; // Guaranteed extra space at the bottom
-const TRADE_DETAILS_WIDTH = 250; // New explicit width for the combined trade detail box
-
-// --- SVG GENERATION LOGIC ---
-function getOrdinal(n) {
-    if (n > 3 && n < 21) return 'th';
-    switch (n % 10) {
-        case 1: return "st";
-        case 2: return "nd";
-        case 3: return "rd";
-        default: return "th";
-    }
-}
-function escapeHtml(text) {
-    if (typeof text !== 'string') return text;
-    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '>').replace(/"/g, '&quot;');
-}
+const DEFAULT_COMMAND = 'render';
+// Options that only apply to some commands; the rest are shared
+const COMMAND_OPTIONS = {
+    render: ['clean', 'jobs', 'strict', 'ohlc', 'obsidian', 'layout', 'footprint', 'watch', 'pair-timeout', 'format', 'quality', 'max-width', 'diff', 'pair-tolerance', 'publish', 'publish-existing', 'dry-run'],
+    timeline: ['animation', 'session-gap'],
+    serve: ['port'],
+    export: ['pair-tolerance'],
+    extract: ['rerender', 'format', 'layout'],
+};
+// Commands that work on the images earlier runs rendered into the output directory
+const RENDERED_OUTPUT_COMMANDS = ['timeline', 'serve'];
+const DEFAULT_PAIR_TIMEOUT_SECONDS = 60;
+const ANIMATION_FORMATS = ['webp', 'gif'];
+const DEFAULT_SESSION_GAP_MINUTES = 60;
+const LOSSY_FORMATS = ['webp', 'jpeg'];
+const DEFAULT_SERVE_PORT = 8080;
+
+// --- COMMAND-LINE INTERFACE ---
+const USAGE = `Usage:
+  node process_logs.js [START DATE] [END DATE] [FOLDER ...] [options]
+  node process_logs.js timeline [START DATE] [END DATE] [options]
+  node process_logs.js serve [START DATE] [END DATE] [options]
+  node process_logs.js export [START DATE] [END DATE] [FOLDER ...] [options]
+  node process_logs.js extract IMAGE ... [options]
+
+Commands:
+  (none)                  Render every .png/.json pair found in the folders into the output directory
+  timeline                Build an animation and a contact sheet per symbol, timeframe and session
+                          from the images already rendered in the output directory
+  serve                   Start a local review page over the rendered images to filter, step through,
+                          tag and annotate setups; reviews are drawn onto the images by the next render
+  export                  Flatten the limit-order snapshots in the folders into CSV and JSONL tables
+                          (one row per setup, one per imbalance price level) in <out>/${DATASET_DIR}
+  extract                 Recover the source JSON embedded in rendered images into <out>/${EXTRACT_DIR}
+
+Arguments:
+  START DATE              Only process snapshots taken at or after this time
+  END DATE                Only process snapshots taken at or before this time
+  FOLDER                  Folders to scan for .png/.json pairs (default: current directory)
+
+  Dates are YYYY-MM-DD, "YYYY-MM-DD HH:MM[:SS]" or YYYY-MM-DDTHH:MM[:SS].
+  A date without a time covers the whole day, so both ends are inclusive.
+
+Options:
+  -s, --symbol <SYMBOL>   Only process this symbol (repeatable or comma-separated)
+  -t, --timeframe <TF>    Only process this timeframe, e.g. 5 or M5 (repeatable or comma-separated)
+  -o, --out <DIR>         Output directory (default: ${OUTPUT_DIR})
+      --clean             Empty the output directory (keeping reviews) and re-render every pair
+  -j, --jobs <N>          Number of pairs rendered in parallel (default: ${DEFAULT_JOBS})
+      --strict            Do not render snapshots that fail schema validation and exit non-zero
+      --ohlc <PATH>       Back-test each limit order against an OHLC CSV file, or a folder of
+                          <SYMBOL>_<TF>.csv exports matched by symbol and timeframe
+      --obsidian          Write a Markdown note per setup plus daily and per-symbol index notes
+  -c, --config <FILE>     Load theme, layout, fonts and scale from a JSON or JS config file
+      --theme <NAME>      Theme to render with, overriding the config file (built in: dark, light)
+      --layout <LAYOUT>   horizontal (data panel right of the chart) or vertical (panel below it)
+      --footprint         Draw the zone imbalances as a footprint heatmap instead of tables
+  -w, --watch             Keep running and render new pairs as the bot writes them (Ctrl+C to stop)
+      --pair-timeout <S>  Seconds to wait for the other half of a pair in watch mode before warning
+                          (default: ${DEFAULT_PAIR_TIMEOUT_SECONDS})
+      --pair-tolerance <S>
+                          Also pair a .png and .json of the same symbol and timeframe whose file name
+                          times are at most S seconds apart (also for export)
+  -f, --format <FMT>      Output format: png (default), webp, jpeg, svg (data panel only) or json (data only)
+      --quality <N>       WebP/JPEG quality from 1 to 100 (default: ${DEFAULT_QUALITY})
+      --max-width <PX>    Scale chart screenshots wider than PX pixels down before combining
+      --diff              Show what changed since the previous snapshot of the same symbol and timeframe
+      --publish           Post setups rendered for the first time to the publishers in the config file
+                          that their rules select; each setup is posted once per publisher
+      --publish-existing  With --publish, also post snapshots that are not new, such as the ones already
+                          in the folders the first time --publish is used with this output directory
+      --dry-run           With --publish, send every post to a local stub server instead and save the
+                          requests in <out>/${PUBLISH_DRY_RUN_DIR}
+  -h, --help              Show this help and exit
+
+Timeline options (also --symbol, --timeframe, --out, --config and --theme):
+      --animation <FMT>   Animation format: ${ANIMATION_FORMATS.join(' or ')} (default: ${ANIMATION_FORMATS[0]})
+      --session-gap <M>   Start a new session after a gap of more than M minutes (default: ${DEFAULT_SESSION_GAP_MINUTES})
+
+Serve options (also --symbol, --timeframe, --out, --config and --theme):
+      --port <N>          Port of the review page on localhost (default: ${DEFAULT_SERVE_PORT})
+
+Extract options (also --out, --config, --theme and --layout):
+      --rerender          Also render each setup again with the current theme and config
+  -f, --format <FMT>      Format of the re-rendered output (default: png)
+`;
+
+const DATE_ARGUMENT_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T\s_](\d{2})[:-](\d{2})(?:[:-](\d{2}))?)?$/;
 
 /**
- * Generates an SVG group containing a single candle's details in a box format.
- */
-function formatCandleTable(title, candleData, width, height) {
-    if (!candleData) return { svg: '', width: 0 };
-    
-    let tspanElements = '';
-    tspanElements += `<tspan x="${PADDING}" dy="${LINE_HEIGHT}" font-weight="bold">${title}</tspan>`;
-    
-    const details = [
-        `Indecisive: ${String(candleData.isIndecisive)}`,
-        `Open: ${candleData.open}`,
-        `Close: ${candleData.close}`,
-        `High: ${candleData.high}`,
-        `Low: ${candleData.low}`,
-    ];
-
-    details.forEach(detail => {
-        tspanElements += `<tspan x="${PADDING}" dy="${LINE_HEIGHT}">${escapeHtml(detail)}</tspan>`;
-    });
-
-    const tableRect = `<rect x="0" y="0" width="${width}" height="${height}" fill="${TABLE_BACKGROUND_COLOR}" rx="5" />`;
-
-    const svg = `<g>
-        ${tableRect}
-        <text y="${FONT_SIZE}" font-family="monospace" font-size="${FONT_SIZE}" fill="${TEXT_COLOR}">${tspanElements}</text>
-    </g>`;
-    
-    return { svg: svg, width: width + TABLE_GAP };
+ * Parses a START/END DATE argument. Missing time parts are filled so that the range stays inclusive:
+ * a start date begins at 00:00:00, an end date runs to 23:59:59.
+ */
+function parseDateArgument(value, isEndOfRange) {
+    const match = DATE_ARGUMENT_PATTERN.exec(value);
+    if (!match) throw new Error(`Invalid date '${value}'.`);
+    const [, year, month, day, hour, minute, second] = match;
+    const fill = isEndOfRange ? ['23', '59', '59'] : ['00', '00', '00'];
+    const timestamp = toTimestamp(year, month, day, hour ?? fill[0], minute ?? fill[1], second ?? fill[2]);
+    if (timestamp === null) throw new Error(`Invalid date '${value}'.`);
+    return timestamp;
 }
-
-/**
- * Generates an SVG group containing the Order Volume in a simple box.
- */
-function formatOrderVolumeTable(volume, width, height) {
-    if (volume === undefined) return { svg: '', width: 0 };
-
-    let tspanElements = '';
-    tspanElements += `<tspan x="${PADDING}" dy="${LINE_HEIGHT}" font-weight="bold">Order Volume</tspan>`;
-    tspanElements += `<tspan x="${PADDING}" dy="${LINE_HEIGHT}">${volume}</tspan>`;
-
-    const tableRect = `<rect x="0" y="0" width="${width}" height="${height}" fill="${TABLE_BACKGROUND_COLOR}" rx="5" />`;
-
-    const svg = `<g>
-        ${tableRect}
-        <text y="${FONT_SIZE}" font-family="monospace" font-size="${FONT_SIZE}" fill="${TEXT_COLOR}">${tspanElements}</text>
-    </g>`;
-    
-    return { svg: svg, width: width + TABLE_GAP };
+function splitListOption(values, normalize) {
+    return (values || [])
+        .flatMap(value => value.split(','))
+        .map(value => normalize(value.trim()))
+        .filter(value => value !== '');
 }
 
 /**
- * Generates an SVG group for the Market Structure in a simple box.
- */
-function formatMarketStructureTable(structure, width, height) {
-    if (!structure) return { svg: '', width: 0 };
-
-    let marketStructureColor = TEXT_COLOR;
-    if (structure === 'BEARISH') {
-        marketStructureColor = BEARISH; 
-    } else if (structure === 'BULLISH') {
-        marketStructureColor = BULLISH; 
-    }
-
-    let tspanElements = '';
-    tspanElements += `<tspan x="${PADDING}" dy="${LINE_HEIGHT}" font-weight="bold">Market Structure</tspan>`;
-    tspanElements += `<tspan x="${PADDING}" dy="${LINE_HEIGHT}" fill="${marketStructureColor}">${structure}</tspan>`;
-
-    const tableRect = `<rect x="0" y="0" width="${width}" height="${height}" fill="${TABLE_BACKGROUND_COLOR}" rx="5" />`;
-
-    const svg = `<g>
-        ${tableRect}
-        <text y="${FONT_SIZE}" font-family="monospace" font-size="${FONT_SIZE}" fill="${TEXT_COLOR}">${tspanElements}</text>
-    </g>`;
-    
-    return { svg: svg, width: width + TABLE_GAP };
+ * Turns raw `process.argv` arguments into run options. Throws an Error describing the first bad argument.
+ */
+function parseCliArguments(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            symbol: { type: 'string', short: 's', multiple: true },
+            timeframe: { type: 'string', short: 't', multiple: true },
+            out: { type: 'string', short: 'o' },
+            clean: { type: 'boolean' },
+            jobs: { type: 'string', short: 'j' },
+            strict: { type: 'boolean' },
+            ohlc: { type: 'string' },
+            obsidian: { type: 'boolean' },
+            config: { type: 'string', short: 'c' },
+            theme: { type: 'string' },
+            layout: { type: 'string' },
+            footprint: { type: 'boolean' },
+            watch: { type: 'boolean', short: 'w' },
+            'pair-timeout': { type: 'string' },
+            'pair-tolerance': { type: 'string' },
+            animation: { type: 'string' },
+            'session-gap': { type: 'string' },
+            format: { type: 'string', short: 'f' },
+            quality: { type: 'string' },
+            'max-width': { type: 'string' },
+            diff: { type: 'boolean' },
+            port: { type: 'string' },
+            rerender: { type: 'boolean' },
+            publish: { type: 'boolean' },
+            'publish-existing': { type: 'boolean' },
+            'dry-run': { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+
+    const options = {
+        help: Boolean(values.help),
+        command: DEFAULT_COMMAND,
+        startDate: null,
+        endDate: null,
+        inputDirs: [],
+        symbols: splitListOption(values.symbol, value => value.toUpperCase()),
+        timeframes: splitListOption(values.timeframe, normalizeTimeframe),
+        outputDir: values.out ?? OUTPUT_DIR,
+        clean: Boolean(values.clean),
+        jobs: DEFAULT_JOBS,
+        strict: Boolean(values.strict),
+        ohlcPath: values.ohlc ?? null,
+        obsidian: Boolean(values.obsidian),
+        configPath: values.config ?? null,
+        style: DEFAULT_RENDER_STYLE,
+        instruments: mergeInstruments(),
+        watch: Boolean(values.watch),
+        pairTimeoutSeconds: DEFAULT_PAIR_TIMEOUT_SECONDS,
+        pairToleranceSeconds: 0,
+        animationFormat: values.animation ?? ANIMATION_FORMATS[0],
+        sessionGapMinutes: DEFAULT_SESSION_GAP_MINUTES,
+        format: DEFAULT_OUTPUT_FORMAT,
+        quality: null,
+        maxWidth: null,
+        diff: Boolean(values.diff),
+        port: DEFAULT_SERVE_PORT,
+        rerender: Boolean(values.rerender),
+        inputFiles: [],
+        publish: Boolean(values.publish),
+        publishExisting: Boolean(values['publish-existing']),
+        dryRun: Boolean(values['dry-run']),
+        publishers: [],
+    };
+    if (options.help) return options;
+
+    const remaining = [...positionals];
+    if (remaining.length > 0 && Object.keys(COMMAND_OPTIONS).includes(remaining[0])) {
+        options.command = remaining.shift();
+    }
+    for (const [command, names] of Object.entries(COMMAND_OPTIONS)) {
+        const name = command !== options.command
+            && names.find(option => values[option] !== undefined && !COMMAND_OPTIONS[options.command].includes(option));
+        if (name) throw new Error(`--${name} does not apply to the ${options.command} command.`);
+    }
+    if (!ANIMATION_FORMATS.includes(options.animationFormat)) {
+        throw new Error(`--animation must be one of ${ANIMATION_FORMATS.join(', ')}, got '${values.animation}'.`);
+    }
+    if (values['session-gap'] !== undefined) {
+        if (!/^\d+(\.\d+)?$/.test(values['session-gap']) || Number(values['session-gap']) <= 0) {
+            throw new Error(`--session-gap must be a positive number of minutes, got '${values['session-gap']}'.`);
+        }
+        options.sessionGapMinutes = Number(values['session-gap']);
+    }
+
+    if (values.layout !== undefined && !LAYOUTS.includes(values.layout)) {
+        throw new Error(`--layout must be one of ${LAYOUTS.join(', ')}, got '${values.layout}'.`);
+    }
+    if (options.configPath !== null && !fs.existsSync(options.configPath)) {
+        throw new Error(`Config file '${options.configPath}' does not exist.`);
+    }
+    // The instrument table and the publishers share the config file with the render settings
+    const { instruments, publishers, ...config } = options.configPath !== null ? loadConfigFile(options.configPath) : {};
+    options.instruments = mergeInstruments(instruments);
+    options.publishers = normalizePublishers(publishers);
+    options.style = resolveRenderStyle({
+        ...config,
+        ...(values.theme !== undefined && { theme: values.theme }),
+        ...(values.layout !== undefined && { layout: values.layout }),
+        ...(values.footprint && { footprint: { ...config.footprint, enabled: true } }),
+    });
+
+    if (values.jobs !== undefined) {
+        if (!/^\d+$/.test(values.jobs) || Number(values.jobs) < 1) {
+            throw new Error(`--jobs must be a positive whole number, got '${values.jobs}'.`);
+        }
+        options.jobs = Number(values.jobs);
+    }
+    if (values['pair-timeout'] !== undefined) {
+        if (!/^\d+(\.\d+)?$/.test(values['pair-timeout']) || Number(values['pair-timeout']) <= 0) {
+            throw new Error(`--pair-timeout must be a positive number of seconds, got '${values['pair-timeout']}'.`);
+        }
+        if (!options.watch) throw new Error('--pair-timeout only applies to --watch.');
+        options.pairTimeoutSeconds = Number(values['pair-timeout']);
+    }
+    if (values['pair-tolerance'] !== undefined) {
+        if (!/^\d+$/.test(values['pair-tolerance']) || Number(values['pair-tolerance']) < 1) {
+            throw new Error(`--pair-tolerance must be a positive whole number of seconds, got '${values['pair-tolerance']}'.`);
+        }
+        options.pairToleranceSeconds = Number(values['pair-tolerance']);
+    }
+    if (values.format !== undefined) {
+        // `jpg` is accepted as the more familiar name
+        const format = values.format.toLowerCase() === 'jpg' ? 'jpeg' : values.format.toLowerCase();
+        if (!OUTPUT_FORMATS[format]) {
+            throw new Error(`--format must be one of ${Object.keys(OUTPUT_FORMATS).join(', ')}, got '${values.format}'.`);
+        }
+        options.format = format;
+    }
+    if (values.quality !== undefined) {
+        if (!/^\d+$/.test(values.quality) || Number(values.quality) < 1 || Number(values.quality) > 100) {
+            throw new Error(`--quality must be a whole number from 1 to 100, got '${values.quality}'.`);
+        }
+        if (!LOSSY_FORMATS.includes(options.format)) throw new Error(`--quality only applies to --format ${LOSSY_FORMATS.join(' or ')}.`);
+        options.quality = Number(values.quality);
+    }
+    if (values['max-width'] !== undefined) {
+        if (!/^\d+$/.test(values['max-width']) || Number(values['max-width']) < 1) {
+            throw new Error(`--max-width must be a positive whole number of pixels, got '${values['max-width']}'.`);
+        }
+        if (!IMAGE_FORMATS.includes(options.format)) throw new Error(`--max-width only applies to --format ${IMAGE_FORMATS.join(', ')}.`);
+        options.maxWidth = Number(values['max-width']);
+    }
+    if (values.port !== undefined) {
+        if (!/^\d+$/.test(values.port) || Number(values.port) < 1 || Number(values.port) > 65535) {
+            throw new Error(`--port must be a whole number from 1 to 65535, got '${values.port}'.`);
+        }
+        options.port = Number(values.port);
+    }
+    if (options.dryRun && !options.publish) throw new Error('--dry-run only applies to --publish.');
+    if (options.publishExisting && !options.publish) throw new Error('--publish-existing only applies to --publish.');
+    if (options.publish && options.publishers.length === 0) {
+        throw new Error(`--publish needs a 'publishers' list in the config file (--config).`);
+    }
+    // Watch mode runs next to the live bot; emptying the output directory there would lose every earlier render
+    if (options.watch && options.clean) {
+        throw new Error('--clean cannot be combined with --watch.');
+    }
+
+    // extract works on image files rather than dates and folders
+    if (options.command === 'extract') {
+        if (remaining.length === 0) throw new Error('The extract command needs at least one rendered image.');
+        for (const file of remaining) {
+            if (!fs.existsSync(file) || !fs.statSync(file).isFile()) throw new Error(`Image '${file}' does not exist or is not a file.`);
+        }
+        if (options.outputDir.trim() === '') throw new Error('--out requires a directory.');
+        options.inputFiles = remaining;
+        return options;
+    }
+
+    if (remaining.length > 0 && DATE_ARGUMENT_PATTERN.test(remaining[0])) {
+        options.startDate = parseDateArgument(remaining.shift(), false);
+        if (remaining.length > 0 && DATE_ARGUMENT_PATTERN.test(remaining[0])) {
+            options.endDate = parseDateArgument(remaining.shift(), true);
+        }
+    }
+    if (options.startDate !== null && options.endDate !== null && options.startDate > options.endDate) {
+        throw new Error('START DATE must not be after END DATE.');
+    }
+    if (options.outputDir.trim() === '') throw new Error('--out requires a directory.');
+
+    if (RENDERED_OUTPUT_COMMANDS.includes(options.command)) {
+        if (remaining.length > 0) {
+            throw new Error(`The ${options.command} command reads the rendered images in --out and takes no folders, got '${remaining[0]}'.`);
+        }
+        if (!fs.existsSync(options.outputDir)) {
+            throw new Error(`Output directory '${options.outputDir}' does not exist; render the snapshots first.`);
+        }
+        return options;
+    }
+
+    options.inputDirs = remaining.length > 0 ? remaining : [ROOT_DIR];
+    for (const dir of options.inputDirs) {
+        if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+            throw new Error(`Input folder '${dir}' does not exist or is not a directory.`);
+        }
+    }
+
+    if (options.ohlcPath !== null && !fs.existsSync(options.ohlcPath)) {
+        throw new Error(`OHLC path '${options.ohlcPath}' does not exist.`);
+    }
+
+    // The output directory is emptied by --clean and pruned of stale outputs, so it must never hold the sources
+    for (const dir of options.inputDirs) {
+        if (dir !== ROOT_DIR && isSameOrInside(dir, options.outputDir)) {
+            throw new Error(`Output directory '${options.outputDir}' must not contain input folder '${dir}'.`);
+        }
+    }
+    if (isSameOrInside(ROOT_DIR, options.outputDir)) {
+        throw new Error(`Output directory '${options.outputDir}' must not be the project directory or one of its parents.`);
+    }
+
+    return options;
 }
 
-
-function createDataSvg(jsonData) {
-    const { imbalances, ...details } = jsonData;
-    const currentMarketStructure = details.currentMarketStructure;
-    let svgElements = '';
-    let totalRequiredWidth = 0;
-    let currentY = PADDING;
-
-    // --- ROW 1: MAIN HEADER ---
-    const headerY = currentY + HEADER_FONT_SIZE;
-    svgElements += `<text x="${PADDING}" y="${headerY}" font-family="sans-serif" font-size="${HEADER_FONT_SIZE}" font-weight="bold" fill="${TEXT_COLOR}">Trade Setup Details</text>`;
-
-    currentY = headerY + HEADER_TO_BOX_SPACING; 
-
-    // --- ROW 2: CONTEXTUAL METADATA BOXES (Market Structure, Order Volume, Indecision Candle) ---
-    const contextRowY = currentY;
-    let currentContextX = PADDING;
-    
-    // Define common height for alignment
-    const candleTableLineCount = 6;
-    const commonTableHeight = (candleTableLineCount * LINE_HEIGHT) + (PADDING * 1.5);
-    
-    // 1. Market Structure Box
-    const msResult = formatMarketStructureTable(
-        currentMarketStructure, 
-        MARKET_STRUCTURE_WIDTH, 
-        commonTableHeight
-    );
-    svgElements += `<g transform="translate(${currentContextX}, ${contextRowY})">${msResult.svg}</g>`;
-    currentContextX += msResult.width;
-    delete details.currentMarketStructure; 
-
-    // 2. Order Volume Box
-    if (details.orderVolume !== undefined) {
-        const orderVolumeResult = formatOrderVolumeTable(
-            details.orderVolume, 
-            MARKET_STRUCTURE_WIDTH, 
-            commonTableHeight
-        );
-        svgElements += `<g transform="translate(${currentContextX}, ${contextRowY})">${orderVolumeResult.svg}</g>`;
-        currentContextX += orderVolumeResult.width;
-        delete details.orderVolume;
-    }
-
-    // 3. Indecision Candle Box
-    if (details.indecisionCandle) {
-        const indecisionResult = formatCandleTable(
-            'Indecision Candle', 
-            details.indecisionCandle, 
-            CANDLE_TABLE_WIDTH, 
-            commonTableHeight
-        );
-        svgElements += `<g transform="translate(${currentContextX}, ${contextRowY})">${indecisionResult.svg}</g>`;
-        currentContextX += indecisionResult.width;
-        delete details.indecisionCandle;
-    }
-
-    // Update currentY after context row
-    currentY = contextRowY + commonTableHeight + PADDING; 
-    // CRITICAL FIX: Ensure totalRequiredWidth tracks the furthest point of the widest row
-    totalRequiredWidth = Math.max(totalRequiredWidth, currentContextX);
-    
-    // --- ROW 3: IMBALANCE HEADER ---
-    const imbalanceHeaderY = currentY + HEADER_FONT_SIZE;
-    svgElements += `<text x="${PADDING}" y="${imbalanceHeaderY}" font-family="sans-serif" font-size="${HEADER_FONT_SIZE}" font-weight="bold" fill="${TEXT_COLOR}">Zone Imbalances</text>`;
-    
-    currentY = imbalanceHeaderY + HEADER_TO_BOX_SPACING;
-
-    // --- ROW 4: IMBALANCE TABLES (PRECEEDING CANDLES) ---
-    const imbalanceTablesY = currentY;
-
-    const tableKeys = Object.keys(imbalances).sort((a, b) => parseInt(b) - parseInt(a));
-    
-    let maxTableLineCount = 0;
-    for (const key of tableKeys) {
-        const { bids, asks } = imbalances[key];
-        const rowCount = Math.max(bids.length, asks.length);
-        const tableLineCount = 2 + rowCount;
-        maxTableLineCount = Math.max(maxTableLineCount, tableLineCount);
-    }
-
-    const uniformTableHeight = (maxTableLineCount * LINE_HEIGHT) + (PADDING * 1.5);
-
-    let currentImbalanceX = PADDING;
-    for (const key of tableKeys) {
-        let tableTspanElements = '';
-        const number = parseInt(key);
-        const title = (number === 1) ? 'Indecision Candle' 
-                                     : `${number - 1}${getOrdinal(number - 1)} Preceding Candle`;
-        tableTspanElements += `<tspan x="${PADDING}" dy="${LINE_HEIGHT}" font-weight="bold">${title}</tspan>`;
-        
-        const asksX = PADDING + 80;
-        tableTspanElements += `<tspan x="${PADDING}" dy="${LINE_HEIGHT}" text-decoration="underline">Bids</tspan>`;
-        tableTspanElements += `<tspan x="${asksX}" text-decoration="underline">Asks</tspan>`;
-
-        const { bids, asks } = imbalances[key];
-        const rowCount = Math.max(bids.length, asks.length);
-        for (let i = 0; i < rowCount; i++) {
-            let bidColor = TEXT_COLOR;
-            let askColor = TEXT_COLOR;
-            if (currentMarketStructure === 'BEARISH' && i === 0) {
-                bidColor = BID_COLOR;
-                askColor = ASK_COLOR;
-            }
-            if (currentMarketStructure === 'BULLISH' && i === rowCount - 1) {
-                bidColor = BID_COLOR;
-                askColor = ASK_COLOR;
-            }
-            const bidText = bids[i] ?? '';
-            const askText = asks[i] ?? '';
-            tableTspanElements += `<tspan x="${PADDING}" dy="${LINE_HEIGHT}" fill="${bidColor}">${bidText}</tspan><tspan x="${asksX}" fill="${askColor}">${askText}</tspan>`;
-        }
-        
-        const tableRect = `<rect x="0" y="0" width="${TABLE_WIDTH}" height="${uniformTableHeight}" fill="${TABLE_BACKGROUND_COLOR}" rx="5" />`;
-
-        svgElements += `<g transform="translate(${currentImbalanceX}, ${imbalanceTablesY})">
-            ${tableRect}
-            <text y="${FONT_SIZE}" font-family="monospace" font-size="${FONT_SIZE}" fill="${TEXT_COLOR}">${tableTspanElements}</text>
-        </g>`;
-
-        currentImbalanceX += TABLE_WIDTH + TABLE_GAP;
-    }
-
-    // Update currentY after imbalance tables
-    currentY = imbalanceTablesY + uniformTableHeight; 
-    // CRITICAL FIX: Ensure totalRequiredWidth tracks the furthest point of the widest row
-    totalRequiredWidth = Math.max(totalRequiredWidth, currentImbalanceX);
-    
-    // --- LOWER TIMEFRAME CONFLUENCE TABLES ---
-    
-    const confluenceTimeframes = ['M1', 'M5', 'M15', 'M30', 'H1']; 
-    const confluenceCandles = [];
-
-    const allDetails = { ...details, ...(details.confluence || {}) };
-
-    for (const tf of confluenceTimeframes) {
-        if (allDetails[tf]) {
-            confluenceCandles.push({ title: `${tf} Candle`, data: allDetails[tf] });
-            delete details[tf]; 
-        }
-    }
-    delete details.confluence; 
-
-    if (confluenceCandles.length > 0) {
-        // FIX 1: Add extra vertical padding before the header
-        currentY += PADDING * 1.5; 
-        
-        // Print Header
-        const confluenceHeaderY = currentY + HEADER_FONT_SIZE;
-        svgElements += `<text x="${PADDING}" y="${confluenceHeaderY}" font-family="sans-serif" font-size="${HEADER_FONT_SIZE}" font-weight="bold" fill="${TEXT_COLOR}">Lower Timeframe Confluence</text>`;
-        
-        currentY = confluenceHeaderY + HEADER_TO_BOX_SPACING;
-        
-        // Print Tables
-        const confluenceTablesY = currentY;
-        let currentConfluenceX = PADDING;
-
-        for (const candle of confluenceCandles) {
-            const result = formatCandleTable(
-                candle.title, 
-                candle.data, 
-                CANDLE_TABLE_WIDTH, 
-                commonTableHeight 
-            );
-            
-            svgElements += `<g transform="translate(${currentConfluenceX}, ${confluenceTablesY})">${result.svg}</g>`;
-            
-            currentConfluenceX += result.width;
-        }
-        
-        // Update currentY after confluence tables
-        currentY = confluenceTablesY + commonTableHeight;
-
-        // CRITICAL FIX: Ensure totalRequiredWidth tracks the furthest point of the widest row
-        totalRequiredWidth = Math.max(totalRequiredWidth, currentConfluenceX);
-    }
-    
-    // --- PROSPECTIVE TRADE DETAILS (Final Layout with all fields) ---
-    const limitOrderDetails = details.limitOrder;
-
-    // Correctly extract fields from the nested structure
-    const limitPrice = limitOrderDetails?.limitPrice;
-    const takeProfit = limitOrderDetails?.takeProfit;
-    const stopLoss = limitOrderDetails?.stopLoss;
-    const zonePips = limitOrderDetails?.zonePips;
-    const takeProfitPips = limitOrderDetails?.takeProfitPips;
-    const stopLossPips = limitOrderDetails?.stopLossPips;
-    
-    // Clean up parent object
-    if (details.limitOrder) delete details.limitOrder;
-
-    // Check if any prospective trade data exists
-    if (limitPrice !== undefined) { 
-        
-        // FIX 2: Add extra vertical padding before the header
-        currentY += PADDING * 1.0; 
-        
-        // --- 1. PRINT HEADER (OUTSIDE THE BOX) ---
-        const tradeHeaderY = currentY + HEADER_FONT_SIZE; // Position the header line
-        svgElements += `<text x="${PADDING}" y="${tradeHeaderY}" font-family="sans-serif" font-size="${HEADER_FONT_SIZE}" font-weight="bold" fill="${TEXT_COLOR}">Prospective Trade</text>`;
-        
-        currentY = tradeHeaderY + HEADER_TO_BOX_SPACING; // Reset currentY for the box content
-        
-        // 2. COLLECT ALL TEXT LINES (ALL required data)
-        const tradeLines = [];
-        
-        if (limitPrice !== undefined) {
-            tradeLines.push({ text: `Limit Price: ${limitPrice}`, bold: false, indent: true });
-        }
-        if (takeProfit !== undefined) {
-            tradeLines.push({ text: `Take Profit: ${takeProfit}`, bold: false, indent: true });
-        }
-        if (stopLoss !== undefined) {
-            tradeLines.push({ text: `Stop Loss: ${stopLoss}`, bold: false, indent: true });
-        }
-        
-        // Pips data 
-        if (zonePips !== undefined) {
-            tradeLines.push({ text: `Zone Pips: ${zonePips}`, bold: false, indent: true });
-        }
-        if (takeProfitPips !== undefined) {
-            tradeLines.push({ text: `Take Profit Pips: ${takeProfitPips}`, bold: false, indent: true });
-        }
-        if (stopLossPips !== undefined) {
-            tradeLines.push({ text: `Stop Loss Pips: ${stopLossPips}`, bold: false, indent: true });
-        }
-        
-        // 3. CALCULATE BOX DIMENSIONS
-        const boxContentHeight = (tradeLines.length * LINE_HEIGHT) + PADDING; 
-        const boxWidth = TRADE_DETAILS_WIDTH;
-        const boxHeight = boxContentHeight;
-
-        // 4. RENDER BACKGROUND BOX (Grouping the whole section)
-        const tradeBoxY = currentY; // Top of the box starts here
-        
-        svgElements += `<g transform="translate(${PADDING}, ${tradeBoxY})">`;
-        svgElements += `<rect x="0" y="0" width="${boxWidth}" height="${boxHeight}" fill="${TABLE_BACKGROUND_COLOR}" rx="5" />`;
-        
-        // 5. RENDER TEXT INSIDE BOX (TSPAN)
-        let tspanElements = '';
-        tradeLines.forEach((line, index) => {
-            const xPos = line.indent ? PADDING : 0;
-            // The first line should offset from the box's top boundary (y=0 in the group)
-            const dy = index === 0 ? PADDING : LINE_HEIGHT; // Fix: Use PADDING for consistent top padding
-            const weight = line.bold ? 'bold' : 'normal';
-
-            tspanElements += `<tspan x="${xPos}" dy="${dy}" font-weight="${weight}">${escapeHtml(line.text)}</tspan>`;
-        });
-        
-        svgElements += `<text y="${0}" font-family="monospace" font-size="${FONT_SIZE}" fill="${TEXT_COLOR}">${tspanElements}</text>`;
-        
-        // Close the group
-        svgElements += `</g>`;
-        
-        // 6. UPDATE currentY
-        currentY = tradeBoxY + boxHeight + PADDING; // Advance currentY past the box
-        
-        // CRITICAL FIX: Ensure totalRequiredWidth tracks the furthest point of the widest row
-        totalRequiredWidth = Math.max(totalRequiredWidth, PADDING + boxWidth + PADDING); 
-    }
-    
-    // Update total required height
-    let totalRequiredHeight = currentY; 
-
-    // --- REMAINING DETAILS (Fallback for unhandled data) ---
-    const remainingDetailsText = JSON.stringify(details, null, 2);
-    let remainingLineCount = 0;
-
-    if (remainingDetailsText !== '{}') {
-        
-        let detailsTspanElements = `<tspan x="0" dy="0" font-weight="bold">Remaining Details (JSON)</tspan>`;
-        
-        const detailLines = remainingDetailsText.split('\n');
-        detailLines.forEach(line => {
-            detailsTspanElements += `<tspan x="${PADDING}" dy="${LINE_HEIGHT}">${escapeHtml(line)}</tspan>`;
-        });
-        remainingLineCount = detailLines.length + 1; // +1 for the header line
-
-        const detailsTextY = currentY + FONT_SIZE; // Use currentY for absolute start + FONT_SIZE for baseline
-        svgElements += `<text x="${PADDING}" y="${detailsTextY}" font-family="monospace" font-size="${FONT_SIZE}" fill="${TEXT_COLOR}">${detailsTspanElements}</text>`;
-        totalRequiredHeight = detailsTextY + (remainingLineCount * LINE_HEIGHT);
-    }
-
-    return {
-        svgContent: svgElements,
-        calculatedWidth: totalRequiredWidth + PADDING, // Ensure final padding on the right
-        // CRITICAL FIX: Add fixed buffer to calculated height to prevent cutoff
-        calculatedHeight: totalRequiredHeight + PADDING + SVG_MIN_HEIGHT_PX 
-    };
+async function run(argv) {
+    let options;
+    try {
+        options = parseCliArguments(argv);
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`);
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    const runCommand = { render: runRenderCommand, timeline: runTimelineCommand, serve: runServeCommand, export: runExportCommand, extract: runExtractCommand }[options.command];
+    try {
+        await runCommand(options);
+    } catch (error) {
+        console.error(`❌ A critical error occurred: ${error.message}`);
+        process.exitCode = 1;
+    }
 }
 
-
-// --- CORE SCRIPT LOGIC (unchanged) ---
-async function createCombinedImage(pngPath, jsonPath) {
-    try {
-        const jsonContent = fs.readFileSync(jsonPath, 'utf8').replace(/^\uFEFF/, '');
-        const jsonData = JSON.parse(jsonContent);
-
-        const cleanPngBuffer = await sharp(pngPath).png().toBuffer();
-        const metadata = await sharp(cleanPngBuffer).metadata();
-
-        if (!metadata || !metadata.width || !metadata.height) {
-            throw new Error('Failed to read valid dimensions from sanitized image.');
-        }
-
-        const { svgContent, calculatedWidth, calculatedHeight } = createDataSvg(jsonData);
-
-        const newWidth = metadata.width + calculatedWidth + PADDING;
-        const newHeight = Math.ceil(Math.max(metadata.height + PADDING * 2, calculatedHeight));
-        
-        const finalSvg = `<svg width="${calculatedWidth}" height="${newHeight}" xmlns="http://www.w3.org/2000/svg">${svgContent}</svg>`;
-
-        const outputBuffer = await sharp({
-            create: {
-                width: newWidth,
-                height: newHeight,
-                channels: 4,
-                background: BACKGROUND_COLOR
-            }
-        })
-        .composite([
-            { input: cleanPngBuffer, top: PADDING, left: PADDING },
-            { input: Buffer.from(finalSvg), top: 0, left: metadata.width + PADDING }
-        ])
-        .png()
-        .toBuffer();
-
-        const relativeDir = path.dirname(path.relative(ROOT_DIR, pngPath));
-        const outputSubfolder = path.join(OUTPUT_DIR, relativeDir);
-        fs.mkdirSync(outputSubfolder, { recursive: true });
-
-        const outputFileName = `${path.basename(pngPath, path.extname(pngPath))}.png`;
-        const outputPath = path.join(outputSubfolder, outputFileName);
-        
-        fs.writeFileSync(outputPath, outputBuffer);
-        console.log(`  ✅ Created: ${outputPath}`);
-
-    } catch (e) {
-        console.error(`  ❌ Failed to process ${path.basename(pngPath)}: ${e.message}`);
-    }
-}
-function setupOutputDirectory() {
-    if (fs.existsSync(OUTPUT_DIR)) {
-        for (const item of fs.readdirSync(OUTPUT_DIR)) {
-            if (item === '.obsidian') continue;
-            fs.rmSync(path.join(OUTPUT_DIR, item), { recursive: true, force: true });
-        }
-    }
-    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-    console.log(`Directory '${OUTPUT_DIR}' is ready.`);
+// Required by the tests for the argument parsing; only runs when started from the command line
+if (require.main === module) {
+    run(process.argv.slice(2));
 }
-function findFilePairs() {
-    const pairs = {};
-    console.log(`Scanning for .png/.json pairs in '${path.resolve(ROOT_DIR)}'...`);
-    function scan(dir) {
-        const items = fs.readdirSync(dir);
-        for (const item of items) {
-            const fullPath = path.join(dir, item);
-            if (EXCLUDE_DIRS.includes(item)) continue;
-            const stat = fs.statSync(fullPath);
-            if (stat.isDirectory()) {
-                scan(fullPath);
-            } else if (stat.isFile()) {
-                const ext = path.extname(fullPath);
-                const stem = path.basename(fullPath, ext);
-                const normalizedStem = stem.replace(/[\s_]/g, '-');
-                if (ext === '.png' || ext === '.json') {
-                    if (!pairs[normalizedStem]) pairs[normalizedStem] = {};
-                    pairs[normalizedStem][ext] = fullPath;
-                }
-            }
-        }
-    }
-    scan(ROOT_DIR);
-    return Object.values(pairs).filter(p => p['.png'] && p['.json']);
-}
-async function main() {
-    setupOutputDirectory();
-    const pairs = findFilePairs();
-    if (pairs.length === 0) {
-        console.log("No matching .png/.json pairs found.");
-        return;
-    }
-    console.log(`\nFound ${pairs.length} pairs. Starting processing...\n`);
-    for (let i = 0; i < pairs.length; i++) {
-        const pair = pairs[i];
-        console.log(`Processing pair ${i + 1}/${pairs.length}: ${path.basename(pair['.png'])}`);
-        await createCombinedImage(pair['.png'], pair['.json']);
-        if (global.gc) {
-            global.gc();
-        }
-    }
-    console.log(`\n🎉 Finished! Processed ${pairs.length} pairs.`);
-}
-(async () => {
-    try {
-        await main();
-    } catch (error) {
-        console.error(`❌ A critical error occurred: ${error.message}`);
-    }
-})();
\ No newline at end of file
+
+module.exports = {
+    parseCliArguments,
+};
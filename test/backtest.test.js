@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOhlcCsv, getDirection, simulateLimitOrder } = require('../lib/backtest');
+
+const SNAPSHOT_TIME = Date.UTC(2025, 8, 29, 23, 5);
+const PIP = 0.0001;
+const LONG = { limitPrice: 1.1000, takeProfit: 1.1020, stopLoss: 1.0990 };
+const SHORT = { limitPrice: 1.1000, takeProfit: 1.0980, stopLoss: 1.1010 };
+
+// Five-minute bars from the snapshot time on, given as [open, high, low, close]
+function createBars(...prices) {
+    return prices.map(([open, high, low, close], index) => ({ time: SNAPSHOT_TIME + index * 5 * 60000, open, high, low, close }));
+}
+
+test('parses MetaTrader exports with separate date and time columns', () => {
+    const csv = '<DATE>\t<TIME>\t<OPEN>\t<HIGH>\t<LOW>\t<CLOSE>\n2025.09.29\t23:10:00\t1\t2\t0.5\t1.5\n2025.09.29\t23:05:00\t1\t2\t0.5\t1.5\nbroken\t\t\t\t\t\n';
+    const { bars, skippedRows } = parseOhlcCsv(csv, 'test.csv');
+    assert.deepEqual(bars.map(bar => bar.time), [SNAPSHOT_TIME, SNAPSHOT_TIME + 5 * 60000]);
+    assert.equal(skippedRows, 1);
+});
+
+test('parses a single datetime column and rejects files without prices', () => {
+    const { bars } = parseOhlcCsv('time,open,high,low,close\n2025-09-29 23:05,1,2,0.5,1.5\n', 'test.csv');
+    assert.equal(bars[0].time, SNAPSHOT_TIME);
+    assert.throws(() => parseOhlcCsv('time,open,high,low\n', 'test.csv'), /no 'close' column/);
+});
+
+test('infers the direction from the take profit, then the stop loss', () => {
+    assert.equal(getDirection(LONG), 'long');
+    assert.equal(getDirection(SHORT), 'short');
+    assert.equal(getDirection({ limitPrice: 1.1, stopLoss: 1.09 }), 'long');
+    assert.equal(getDirection({ limitPrice: 1.1 }), null);
+});
+
+test('fills a long limit and exits at the take profit', () => {
+    const bars = createBars([1.1005, 1.1008, 1.1003, 1.1006], [1.1006, 1.1007, 1.0998, 1.1001], [1.1001, 1.1022, 1.1000, 1.1019]);
+    const outcome = simulateLimitOrder(LONG, bars, SNAPSHOT_TIME, PIP);
+    assert.equal(outcome.status, 'take-profit');
+    assert.equal(outcome.fillTime, bars[1].time);
+    assert.equal(outcome.exitTime, bars[2].time);
+    assert.equal(outcome.exitPrice, LONG.takeProfit);
+    assert.equal(outcome.minutesToFill, 5);
+    assert.equal(outcome.minutesToExit, 5);
+    assert.equal(outcome.mfePips, 20);
+    assert.equal(outcome.maePips, 2);
+    assert.equal(outcome.ambiguous, false);
+});
+
+test('fills a short limit and exits at the stop loss', () => {
+    const bars = createBars([1.0995, 1.1002, 1.0994, 1.1001], [1.1001, 1.1012, 1.0999, 1.1011]);
+    const outcome = simulateLimitOrder(SHORT, bars, SNAPSHOT_TIME, PIP);
+    assert.equal(outcome.status, 'stop-loss');
+    assert.equal(outcome.exitPrice, SHORT.stopLoss);
+    assert.equal(outcome.maePips, 10);
+    assert.equal(outcome.ambiguous, false);
+});
+
+test('assumes the stop loss first when one bar touches both exits', () => {
+    const bars = createBars([1.1001, 1.1003, 1.0999, 1.1002], [1.1002, 1.1025, 1.0985, 1.1000]);
+    const outcome = simulateLimitOrder(LONG, bars, SNAPSHOT_TIME, PIP);
+    assert.equal(outcome.status, 'stop-loss');
+    assert.equal(outcome.ambiguous, true);
+});
+
+test('assumes the fill first when the filling bar reaches the take profit', () => {
+    const bars = createBars([1.1005, 1.1025, 1.0998, 1.1020]);
+    const outcome = simulateLimitOrder(LONG, bars, SNAPSHOT_TIME, PIP);
+    assert.equal(outcome.status, 'take-profit');
+    assert.equal(outcome.ambiguous, true);
+});
+
+test('does not flag a fill and stop loss on one bar as ambiguous', () => {
+    const bars = createBars([1.1005, 1.1006, 1.0985, 1.0988]);
+    const outcome = simulateLimitOrder(LONG, bars, SNAPSHOT_TIME, PIP);
+    assert.equal(outcome.status, 'stop-loss');
+    assert.equal(outcome.ambiguous, false);
+});
+
+test('reports orders that were never filled or have not exited yet', () => {
+    assert.equal(simulateLimitOrder(LONG, createBars([1.1005, 1.1015, 1.1003, 1.1010]), SNAPSHOT_TIME, PIP).status, 'not-filled');
+    const open = simulateLimitOrder(LONG, createBars([1.1005, 1.1010, 1.0995, 1.1008]), SNAPSHOT_TIME, PIP);
+    assert.equal(open.status, 'open');
+    assert.equal(open.exitTime, null);
+});
+
+test('ignores bars before the snapshot and cannot simulate without enough data', () => {
+    const bars = createBars([1.1001, 1.1025, 1.0999, 1.1020]);
+    assert.equal(simulateLimitOrder(LONG, bars, SNAPSHOT_TIME + 60000, PIP).status, 'unknown');
+    assert.equal(simulateLimitOrder({ limitPrice: 1.1 }, bars, SNAPSHOT_TIME, PIP).status, 'unknown');
+    assert.equal(simulateLimitOrder(null, bars, SNAPSHOT_TIME, PIP).status, 'unknown');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { buildDatasets, toCsv, toJsonl } = require('../lib/dataset');
+const { parseSnapshotJson } = require('../lib/render');
+const { validateSnapshot } = require('../lib/snapshot_schema');
+
+const SAMPLE_DIR = path.join(__dirname, '..', 'limit-orders');
+const SAMPLE_STEM = 'EURUSD_5_2025-09-29_23-05-00';
+
+function readSampleSetup() {
+    const { data, issues } = validateSnapshot(parseSnapshotJson(fs.readFileSync(path.join(SAMPLE_DIR, `${SAMPLE_STEM}.json`), 'utf8')));
+    const info = { symbol: 'EURUSD', timeframe: '5', timestamp: Date.UTC(2025, 8, 29, 23, 5, 0) };
+    return { source: `limit-orders/${SAMPLE_STEM}.json`, info, data, issueCount: issues.length };
+}
+
+test('quotes CSV fields with commas, quotes or line breaks and leaves missing values empty', () => {
+    const csv = toCsv({
+        columns: ['source', 'note', 'orderVolume', 'missing'],
+        rows: [
+            { source: 'logs/a,b.json', note: 'said "wait"', orderVolume: 77, missing: null },
+            { source: 'plain.json', note: 'two\nlines', orderVolume: 0 },
+        ],
+    });
+    assert.equal(csv, 'source,note,orderVolume,missing\r\n'
+        + '"logs/a,b.json","said ""wait""",77,\r\n'
+        + 'plain.json,"two\nlines",0,\r\n');
+});
+
+test('flattens a setup into one row with the summed volumes of every imbalance candle', () => {
+    const { setups, imbalanceLevels } = buildDatasets([readSampleSetup()]);
+    const [row] = setups.rows;
+    assert.equal(row.timestamp, '2025-09-29 23:05:00');
+    assert.equal(row.marketStructure, 'BEARISH');
+    assert.equal(row.m5Open, 1.17268);
+    assert.equal(row.riskReward, 1.97);
+    assert.equal(row.candle2Bids, 84);
+    assert.equal(row.candle2Asks, 32);
+    assert.ok(setups.columns.includes('candle4Asks'));
+
+    assert.equal(imbalanceLevels.rows.length, 9 + 4 + 3 + 4);
+    assert.deepEqual(imbalanceLevels.rows.find(level => level.candle === 3 && level.level === 1), {
+        source: `limit-orders/${SAMPLE_STEM}.json`,
+        timestamp: '2025-09-29 23:05:00',
+        symbol: 'EURUSD',
+        timeframe: '5',
+        marketStructure: 'BEARISH',
+        candle: 3,
+        level: 1,
+        bid: 37,
+        ask: 4,
+        bidImbalance: true,
+        askImbalance: false,
+    });
+});
+
+test('leaves invalid values empty in both formats', () => {
+    const setup = readSampleSetup();
+    setup.data.imbalances['1'].bids[0] = null;
+    const { imbalanceLevels } = buildDatasets([setup]);
+    const firstLevel = { columns: imbalanceLevels.columns, rows: imbalanceLevels.rows.slice(0, 1) };
+    assert.match(toCsv(firstLevel).split('\r\n')[1], /,1,0,,4,false,/);
+    assert.equal(JSON.parse(toJsonl(firstLevel)).bid, null);
+});
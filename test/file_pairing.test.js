@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { matchSnapshotFiles } = require('../lib/file_pairing');
+
+const DIR = path.resolve('snapshots');
+
+// A scanned file as findFilePairs in lib/snapshot_files.js builds it
+function createFile(name, { dir = DIR, info } = {}) {
+    const ext = path.extname(name);
+    const stem = path.basename(name, ext);
+    const match = /^([A-Z]+)_(\d+)_(\d{4})-(\d{2})-(\d{2})[_\s](\d{2})-(\d{2})-(\d{2})$/.exec(stem);
+    const parsed = match && {
+        symbol: match[1],
+        timeframe: match[2],
+        timestamp: Date.UTC(match[3], match[4] - 1, match[5], match[6], match[7], match[8]),
+    };
+    return { path: path.join(dir, name), root: dir, dir, stem: stem.replace(/[\s_]/g, '-'), ext, info: info === undefined ? parsed : info };
+}
+
+test('pairs a screenshot and a snapshot by stem, treating spaces and underscores alike', () => {
+    const result = matchSnapshotFiles([createFile('EURUSD_5_2025-09-29 23-05-00.png'), createFile('EURUSD_5_2025-09-29_23-05-00.json')]);
+    assert.equal(result.pairs.length, 1);
+    assert.equal(result.pairs[0]['.png'], path.join(DIR, 'EURUSD_5_2025-09-29 23-05-00.png'));
+    assert.equal(result.pairs[0]['.json'], path.join(DIR, 'EURUSD_5_2025-09-29_23-05-00.json'));
+    assert.deepEqual(result.orphans, []);
+});
+
+test('does not pair files from different folders', () => {
+    const result = matchSnapshotFiles([
+        createFile('EURUSD_5_2025-09-29_23-05-00.png'),
+        createFile('EURUSD_5_2025-09-29_23-05-00.json', { dir: path.resolve('other') }),
+    ]);
+    assert.equal(result.orphans.length, 2);
+});
+
+test('reports only files named like snapshots as orphans', () => {
+    const result = matchSnapshotFiles([
+        createFile('package.json', { info: null }),
+        createFile('render-config.json', { info: null }),
+        createFile('EURUSD_5_2025-09-29_23-05-00.json'),
+    ]);
+    assert.deepEqual(result.orphans, [{ file: path.join(DIR, 'EURUSD_5_2025-09-29_23-05-00.json'), missing: '.png' }]);
+});
+
+test('keeps the first file by name when two claim the same stem', () => {
+    const result = matchSnapshotFiles([
+        createFile('EURUSD_5_2025-09-29_23-05-00.png'),
+        createFile('EURUSD_5_2025-09-29 23-05-00.png'),
+        createFile('EURUSD_5_2025-09-29_23-05-00.json'),
+    ]);
+    assert.deepEqual(result.collisions, [{
+        kind: 'name',
+        kept: path.join(DIR, 'EURUSD_5_2025-09-29 23-05-00.png'),
+        ignored: [path.join(DIR, 'EURUSD_5_2025-09-29_23-05-00.png')],
+    }]);
+    assert.equal(result.pairs.length, 1);
+});
+
+test('pairs near timestamps of the same series only within the tolerance', () => {
+    const files = [createFile('EURUSD_5_2025-09-29_23-05-03.png'), createFile('EURUSD_5_2025-09-29_23-05-00.json')];
+    assert.equal(matchSnapshotFiles(files).orphans.length, 2);
+    assert.equal(matchSnapshotFiles(files, { toleranceMs: 2000 }).orphans.length, 2);
+
+    const result = matchSnapshotFiles(files, { toleranceMs: 5000 });
+    assert.equal(result.pairs.length, 1);
+    assert.equal(result.pairs[0]['.json'], path.join(DIR, 'EURUSD_5_2025-09-29_23-05-00.json'));
+    assert.deepEqual(result.nearMatches, [{ png: files[0].path, json: files[1].path, offsetSeconds: -3 }]);
+    assert.deepEqual(result.orphans, []);
+});
+
+test('does not pair near timestamps of another symbol or timeframe', () => {
+    const result = matchSnapshotFiles([
+        createFile('EURUSD_5_2025-09-29_23-05-02.png'),
+        createFile('GBPUSD_5_2025-09-29_23-05-00.json'),
+        createFile('EURUSD_1_2025-09-29_23-05-01.json'),
+    ], { toleranceMs: 5000 });
+    assert.deepEqual(result.nearMatches, []);
+    assert.equal(result.orphans.length, 3);
+});
+
+test('reports a half with several candidates in range as ambiguous instead of guessing', () => {
+    const result = matchSnapshotFiles([
+        createFile('EURUSD_5_2025-09-29_23-05-02.png'),
+        createFile('EURUSD_5_2025-09-29_23-05-00.json'),
+        createFile('EURUSD_5_2025-09-29_23-05-04.json'),
+    ], { toleranceMs: 5000 });
+    assert.deepEqual(result.nearMatches, []);
+    assert.deepEqual(result.ambiguous, [{
+        file: path.join(DIR, 'EURUSD_5_2025-09-29_23-05-02.png'),
+        candidates: [path.join(DIR, 'EURUSD_5_2025-09-29_23-05-00.json'), path.join(DIR, 'EURUSD_5_2025-09-29_23-05-04.json')],
+    }]);
+    assert.deepEqual(result.orphans, []);
+});
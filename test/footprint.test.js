@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { buildFootprint, interpolateColor } = require('../lib/footprint');
+const { analyzeSnapshot, createDataPanelSvg, parseSnapshotJson } = require('../lib/render');
+const { resolveRenderStyle } = require('../lib/render_config');
+
+const SAMPLE_JSON = path.join(__dirname, '..', 'limit-orders', 'EURUSD_5_2025-09-29_23-05-00.json');
+
+test('compares each level diagonally and marks the imbalances and stacks', () => {
+    const { candles, maxVolume } = buildFootprint({
+        1: { bids: [10, 2, 1, 0], asks: [30, 12, 9, 4] },
+        2: { bids: [null, 8], asks: [1] },
+    });
+
+    assert.deepEqual(candles['1'].levels, [
+        { bid: 10, ask: 30, askRatio: 15, bidRatio: null, askImbalance: true, bidImbalance: false },
+        { bid: 2, ask: 12, askRatio: 12, bidRatio: 2 / 30, askImbalance: true, bidImbalance: false },
+        { bid: 1, ask: 9, askRatio: 9, bidRatio: 1 / 12, askImbalance: true, bidImbalance: false },
+        { bid: 0, ask: 4, askRatio: null, bidRatio: 0, askImbalance: false, bidImbalance: false },
+    ]);
+    assert.deepEqual(candles['1'].askStacks, [{ start: 0, end: 2 }]);
+    assert.deepEqual(candles['1'].bidStacks, []);
+    assert.equal(candles['1'].delta, 42);
+    assert.equal(candles['1'].volume, 68);
+
+    // A missing or invalid volume counts as nothing traded, and an empty opposite level as 1
+    assert.deepEqual(candles['2'].levels, [
+        { bid: 0, ask: 1, askRatio: 1 / 8, bidRatio: null, askImbalance: false, bidImbalance: false },
+        { bid: 8, ask: 0, askRatio: null, bidRatio: 8, askImbalance: false, bidImbalance: true },
+    ]);
+    assert.equal(candles['2'].delta, -7);
+    assert.equal(maxVolume, 30);
+});
+
+test('uses the configured ratio and stack length', () => {
+    const imbalances = { 1: { bids: [0, 2, 2, 2], asks: [5, 5, 5, 0] } };
+    const loose = buildFootprint(imbalances, { ratio: 2.5, stackedLevels: 2 }).candles['1'];
+    assert.deepEqual(loose.levels.map(level => level.askImbalance), [true, true, true, false]);
+    assert.deepEqual(loose.askStacks, [{ start: 0, end: 2 }]);
+
+    const strict = buildFootprint(imbalances).candles['1'];
+    assert.deepEqual(strict.levels.map(level => level.askImbalance), [false, false, false, false]);
+    assert.deepEqual(strict.askStacks, []);
+});
+
+test('interpolates between two hex colours', () => {
+    assert.equal(interpolateColor('#000', '#ffffff', 0), '#000000');
+    assert.equal(interpolateColor('#000', '#ffffff', 0.5), '#808080');
+    assert.equal(interpolateColor('#102030', '#203040', 2), '#203040');
+});
+
+test('prints the imbalanced cells bold in their side\'s colour with the delta underneath', () => {
+    const json = parseSnapshotJson(fs.readFileSync(SAMPLE_JSON, 'utf8'));
+    json.imbalances = { 1: { bids: [10, 2, 1, 0], asks: [30, 12, 9, 4] } };
+    const style = resolveRenderStyle({ footprint: { enabled: true } });
+    const { svg: panelSvg } = createDataPanelSvg(analyzeSnapshot(json), style);
+    const svg = panelSvg.slice(panelSvg.indexOf('>Zone Imbalances<'), panelSvg.indexOf('Outlined: diagonal imbalance'));
+    const cellText = value => new RegExp(`<text [^>]*fill="([^"]+)"( font-weight="bold")?>${value}</text>`).exec(svg);
+
+    for (const value of [30, 12, 9]) {
+        assert.deepEqual(cellText(value).slice(1), [style.colors.ask, ' font-weight="bold"']);
+    }
+    assert.deepEqual(cellText(4).slice(1), [style.colors.text, undefined]);
+    assert.deepEqual(cellText(10).slice(1), [style.colors.text, undefined]);
+    assert.match(svg, /Δ \+42<\/tspan><tspan [^>]*>Vol 68</);
+});
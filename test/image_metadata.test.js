@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { TOOL_VERSION, createImageMetadata, createXmpPacket, embedSvgMetadata, readImageMetadata } = require('../lib/image_metadata');
+
+const SAMPLE_JSON = path.join(__dirname, '..', 'limit-orders', 'EURUSD_5_2025-09-29_23-05-00.json');
+// Markup, entities and line endings that a careless escape or unescape would change
+const AWKWARD_JSON = '\uFEFF{\r\n  "note": "a < b && c > d, \\"quoted\\" \'single\'",\r\n'
+    + '  "raw": "&amp; &lt;/mewtwo:snapshot&gt; </mewtwo:snapshot> ]]>",\r\n  "pair": "€/£ ✓"\r\n}\r\n';
+
+function createMetadata(snapshot) {
+    const metadata = createImageMetadata({
+        snapshot,
+        source: 'EURUSD_5_2025-09-29_23-05-00.json',
+        eventType: 'limit-order',
+        snapshotInfo: { symbol: 'EURUSD', timeframe: '5', timestamp: Date.UTC(2025, 8, 29, 23, 5, 0) },
+        settings: { theme: 'dark', format: 'png', note: '<&>' },
+    });
+    return { ...metadata, chart: { left: 0, top: 0, width: 4, height: 4 } };
+}
+
+test('reads the exact source JSON back from a PNG, WebP and JPEG', async () => {
+    for (const snapshot of [fs.readFileSync(SAMPLE_JSON, 'utf8'), AWKWARD_JSON]) {
+        const metadata = createMetadata(snapshot);
+        for (const format of ['png', 'webp', 'jpeg']) {
+            const image = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#141414' } })
+                .toFormat(format)
+                .withXmp(createXmpPacket(metadata))
+                .toBuffer();
+            const read = await readImageMetadata(image);
+            assert.equal(read.snapshot, snapshot, format);
+            assert.deepEqual(read, metadata, format);
+            assert.equal(read.toolVersion, TOOL_VERSION);
+        }
+    }
+});
+
+test('reads the exact source JSON back from an SVG', async () => {
+    const metadata = createMetadata(AWKWARD_JSON);
+    const svg = embedSvgMetadata('<svg width="4" height="4" xmlns="http://www.w3.org/2000/svg"><rect width="100%" height="100%"/></svg>', metadata);
+    assert.match(svg, /^<svg [^>]*><metadata>/);
+    const read = await readImageMetadata(Buffer.from(svg));
+    assert.equal(read.snapshot, AWKWARD_JSON);
+    assert.deepEqual(read, metadata);
+});
+
+test('returns null for an image without embedded metadata', async () => {
+    const image = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#141414' } }).png().toBuffer();
+    assert.equal(await readImageMetadata(image), null);
+    assert.equal(await readImageMetadata(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')), null);
+});
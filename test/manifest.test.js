@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEmptyManifest, loadManifest, saveManifest, getManifestKey, isUpToDate } = require('../lib/manifest');
+
+function createOutputDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+const SOURCE_HASHES = { png: 'png-hash', json: 'json-hash', ohlc: null, exports: null, review: null, previous: null, settings: 'settings-a' };
+const ENTRY = { png: { path: '/in/a.png', hash: 'png-hash' }, json: { path: '/in/a.json', hash: 'json-hash' }, settings: 'settings-a' };
+
+test('keeps an output whose sources and settings are unchanged', t => {
+    const outputPath = path.join(createOutputDir(t), 'a.png');
+    fs.writeFileSync(outputPath, '');
+    assert.equal(isUpToDate(ENTRY, SOURCE_HASHES, outputPath), true);
+});
+
+test('renders again when a source, the settings or the output changed', t => {
+    const outputPath = path.join(createOutputDir(t), 'a.png');
+    fs.writeFileSync(outputPath, '');
+    assert.equal(isUpToDate(undefined, SOURCE_HASHES, outputPath), false);
+    assert.equal(isUpToDate(ENTRY, { ...SOURCE_HASHES, json: 'edited' }, outputPath), false);
+    assert.equal(isUpToDate(ENTRY, { ...SOURCE_HASHES, review: 'review-hash' }, outputPath), false);
+    assert.equal(isUpToDate(ENTRY, { ...SOURCE_HASHES, settings: 'settings-b' }, outputPath), false);
+    fs.rmSync(outputPath);
+    assert.equal(isUpToDate(ENTRY, SOURCE_HASHES, outputPath), false);
+});
+
+test('treats entries written without per-entry settings as outdated', t => {
+    const outputPath = path.join(createOutputDir(t), 'a.png');
+    fs.writeFileSync(outputPath, '');
+    const { settings, ...oldEntry } = ENTRY;
+    assert.equal(isUpToDate(oldEntry, SOURCE_HASHES, outputPath), false);
+});
+
+test('a filtered run with new settings leaves the other entries outdated', t => {
+    const outputDir = createOutputDir(t);
+    const manifest = createEmptyManifest();
+    for (const name of ['a.png', 'b.png']) {
+        fs.writeFileSync(path.join(outputDir, name), '');
+        manifest.entries[name] = ENTRY;
+    }
+    // Only a.png is re-rendered with the new settings
+    manifest.entries['a.png'] = { ...ENTRY, settings: 'settings-b' };
+    saveManifest(manifest, outputDir);
+
+    const loaded = loadManifest(outputDir);
+    const newSettings = { ...SOURCE_HASHES, settings: 'settings-b' };
+    assert.equal(isUpToDate(loaded.entries['a.png'], newSettings, path.join(outputDir, 'a.png')), true);
+    assert.equal(isUpToDate(loaded.entries['b.png'], newSettings, path.join(outputDir, 'b.png')), false);
+});
+
+test('ignores a manifest that cannot be read', t => {
+    const outputDir = createOutputDir(t);
+    fs.writeFileSync(path.join(outputDir, '.render-manifest.json'), '{ not json');
+    t.mock.method(console, 'warn', () => {});
+    assert.deepEqual(loadManifest(outputDir), createEmptyManifest());
+});
+
+test('keys entries by the output path with forward slashes', () => {
+    assert.equal(getManifestKey(path.join('out', 'limit-orders', 'a.png'), 'out'), 'limit-orders/a.png');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderSetupNote, renderIndexNotes } = require('../lib/obsidian_export');
+
+test('writes the R:R from the prices into the frontmatter', () => {
+    const note = renderSetupNote({
+        info: { symbol: 'EURUSD', timeframe: '5', timestamp: Date.UTC(2025, 8, 29, 23, 5) },
+        eventType: 'limit-order',
+        data: {
+            currentMarketStructure: 'BEARISH',
+            orderVolume: 77,
+            limitOrder: { limitPrice: 1.17261, takeProfit: 1.17141, stopLoss: 1.17322, takeProfitPips: 12, stopLossPips: 5 },
+        },
+        outcome: null,
+        imageFileName: 'EURUSD_5_2025-09-29 23-05-00.png',
+        source: 'limit-orders/EURUSD_5_2025-09-29_23-05-00.json',
+    });
+    assert.match(note, /^riskReward: 1\.97$/m);
+});
+
+test('writes the frontmatter, embeds the image and links the daily and symbol indexes', () => {
+    const note = renderSetupNote({
+        info: { symbol: 'EURUSD', timeframe: '5', timestamp: Date.UTC(2025, 8, 29, 23, 5) },
+        eventType: 'limit-order',
+        data: { currentMarketStructure: 'BEARISH', orderVolume: 77, indecisionCandle: { isIndecisive: false }, limitOrder: { limitPrice: 1.17261 } },
+        outcome: { status: 'take-profit', mfePips: 12.3, maePips: 1 },
+        imageFileName: 'EURUSD_5_2025-09-29 23-05-00.png',
+        source: 'limit-orders/EURUSD_5_2025-09-29_23-05-00.json',
+    });
+    assert.equal(note, [
+        '---',
+        'type: "setup"',
+        'eventType: "limit-order"',
+        'symbol: "EURUSD"',
+        'timeframe: "5"',
+        'timestamp: "2025-09-29T23:05:00"',
+        'date: "2025-09-29"',
+        'marketStructure: "BEARISH"',
+        'orderVolume: 77',
+        'limitPrice: 1.17261',
+        'indecisive: false',
+        'outcome: "take-profit"',
+        'mfePips: 12.3',
+        'maePips: 1',
+        'source: "limit-orders/EURUSD_5_2025-09-29_23-05-00.json"',
+        'tags: ["setup", "eurusd", "bearish"]',
+        '---',
+        '',
+        '![[EURUSD_5_2025-09-29 23-05-00.png]]',
+        '',
+        '[[_index/daily/2025-09-29|2025-09-29]] · [[_index/symbols/EURUSD|EURUSD]]',
+        '',
+    ].join('\n'));
+});
+
+test('leaves the index links out for a snapshot whose name could not be read', () => {
+    const note = renderSetupNote({ info: null, eventType: 'status-update', data: { status: 'paused' }, outcome: null, imageFileName: 'chart.png', source: 'chart.json' });
+    assert.match(note, /^tags: \["setup"\]$/m);
+    assert.ok(note.endsWith('\n\n![[chart.png]]\n'));
+});
+
+test('lists the setups of each day and symbol in time order', () => {
+    const setup = (symbol, hour, structure) => ({
+        info: { symbol, timeframe: '5', timestamp: Date.UTC(2025, 8, 29, hour) },
+        structure,
+        notePath: `limit-orders/${symbol}_${hour}.md`,
+    });
+    const notes = renderIndexNotes([setup('GBPUSD', 22, 'BULLISH'), setup('EURUSD', 23, 'BEARISH'), setup('EURUSD', 21, null), { info: null, notePath: 'chart.md' }]);
+    assert.deepEqual(notes.map(note => note.path), ['_index/daily/2025-09-29.md', '_index/symbols/EURUSD.md', '_index/symbols/GBPUSD.md']);
+    assert.ok(notes[0].content.includes('Symbols: [[_index/symbols/EURUSD|EURUSD]] · [[_index/symbols/GBPUSD|GBPUSD]]\n\n'
+        + '- 21:00 [[limit-orders/EURUSD_21|EURUSD M5]]\n'
+        + '- 22:00 [[limit-orders/GBPUSD_22|GBPUSD M5 BULLISH]]\n'
+        + '- 23:00 [[limit-orders/EURUSD_23|EURUSD M5 BEARISH]]\n'));
+    assert.match(notes[1].content, /^setups: 2$/m);
+    assert.ok(notes[1].content.includes('## [[_index/daily/2025-09-29|2025-09-29]]\n\n- 21:00'));
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPairWatcher } = require('../lib/pair_watcher');
+
+const SETTLE_MS = 1000;
+const PAIR_TIMEOUT_MS = 60000;
+
+function createWatchDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pair-watcher-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Candidates as `findFilePairs(..., { includeIncomplete: true })` returns them, for the halves that exist
+function scan(dir, stems) {
+    return stems.map(stem => {
+        const pair = { id: path.join(dir, stem) };
+        for (const ext of ['.png', '.json']) {
+            const filePath = path.join(dir, `${stem}${ext}`);
+            if (fs.existsSync(filePath)) pair[ext] = filePath;
+        }
+        return pair;
+    });
+}
+
+test('hands out a pair only once both halves have stopped changing', t => {
+    const dir = createWatchDir(t);
+    const watcher = createPairWatcher({ settleMs: SETTLE_MS, pairTimeoutMs: PAIR_TIMEOUT_MS });
+    const update = now => watcher.update(scan(dir, ['a']), now).ready.map(pair => pair.id);
+
+    fs.writeFileSync(path.join(dir, 'a.png'), 'png');
+    fs.writeFileSync(path.join(dir, 'a.json'), '');
+    assert.deepEqual(update(0), []);
+    // An empty file is still being written, however long it stays empty
+    assert.deepEqual(update(5000), []);
+
+    fs.writeFileSync(path.join(dir, 'a.json'), '{"currentMarketStructure":');
+    assert.deepEqual(update(6000), []);
+    assert.deepEqual(update(6000 + SETTLE_MS - 1), []);
+    fs.appendFileSync(path.join(dir, 'a.json'), '"BEARISH"}');
+    assert.deepEqual(update(6000 + SETTLE_MS), []);
+    assert.deepEqual(update(6000 + SETTLE_MS * 2), [path.join(dir, 'a')]);
+    assert.deepEqual(update(6000 + SETTLE_MS * 3), []);
+});
+
+test('hands out a pair again when one of its files changes later', t => {
+    const dir = createWatchDir(t);
+    const watcher = createPairWatcher({ settleMs: SETTLE_MS, pairTimeoutMs: PAIR_TIMEOUT_MS });
+    const update = now => watcher.update(scan(dir, ['a']), now).ready.map(pair => pair.id);
+
+    fs.writeFileSync(path.join(dir, 'a.png'), 'png');
+    fs.writeFileSync(path.join(dir, 'a.json'), '{}');
+    update(0);
+    assert.deepEqual(update(SETTLE_MS), [path.join(dir, 'a')]);
+
+    fs.writeFileSync(path.join(dir, 'a.png'), 'png, redrawn');
+    assert.deepEqual(update(SETTLE_MS * 2), []);
+    assert.deepEqual(update(SETTLE_MS * 3), [path.join(dir, 'a')]);
+    assert.deepEqual(update(SETTLE_MS * 4), []);
+});
+
+test('reports a half without its partner once after the timeout', t => {
+    const dir = createWatchDir(t);
+    const watcher = createPairWatcher({ settleMs: SETTLE_MS, pairTimeoutMs: PAIR_TIMEOUT_MS });
+    const update = now => watcher.update(scan(dir, ['a']), now);
+
+    fs.writeFileSync(path.join(dir, 'a.png'), 'png');
+    assert.deepEqual(update(0), { ready: [], overdue: [] });
+    assert.deepEqual(update(PAIR_TIMEOUT_MS - 1).overdue, []);
+    const { overdue } = update(PAIR_TIMEOUT_MS);
+    assert.equal(overdue.length, 1);
+    assert.equal(overdue[0].pair.id, path.join(dir, 'a'));
+    assert.equal(overdue[0].missing, '.json');
+    assert.deepEqual(update(PAIR_TIMEOUT_MS * 2).overdue, []);
+
+    // The late partner still completes the pair
+    fs.writeFileSync(path.join(dir, 'a.json'), '{}');
+    update(PAIR_TIMEOUT_MS * 2);
+    assert.equal(update(PAIR_TIMEOUT_MS * 2 + SETTLE_MS).ready.length, 1);
+});
+
+test('ignores the files that were there when watching started', t => {
+    const dir = createWatchDir(t);
+    const watcher = createPairWatcher({ settleMs: SETTLE_MS, pairTimeoutMs: PAIR_TIMEOUT_MS });
+    fs.writeFileSync(path.join(dir, 'old.png'), 'png');
+    fs.writeFileSync(path.join(dir, 'old.json'), '{}');
+    fs.writeFileSync(path.join(dir, 'orphan.json'), '{}');
+    watcher.ignoreExisting(scan(dir, ['old', 'orphan']));
+    const update = now => watcher.update(scan(dir, ['old', 'orphan', 'new']), now);
+
+    fs.writeFileSync(path.join(dir, 'new.png'), 'png');
+    fs.writeFileSync(path.join(dir, 'new.json'), '{}');
+    update(0);
+    assert.deepEqual(update(SETTLE_MS).ready.map(pair => pair.id), [path.join(dir, 'new')]);
+    assert.deepEqual(update(PAIR_TIMEOUT_MS), { ready: [], overdue: [] });
+
+    // Once an existing pair changes it is treated like any other
+    fs.writeFileSync(path.join(dir, 'old.json'), '{"status":"changed"}');
+    update(PAIR_TIMEOUT_MS + 1);
+    assert.deepEqual(update(PAIR_TIMEOUT_MS + 1 + SETTLE_MS).ready.map(pair => pair.id), [path.join(dir, 'old')]);
+});
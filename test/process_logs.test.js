@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCliArguments } = require('../process_logs');
+
+test('reads an inclusive date range before the folders', () => {
+    const options = parseCliArguments(['2025-09-29', '2025-09-30 23:05', 'limit-orders']);
+    assert.equal(options.startDate, Date.UTC(2025, 8, 29, 0, 0, 0));
+    assert.equal(options.endDate, Date.UTC(2025, 8, 30, 23, 5, 59));
+    assert.deepEqual(options.inputDirs, ['limit-orders']);
+});
+
+test('lets a date without a time run to the end of the day', () => {
+    const options = parseCliArguments(['2025-09-29T23:05', '2025-09-29']);
+    assert.equal(options.startDate, Date.UTC(2025, 8, 29, 23, 5, 0));
+    assert.equal(options.endDate, Date.UTC(2025, 8, 29, 23, 59, 59));
+    assert.deepEqual(options.inputDirs, ['.']);
+});
+
+test('rejects dates that do not exist and ranges that end before they start', () => {
+    assert.throws(() => parseCliArguments(['2025-02-30']), /Invalid date '2025-02-30'/);
+    assert.throws(() => parseCliArguments(['2025-09-29 24:00']), /Invalid date/);
+    assert.throws(() => parseCliArguments(['2025-09-30', '2025-09-29']), /START DATE must not be after END DATE/);
+    assert.throws(() => parseCliArguments(['no-such-folder']), /Input folder 'no-such-folder' does not exist/);
+});
+
+test('normalizes the symbol and timeframe filters', () => {
+    const options = parseCliArguments(['-s', 'eurusd,gbpusd', '--symbol', 'XAUUSD', '-t', 'M5', '-t', '15']);
+    assert.deepEqual(options.symbols, ['EURUSD', 'GBPUSD', 'XAUUSD']);
+    assert.deepEqual(options.timeframes, ['5', '15']);
+});
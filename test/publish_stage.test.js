@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEmptyManifest } = require('../lib/manifest');
+const { PUBLISH_LOG_FILE, loadPublishLog, createPublishStage, isNewSetup } = require('../lib/publish_stage');
+
+const PAIRS = [{ '.png': '/in/a.png', '.json': '/in/a.json' }, { '.png': '/in/b.png', '.json': '/in/b.json' }];
+
+function createOptions(t, overrides = {}) {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'publish-stage-test-'));
+    t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+    t.mock.method(console, 'log', () => {});
+    return { outputDir, publish: true, publishExisting: false, dryRun: false, publishers: [{ name: 'archive' }], ...overrides };
+}
+
+test('posts none of the snapshots already there on the first --publish without a manifest', async t => {
+    const options = createOptions(t);
+    const stage = await createPublishStage(options, createEmptyManifest(), PAIRS);
+    assert.equal(isNewSetup(stage, '/in/a.json'), false);
+    assert.equal(isNewSetup(stage, '/in/b.json'), false);
+    assert.equal(isNewSetup(stage, '/in/c.json'), true);
+    assert.deepEqual(Object.keys(loadPublishLog(options.outputDir).entries), ['/in/a.json', '/in/b.json']);
+});
+
+test('remembers the existing snapshots after --clean emptied the manifest', async t => {
+    const options = createOptions(t);
+    await createPublishStage(options, createEmptyManifest(), PAIRS);
+    const stage = await createPublishStage(options, createEmptyManifest(), [...PAIRS, { '.png': '/in/c.png', '.json': '/in/c.json' }]);
+    assert.equal(isNewSetup(stage, '/in/a.json'), false);
+    assert.equal(isNewSetup(stage, '/in/c.json'), true);
+});
+
+test('treats rendered snapshots as known and failed posts as new', async t => {
+    const options = createOptions(t);
+    fs.writeFileSync(path.join(options.outputDir, PUBLISH_LOG_FILE), JSON.stringify({ version: 1, entries: {} }));
+    const manifest = createEmptyManifest();
+    manifest.entries['a.png'] = { json: { path: '/in/a.json' } };
+    manifest.entries['b.png'] = { json: { path: '/in/b.json' }, publishPending: true };
+    const stage = await createPublishStage(options, manifest, PAIRS);
+    assert.equal(isNewSetup(stage, '/in/a.json'), false);
+    assert.equal(isNewSetup(stage, '/in/b.json'), true);
+});
+
+test('posts the existing snapshots with --publish-existing and leaves the log alone on a dry run', async t => {
+    const options = createOptions(t, { publishExisting: true });
+    const stage = await createPublishStage(options, createEmptyManifest(), PAIRS);
+    assert.equal(isNewSetup(stage, '/in/a.json'), true);
+
+    const dryRunOptions = createOptions(t, { dryRun: true });
+    const dryRunStage = await createPublishStage(dryRunOptions, createEmptyManifest(), PAIRS);
+    await dryRunStage.dryRun.close();
+    assert.equal(isNewSetup(dryRunStage, '/in/a.json'), false);
+    assert.equal(fs.existsSync(path.join(dryRunOptions.outputDir, PUBLISH_LOG_FILE)), false);
+});
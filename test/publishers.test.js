@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizePublishers, checkPublisherRules, publishSetup, startDryRunServer } = require('../lib/publishers');
+
+const SUMMARY = {
+    symbol: 'EURUSD',
+    timeframe: '5',
+    eventType: 'limit-order',
+    issues: [],
+    data: { currentMarketStructure: 'BEARISH', orderVolume: 77 },
+    tradeCheck: { riskReward: 1.97 },
+};
+
+test('names publishers by type and position and rejects duplicate names', () => {
+    const publishers = normalizePublishers([
+        { type: 'webhook', url: 'https://example.com/a' },
+        { type: 'slack', url: 'https://example.com/b', rules: { symbols: ['eurusd'] } },
+    ]);
+    assert.deepEqual(publishers.map(publisher => publisher.name), ['webhook-1', 'slack-2']);
+    assert.deepEqual(publishers[1].rules.symbols, ['EURUSD']);
+    assert.throws(() => normalizePublishers([
+        { name: 'a', type: 'webhook', url: 'https://example.com/a' },
+        { name: 'a', type: 'slack', url: 'https://example.com/b' },
+    ]));
+});
+
+test('checks every rule against the summary', () => {
+    assert.equal(checkPublisherRules(SUMMARY, { structures: ['BEARISH'], orderVolumeAbove: 50, minRiskReward: 1.9 }), null);
+    assert.match(checkPublisherRules(SUMMARY, { minRiskReward: 2 }), /R:R 1\.97 is below 2/);
+    assert.match(checkPublisherRules(SUMMARY, { orderVolumeAbove: 77 }), /order volume/);
+    assert.match(checkPublisherRules({ ...SUMMARY, issues: ['x'] }, {}), /validation issue/);
+    assert.equal(checkPublisherRules({ ...SUMMARY, issues: ['x'] }, { allowIssues: true }), null);
+});
+
+test('skips publishers that posted the setup before', async (t) => {
+    const recordDir = fs.mkdtempSync(path.join(os.tmpdir(), 'publishers-test-'));
+    t.after(() => fs.rmSync(recordDir, { recursive: true, force: true }));
+    const server = await startDryRunServer(recordDir);
+    t.after(() => server.close());
+    const publishers = normalizePublishers([
+        { name: 'archive', type: 'webhook', url: 'https://example.com/a' },
+        { name: 'team', type: 'slack', url: 'https://example.com/b' },
+    ]);
+    const results = await publishSetup(publishers, { summary: SUMMARY, image: null, colors: {} }, { alreadyPublished: ['archive'], dryRunUrl: server.url });
+    assert.deepEqual(results.map(result => [result.publisher, result.status]), [['archive', 'skipped'], ['team', 'posted']]);
+    assert.equal(fs.readdirSync(recordDir).length, 1);
+});
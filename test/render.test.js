@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { VALIDATION_REPORT_FILE, EVENT_TEMPLATES, getEventType, parseSnapshotJson, analyzeSnapshot, createDataPanelSvg, renderSnapshot } = require('../lib/render');
+const { resolveRenderStyle } = require('../lib/render_config');
+
+const SAMPLE_DIR = path.join(__dirname, '..', 'limit-orders');
+const SAMPLE_STEM = 'EURUSD_5_2025-09-29_23-05-00';
+const SAMPLE_CHART = path.join(SAMPLE_DIR, 'EURUSD_5_2025-09-29 23-05-00.png');
+
+function readSample() {
+    return parseSnapshotJson(fs.readFileSync(path.join(SAMPLE_DIR, `${SAMPLE_STEM}.json`), 'utf8'));
+}
+
+// The price ladder's level labels top to bottom, with the y of their line and of their label
+function readLadderLevels(svg) {
+    const ladder = svg.slice(svg.indexOf('>Price Ladder<'));
+    const pattern = /<line x1="[^"]+" y1="([^"]+)" x2="[^"]+" y2="([^"]+)" stroke="[^"]+" \/><text [^>]*><tspan font-weight="bold">([^<]+)<\/tspan>/g;
+    return [...ladder.matchAll(pattern)].map(([, lineY, labelY, label]) => ({ label, lineY: Number(lineY), labelY: Number(labelY) }));
+}
+
+test('renders the sample snapshot as an SVG data panel without issues', async () => {
+    const { buffer, analysis } = await renderSnapshot(SAMPLE_CHART, readSample(), { format: 'svg' });
+    assert.deepEqual(analysis.issues, []);
+    assert.match(buffer.toString('utf8'), /^<svg\b/);
+});
+
+test('points to the validation report when not every issue fits on the image', async () => {
+    const json = readSample();
+    json.imbalances['1'].bids = json.imbalances['1'].bids.map(() => 'x');
+    json.imbalances['1'].asks = json.imbalances['1'].asks.map(() => 'x');
+    const { buffer, analysis } = await renderSnapshot(SAMPLE_CHART, json, { format: 'svg' });
+    assert.ok(analysis.issues.length > 12);
+    assert.ok(buffer.toString('utf8').includes(`see ${VALIDATION_REPORT_FILE}`));
+});
+
+test('draws each event type with its own template', async () => {
+    const snapshots = {
+        'limit-order': readSample(),
+        'zone-cancellation': { eventType: 'zone-cancellation', reason: 'Price closed through the zone', zone: { high: 1.1712, low: 1.1705 } },
+        'trade-entry': { eventType: 'trade-entry', direction: 'SELL', limitPrice: 1.1712, fillPrice: 1.1711 },
+        'status-update': { eventType: 'status-update', status: 'paused', timeline: [{ time: '23:05', status: 'ok' }] },
+    };
+    for (const [eventType, json] of Object.entries(snapshots)) {
+        const { buffer, analysis } = await renderSnapshot(SAMPLE_CHART, json, { format: 'svg' });
+        assert.equal(analysis.eventType, eventType);
+        assert.deepEqual(analysis.issues, []);
+        const svg = buffer.toString('utf8');
+        for (const [otherType, { title }] of Object.entries(EVENT_TEMPLATES)) {
+            assert.equal(svg.includes(`>${title}<`), otherType === eventType, `${title} in the ${eventType} image`);
+        }
+    }
+});
+
+test('takes the event type from the folder when the snapshot does not name one', () => {
+    const json = { status: 'paused' };
+    assert.equal(getEventType(json, path.join('logs', 'Status-Updates', 'EURUSD_5_2025-09-29_23-05-00.json')), 'status-update');
+    assert.equal(getEventType(json, path.join('zone-cancellations', 'EURUSD', 'EURUSD_5_2025-09-29_23-05-00.json')), 'zone-cancellation');
+    assert.equal(getEventType({ eventType: 'trade-entry' }, path.join('status', 'a.json')), 'trade-entry');
+    assert.equal(getEventType({ eventType: 'unknown' }, path.join('logs', 'a.json')), 'limit-order');
+    assert.equal(getEventType(json), 'limit-order');
+});
+
+test('orders the price ladder levels by price, highest at the top', () => {
+    const json = readSample();
+    const sell = readLadderLevels(createDataPanelSvg(analyzeSnapshot(json)).svg);
+    assert.deepEqual(sell.map(level => level.label), ['SL 1.17322', 'Limit 1.17261', 'TP 1.17141']);
+    assert.ok(sell[0].lineY < sell[1].lineY && sell[1].lineY < sell[2].lineY);
+
+    json.limitOrder = { limitPrice: 1.1715, takeProfit: 1.1731, stopLoss: 1.1709 };
+    const buy = readLadderLevels(createDataPanelSvg(analyzeSnapshot(json)).svg);
+    assert.deepEqual(buy.map(level => level.label), ['TP 1.17310', 'Limit 1.17150', 'SL 1.17090']);
+});
+
+test('keeps the ladder labels of close prices apart without changing their order', () => {
+    const json = readSample();
+    json.limitOrder = { limitPrice: 1.17261, takeProfit: 1.17141, stopLoss: 1.17262 };
+    const style = resolveRenderStyle();
+    const levels = readLadderLevels(createDataPanelSvg(analyzeSnapshot(json), style).svg);
+    assert.deepEqual(levels.map(level => level.label), ['SL 1.17262', 'Limit 1.17261', 'TP 1.17141']);
+    assert.ok(levels[1].labelY - levels[0].labelY >= style.lineHeight - 1e-9);
+    assert.ok(levels[1].lineY - levels[0].lineY < style.lineHeight);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { THEMES, loadConfigFile, resolveRenderStyle } = require('../lib/render_config');
+
+test('rejects a config key it does not know instead of ignoring it', () => {
+    assert.throws(() => resolveRenderStyle({ theme: 'light', colour: { accent: '#000' } }), /Unknown config key 'colour'/);
+    assert.throws(() => resolveRenderStyle({ colors: { acent: '#000' } }), /unknown colour 'acent'/);
+    assert.throws(() => resolveRenderStyle({ sizes: { fontsize: 12 } }), /Unknown size 'fontsize'/);
+    assert.throws(() => resolveRenderStyle({ footprint: { ratios: 3 } }), /Unknown footprint option 'ratios'/);
+});
+
+test('merges overrides and extra themes over the defaults and scales every size', () => {
+    const style = resolveRenderStyle({
+        theme: 'solarized',
+        scale: 2,
+        sizes: { fontSize: 10 },
+        colors: { accent: '#0057b8' },
+        themes: { solarized: { extends: 'light', colors: { background: '#002b36' } } },
+    });
+    assert.equal(style.layout, 'horizontal');
+    assert.equal(style.colors.background, '#002b36');
+    assert.equal(style.colors.accent, '#0057b8');
+    assert.equal(style.colors.text, THEMES.light.text);
+    assert.equal(style.fontSize, 20);
+    assert.equal(style.padding, 40);
+    assert.equal(style.lineHeight, 28);
+    assert.equal(style.footprint.enabled, false);
+});
+
+test('names the config file that is not valid JSON', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'render-config-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const configPath = path.join(dir, 'render.json');
+    fs.writeFileSync(configPath, '{ "theme": "light", }');
+    assert.throws(() => loadConfigFile(configPath), /Config file '.*render\.json' is not valid JSON/);
+});
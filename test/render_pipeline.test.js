@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCombinedImage, runWithConcurrency } = require('../lib/render_pipeline');
+
+const SAMPLE_DIR = path.join(__dirname, '..', 'limit-orders');
+const SAMPLE_PNG = path.join(SAMPLE_DIR, 'EURUSD_5_2025-09-29 23-05-00.png');
+const SAMPLE_JSON = path.join(SAMPLE_DIR, 'EURUSD_5_2025-09-29_23-05-00.json');
+
+function createOutputDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'render-pipeline-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('writes the output of a pair and returns its summary', async t => {
+    t.mock.method(console, 'log', () => {});
+    const outputPath = path.join(createOutputDir(t), 'limit-orders', 'EURUSD_5_2025-09-29 23-05-00.json');
+    const snapshotInfo = { symbol: 'EURUSD', timeframe: '5', timestamp: Date.UTC(2025, 8, 29, 23, 5) };
+    const result = await createCombinedImage(SAMPLE_PNG, SAMPLE_JSON, outputPath, { format: 'json', snapshotInfo });
+    assert.equal(result.succeeded, true);
+    assert.deepEqual(result.issues, []);
+    assert.equal(result.summary.symbol, 'EURUSD');
+    assert.equal(JSON.parse(fs.readFileSync(outputPath, 'utf8')).symbol, 'EURUSD');
+});
+
+test('reports a pair whose JSON cannot be parsed instead of throwing', async t => {
+    t.mock.method(console, 'error', () => {});
+    const dir = createOutputDir(t);
+    const jsonPath = path.join(dir, 'broken.json');
+    fs.writeFileSync(jsonPath, '{');
+    const result = await createCombinedImage(SAMPLE_PNG, jsonPath, path.join(dir, 'broken.png'), {});
+    assert.equal(result.succeeded, false);
+    assert.match(result.issues[0].problem, /is not valid JSON/);
+    assert.equal(fs.existsSync(path.join(dir, 'broken.png')), false);
+});
+
+test('never runs more tasks at once than the limit', async () => {
+    let running = 0;
+    let mostRunning = 0;
+    const done = [];
+    await runWithConcurrency([30, 10, 20, 5, 15, 0], 2, async (delay, index) => {
+        running++;
+        mostRunning = Math.max(mostRunning, running);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        running--;
+        done.push(index);
+    });
+    assert.equal(mostRunning, 2);
+    assert.deepEqual(done.sort(), [0, 1, 2, 3, 4, 5]);
+});
+
+test('keeps running the other tasks when one throws and returns it as a failure', async () => {
+    const done = [];
+    const failures = await runWithConcurrency(['a', 'b', 'c', 'd'], 2, async (item, index) => {
+        if (item === 'b') throw new Error('broken pair');
+        await new Promise(resolve => setTimeout(resolve, 5));
+        done.push(index);
+    });
+    assert.deepEqual(done.sort(), [0, 2, 3]);
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0].item, 'b');
+    assert.equal(failures[0].index, 1);
+    assert.equal(failures[0].error.message, 'broken pair');
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getReviewPath, normalizeReview, readReview, writeReview } = require('../lib/review');
+
+function createOutputDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('trims and de-duplicates the tags and trims the note', () => {
+    assert.deepEqual(normalizeReview({ tags: [' A+', 'skip', 'A+ ', ''], note: '  late entry \n' }), { tags: ['A+', 'skip'], note: 'late entry' });
+    assert.deepEqual(normalizeReview({}), { tags: [], note: '' });
+});
+
+test('rejects tags that are not a list of short strings', () => {
+    assert.throws(() => normalizeReview({ tags: 'A+' }), /`tags` must be a list of strings/);
+    assert.throws(() => normalizeReview({ tags: ['A+', 3] }), /`tags` must be a list of strings/);
+    assert.throws(() => normalizeReview({ tags: [{ name: 'A+' }] }), /`tags` must be a list of strings/);
+    assert.throws(() => normalizeReview({ tags: ['x'.repeat(33)] }), /longer than 32 characters/);
+    assert.throws(() => normalizeReview({ tags: Array.from({ length: 21 }, (_, index) => `tag ${index}`) }), /at most 20 tags/);
+});
+
+test('rejects a note that is not a string and a review that is not an object', () => {
+    assert.throws(() => normalizeReview({ note: 42 }), /`note` must be a string/);
+    assert.throws(() => normalizeReview({ note: null }), /`note` must be a string/);
+    assert.throws(() => normalizeReview({ note: ['late'] }), /`note` must be a string/);
+    assert.throws(() => normalizeReview({ note: 'x'.repeat(2001) }), /limited to 2000 characters/);
+    assert.throws(() => normalizeReview(['A+']), /must be an object/);
+    assert.throws(() => normalizeReview(null), /must be an object/);
+});
+
+test('saves a review next to the image and removes it once it is empty', t => {
+    const reviewPath = getReviewPath(path.join(createOutputDir(t), 'EURUSD_5_2025-09-29 23-05-00.png'));
+    assert.match(reviewPath, /EURUSD_5_2025-09-29 23-05-00\.review\.json$/);
+    assert.equal(readReview(reviewPath), null);
+
+    const saved = writeReview(reviewPath, { tags: ['bad SL'], note: 'Stop inside the wick' });
+    assert.deepEqual(readReview(reviewPath), saved);
+    assert.equal(writeReview(reviewPath, { tags: [], note: ' ' }), null);
+    assert.equal(fs.existsSync(reviewPath), false);
+});
+
+test('names the sidecar that holds an invalid review', t => {
+    const reviewPath = path.join(createOutputDir(t), 'a.review.json');
+    fs.writeFileSync(reviewPath, JSON.stringify({ tags: ['A+'], note: 7 }));
+    assert.throws(() => readReview(reviewPath), /Review file '.*a\.review\.json' is invalid: Review `note` must be a string/);
+});
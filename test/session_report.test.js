@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSessionStats, renderHtmlReport, renderMarkdownReport } = require('../lib/session_report');
+const { DEFAULT_RENDER_STYLE } = require('../lib/render');
+
+const INFO = { symbol: 'EURUSD', timeframe: '5', timestamp: Date.UTC(2025, 8, 29, 23, 5) };
+const DATA = {
+    currentMarketStructure: 'BEARISH',
+    orderVolume: 77,
+    imbalances: {},
+    limitOrder: { limitPrice: 1.17261, takeProfit: 1.17141, stopLoss: 1.17322, takeProfitPips: 12, stopLossPips: 5 },
+};
+
+function renderReports(imagePath) {
+    const setups = [{ info: INFO, data: DATA, imagePath }];
+    const stats = buildSessionStats(setups);
+    return { html: renderHtmlReport(stats, setups, DEFAULT_RENDER_STYLE.colors, 'Session Report'), markdown: renderMarkdownReport(stats, setups, 'Session Report') };
+}
+
+test('shows a thumbnail for raster images', () => {
+    const { html } = renderReports('limit-orders/EURUSD_5_2025-09-29 23-05-00.webp');
+    assert.match(html, /<img src="limit-orders\/EURUSD_5_2025-09-29%2023-05-00\.webp"/);
+});
+
+test('links SVG and JSON outputs without a thumbnail', () => {
+    for (const extension of ['.svg', '.json']) {
+        const { html, markdown } = renderReports(`limit-orders/EURUSD_5_2025-09-29 23-05-00${extension}`);
+        assert.doesNotMatch(html, /<img\b/);
+        assert.ok(html.includes(`<a href="limit-orders/EURUSD_5_2025-09-29%2023-05-00${extension}">EURUSD_5_2025-09-29 23-05-00${extension}</a>`));
+        assert.ok(markdown.includes(`(limit-orders/EURUSD_5_2025-09-29%2023-05-00${extension})`));
+    }
+});
+
+test('uses the R:R from the prices, like the image', () => {
+    const setups = [{ info: INFO, data: DATA, imagePath: 'a.png' }];
+    const stats = buildSessionStats(setups);
+    // 12 / 5 logged pips would give 2.4; the prices are 12 and 6.1 pips apart
+    assert.equal(stats.pips.averageRiskReward, 1.97);
+    assert.match(renderMarkdownReport(stats, setups, 'Session Report'), /\| 12 \| 5 \| 1\.97 \|/);
+});
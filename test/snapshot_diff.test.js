@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { diffSnapshots } = require('../lib/snapshot_diff');
+const { parseSnapshotJson } = require('../lib/render');
+const { validateSnapshot } = require('../lib/snapshot_schema');
+
+const SAMPLE_JSON = path.join(__dirname, '..', 'limit-orders', 'EURUSD_5_2025-09-29_23-05-00.json');
+
+function readSample() {
+    return validateSnapshot(parseSnapshotJson(fs.readFileSync(SAMPLE_JSON, 'utf8'))).data;
+}
+
+test('finds nothing between two identical snapshots', () => {
+    assert.deepEqual(diffSnapshots(readSample(), readSample()), { structure: null, orderVolume: null, limitOrder: [], imbalances: [] });
+});
+
+test('lists the moved trade levels and the structure and volume changes', () => {
+    const current = readSample();
+    current.currentMarketStructure = 'BULLISH';
+    current.orderVolume = 70;
+    current.limitOrder.limitPrice = 1.17281;
+    current.limitOrder.stopLoss = 1.17342;
+    delete current.limitOrder.zonePips;
+
+    const { structure, orderVolume, limitOrder } = diffSnapshots(readSample(), current);
+    assert.deepEqual(structure, { from: 'BEARISH', to: 'BULLISH' });
+    assert.deepEqual(orderVolume, { from: 77, to: 70, delta: -7 });
+    assert.deepEqual(limitOrder, [
+        { field: 'limitPrice', from: 1.17261, to: 1.17281, delta: 0.0002 },
+        { field: 'stopLoss', from: 1.17322, to: 1.17342, delta: 0.0002 },
+        { field: 'zonePips', from: 1, to: null, delta: null },
+    ]);
+});
+
+test('lists the changed imbalance levels top to bottom, bids before asks', () => {
+    const previous = readSample();
+    const current = readSample();
+    current.imbalances['2'].asks[1] = 30;
+    current.imbalances['2'].bids[1] = 20;
+    current.imbalances['1'].asks[8] = 5;
+    current.imbalances['3'] = { bids: [10, 37, 4, 6], asks: [7, 4, 0, 1] };
+    delete current.imbalances['4'];
+
+    const { imbalances } = diffSnapshots(previous, current);
+    assert.deepEqual(imbalances.slice(0, 7), [
+        { candle: '1', level: 8, side: 'asks', from: 1, to: 5, delta: 4 },
+        { candle: '2', level: 1, side: 'bids', from: 25, to: 20, delta: -5 },
+        { candle: '2', level: 1, side: 'asks', from: 21, to: 30, delta: 9 },
+        { candle: '3', level: 3, side: 'bids', from: null, to: 6, delta: null },
+        { candle: '3', level: 3, side: 'asks', from: null, to: 1, delta: null },
+        { candle: '4', level: 0, side: 'bids', from: 9, to: null, delta: null },
+        { candle: '4', level: 0, side: 'asks', from: 1, to: null, delta: null },
+    ]);
+    assert.equal(imbalances.length, 7 + 6);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSnapshotStem, filterPairs } = require('../lib/snapshot_files');
+
+const NO_FILTERS = { startDate: null, endDate: null, symbols: [], timeframes: [] };
+
+function createPair(stem) {
+    return { '.png': `${stem}.png`, '.json': `${stem}.json`, info: parseSnapshotStem(stem) };
+}
+
+test('reads symbol, timeframe and time from both snapshot name styles', () => {
+    const expected = { symbol: 'EURUSD', timeframe: '5', timestamp: Date.UTC(2025, 8, 29, 23, 5, 0) };
+    assert.deepEqual(parseSnapshotStem('EURUSD_5_2025-09-29_23-05-00'), expected);
+    assert.deepEqual(parseSnapshotStem('EURUSD_5_2025-09-29 23-05-00'), expected);
+    assert.deepEqual(parseSnapshotStem('US_TECH_100_M15_2025-09-29_23-05-00'), {
+        symbol: 'US_TECH_100', timeframe: 'M15', timestamp: Date.UTC(2025, 8, 29, 23, 5, 0),
+    });
+});
+
+test('does not read names that are not snapshots or dates that do not exist', () => {
+    assert.equal(parseSnapshotStem('package'), null);
+    assert.equal(parseSnapshotStem('EURUSD_5_2025-09-29'), null);
+    assert.equal(parseSnapshotStem('EURUSD_5_2025-02-30_23-05-00'), null);
+});
+
+test('keeps the pairs on both ends of the date range', () => {
+    const pairs = ['EURUSD_5_2025-09-29_23-04-59', 'EURUSD_5_2025-09-29_23-05-00', 'EURUSD_5_2025-09-29_23-10-00', 'EURUSD_5_2025-09-29_23-10-01'].map(createPair);
+    const selected = filterPairs(pairs, { ...NO_FILTERS, startDate: Date.UTC(2025, 8, 29, 23, 5, 0), endDate: Date.UTC(2025, 8, 29, 23, 10, 0) });
+    assert.deepEqual(selected, pairs.slice(1, 3));
+});
+
+test('matches symbols case-insensitively and timeframes with or without the M', () => {
+    const pairs = ['eurusd_5_2025-09-29_23-05-00', 'EURUSD_M5_2025-09-29_23-05-00', 'EURUSD_15_2025-09-29_23-05-00', 'GBPUSD_5_2025-09-29_23-05-00'].map(createPair);
+    const selected = filterPairs(pairs, { ...NO_FILTERS, symbols: ['EURUSD'], timeframes: ['5'] });
+    assert.deepEqual(selected, pairs.slice(0, 2));
+});
+
+test('leaves out pairs with unreadable names only while a filter is active', () => {
+    const pairs = [createPair('EURUSD_5_2025-09-29_23-05-00'), { '.png': 'chart.png', '.json': 'chart.json', info: null }];
+    assert.deepEqual(filterPairs(pairs, NO_FILTERS), pairs);
+    assert.deepEqual(filterPairs(pairs, { ...NO_FILTERS, symbols: ['EURUSD'] }), pairs.slice(0, 1));
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validateSnapshot } = require('../lib/snapshot_schema');
+
+const SAMPLE_PATH = path.join(__dirname, '..', 'limit-orders', 'EURUSD_5_2025-09-29_23-05-00.json');
+
+function readSample() {
+    return JSON.parse(fs.readFileSync(SAMPLE_PATH, 'utf8'));
+}
+function getPaths(issues) {
+    return issues.map(issue => issue.path);
+}
+
+test('accepts the sample limit-order snapshot unchanged', () => {
+    const snapshot = readSample();
+    const { issues, data } = validateSnapshot(snapshot);
+    assert.deepEqual(issues, []);
+    assert.deepEqual(data, snapshot);
+});
+
+test('replaces invalid scalars with null and reports their path', () => {
+    const snapshot = readSample();
+    snapshot.orderVolume = -5;
+    snapshot.currentMarketStructure = 'SIDEWAYS';
+    snapshot.limitOrder.takeProfit = '1.2';
+    const { issues, data } = validateSnapshot(snapshot);
+    assert.deepEqual(getPaths(issues), ['currentMarketStructure', 'orderVolume', 'limitOrder.takeProfit']);
+    assert.equal(data.orderVolume, null);
+    assert.equal(data.currentMarketStructure, null);
+    assert.equal(data.limitOrder.takeProfit, null);
+    assert.equal(data.limitOrder.limitPrice, snapshot.limitOrder.limitPrice);
+});
+
+test('reports missing required fields and falls back to an empty imbalance table', () => {
+    const { issues, data } = validateSnapshot({ orderVolume: 10 });
+    assert.deepEqual(getPaths(issues), ['currentMarketStructure', 'imbalances']);
+    assert.deepEqual(data.imbalances, {});
+});
+
+test('checks candle shapes, imbalance keys and bid/ask lengths', () => {
+    const snapshot = readSample();
+    snapshot.indecisionCandle.high = 1.0;
+    snapshot.confluence.M3 = snapshot.confluence.M5;
+    snapshot.imbalances['0'] = { bids: [], asks: [] };
+    snapshot.imbalances['2'].asks.pop();
+    const { issues, data } = validateSnapshot(snapshot);
+    assert.deepEqual(getPaths(issues), ['indecisionCandle.high', 'confluence.M3', 'imbalances.0', 'imbalances.2']);
+    assert.equal(data.confluence.M3, undefined);
+    assert.equal(data.imbalances['0'], undefined);
+});
+
+test('marks invalid list items individually', () => {
+    const snapshot = readSample();
+    snapshot.imbalances['1'].bids[2] = 'x';
+    const { issues, data } = validateSnapshot(snapshot);
+    assert.deepEqual(getPaths(issues), ['imbalances.1.bids[2]']);
+    assert.equal(data.imbalances['1'].bids[2], null);
+    assert.equal(data.imbalances['1'].bids[3], snapshot.imbalances['1'].bids[3]);
+});
+
+test('validates other event types against their own schema', () => {
+    const { issues } = validateSnapshot({ status: 'paused', timeline: [{ time: '23:05', status: 'ok' }, { time: 'soon', status: 'ok' }] }, 'status-update');
+    assert.deepEqual(getPaths(issues), ['timeline[1].time']);
+    assert.throws(() => validateSnapshot({}, 'unknown'), /Unknown event type/);
+});
+
+test('never throws on a snapshot that is not an object', () => {
+    const { issues, data } = validateSnapshot([1, 2]);
+    assert.equal(issues.length, 1);
+    assert.deepEqual(data, { imbalances: {} });
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { groupTimelines, getTimelineFileStem, describeTimelineSpan } = require('../lib/timeline');
+
+const MINUTE_MS = 60 * 1000;
+const START = Date.UTC(2025, 8, 29, 23, 5, 0);
+
+function createItem(symbol, timeframe, minutes) {
+    return { name: `${symbol}_${timeframe}_${minutes}`, info: { symbol, timeframe, timestamp: START + minutes * MINUTE_MS } };
+}
+const names = group => group.items.map(item => item.name);
+
+test('starts a new session only where the gap is longer than the session gap', () => {
+    const items = [0, 5, 10, 40, 70, 101].map(minutes => createItem('EURUSD', '5', minutes));
+    const groups = groupTimelines(items.reverse(), 30 * MINUTE_MS);
+    assert.deepEqual(groups.map(names), [
+        ['EURUSD_5_0', 'EURUSD_5_5', 'EURUSD_5_10', 'EURUSD_5_40', 'EURUSD_5_70'],
+        ['EURUSD_5_101'],
+    ]);
+});
+
+test('sorts the groups by symbol, timeframe and start time', () => {
+    const items = [
+        createItem('gbpusd', '5', 0),
+        createItem('EURUSD', '15', 0),
+        createItem('EURUSD', '5', 600),
+        createItem('EURUSD', '5', 0),
+        createItem('EURUSD', '60', 0),
+        { name: 'unnamed chart', info: null },
+    ];
+    const groups = groupTimelines(items, 30 * MINUTE_MS);
+    assert.deepEqual(groups.map(group => [group.label, ...names(group)]), [
+        ['EURUSD M5', 'EURUSD_5_0'],
+        ['EURUSD M5', 'EURUSD_5_600'],
+        ['EURUSD M15', 'EURUSD_15_0'],
+        ['EURUSD M60', 'EURUSD_60_0'],
+        ['GBPUSD M5', 'gbpusd_5_0'],
+    ]);
+});
+
+test('names and describes a group by its first and last snapshot', () => {
+    const [group] = groupTimelines([0, 30].map(minutes => createItem('EURUSD', '5', minutes)), 30 * MINUTE_MS);
+    assert.equal(getTimelineFileStem(group), 'EURUSD_5_2025-09-29_23-05');
+    assert.equal(describeTimelineSpan(group), '2025-09-29 23:05 – 23:35');
+
+    const [overnight] = groupTimelines([0, 60].map(minutes => createItem('EURUSD', '5', minutes)), 60 * MINUTE_MS);
+    assert.equal(describeTimelineSpan(overnight), '2025-09-29 23:05 – 2025-09-30 00:05');
+});
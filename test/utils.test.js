@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml, roundPips } = require('../lib/utils');
+
+test('escapes every character with a meaning in HTML and XML', () => {
+    assert.equal(escapeHtml('<a href="x">1 & 2 > 0</a>'), '&lt;a href=&quot;x&quot;&gt;1 &amp; 2 &gt; 0&lt;/a&gt;');
+    assert.equal(escapeHtml(1.5), '1.5');
+});
+
+test('rounds pips to one decimal', () => {
+    assert.equal(roundPips(6.149), 6.1);
+    assert.equal(roundPips(-2.05), -2);
+});